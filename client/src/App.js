@@ -5,6 +5,10 @@ import { LoggingProvider } from './contexts/LoggingContext';
 import LandingPage from './components/LandingPage';
 import AdminPage from './components/AdminPage';
 import PlayerPage from './components/PlayerPage';
+import HistoryPage from './components/HistoryPage';
+import ResultsPage from './components/ResultsPage';
+import LeaguePage from './components/LeaguePage';
+import DisplayPage from './components/DisplayPage';
 import ProtectedRoute from './components/ProtectedRoute';
 import './index.css';
 
@@ -16,6 +20,7 @@ function App() {
           <div className="App">
             <Routes>
               <Route path="/" element={<LandingPage />} />
+              <Route path="/join/:gameCode" element={<LandingPage />} />
               <Route 
                 path="/admin" 
                 element={
@@ -24,7 +29,18 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/admin/history" 
+                element={
+                  <ProtectedRoute>
+                    <HistoryPage />
+                  </ProtectedRoute>
+                } 
+              />
               <Route path="/player" element={<PlayerPage />} />
+              <Route path="/results/:resultsId" element={<ResultsPage />} />
+              <Route path="/leagues/:leagueId" element={<LeaguePage />} />
+              <Route path="/display" element={<DisplayPage />} />
             </Routes>
           </div>
         </Router>
@@ -1,13 +1,73 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import io from 'socket.io-client';
 import { useAuth } from '../contexts/AuthContext';
 import { useLogging } from '../contexts/LoggingContext';
+import { teamStandings } from '../utils/teams';
+import JoinQrCode, { joinUrl } from './JoinQrCode';
+import PlayerAvatar from './PlayerAvatar';
+
+// Scoring rule inputs shown in Game Settings (flattened from the server's scoring rules)
+const SCORING_FIELDS = [
+  { key: 'title', label: 'Points for title' },
+  { key: 'artist', label: 'Points for artist' },
+  { key: 'album', label: 'Points for album' },
+  { key: 'lyrics', label: 'Points for lyrics' },
+  { key: 'year', label: 'Points for the exact year' },
+  { key: 'yearRange', label: 'Half points for years this far off' },
+  { key: 'speedBonus', label: 'Max speed bonus' },
+  { key: 'speedBonusWindowSeconds', label: 'Speed bonus window (seconds)' },
+  { key: 'firstGuessBonus', label: 'First correct guess bonus' },
+  { key: 'wrongGuessPenalty', label: 'Wrong guess penalty' },
+  { key: 'soloCompletionBonus', label: 'Solo completion bonus' },
+  { key: 'hintPenalty', label: 'Points lost per hint' },
+  { key: 'snippetBonus', label: 'Snippet bonus on the first clip' },
+  { key: 'choiceSpeedBonus', label: 'Max multiple-choice speed bonus' },
+  { key: 'choiceSpeedWindowSeconds', label: 'Multiple-choice speed window (seconds)' }
+];
+
+const scoringRulesToForm = (rules) => ({
+  title: rules.points.title,
+  artist: rules.points.artist,
+  album: rules.points.album,
+  lyrics: rules.points.lyrics,
+  year: rules.points.year,
+  yearRange: rules.yearRange,
+  speedBonus: rules.speedBonus,
+  speedBonusWindowSeconds: rules.speedBonusWindowSeconds,
+  firstGuessBonus: rules.firstGuessBonus,
+  wrongGuessPenalty: rules.wrongGuessPenalty,
+  soloCompletionBonus: rules.soloCompletionBonus,
+  hintPenalty: rules.hintPenalty,
+  snippetBonus: rules.snippetBonus,
+  choiceSpeedBonus: rules.choiceSpeedBonus,
+  choiceSpeedWindowSeconds: rules.choiceSpeedWindowSeconds
+});
+
+const scoringFormToRules = (form) => ({
+  points: {
+    title: Number(form.title),
+    artist: Number(form.artist),
+    album: Number(form.album),
+    lyrics: Number(form.lyrics),
+    year: Number(form.year)
+  },
+  yearRange: Number(form.yearRange),
+  speedBonus: Number(form.speedBonus),
+  speedBonusWindowSeconds: Number(form.speedBonusWindowSeconds),
+  firstGuessBonus: Number(form.firstGuessBonus),
+  wrongGuessPenalty: Number(form.wrongGuessPenalty),
+  soloCompletionBonus: Number(form.soloCompletionBonus),
+  hintPenalty: Number(form.hintPenalty),
+  snippetBonus: Number(form.snippetBonus),
+  choiceSpeedBonus: Number(form.choiceSpeedBonus),
+  choiceSpeedWindowSeconds: Number(form.choiceSpeedWindowSeconds)
+});
 
 const AdminPage = () => {
   const navigate = useNavigate();
-  const { logoutAdmin, isAdminAuthenticated } = useAuth();
+  const { logoutAdmin, isAdminAuthenticated, adminToken } = useAuth();
   const { consoleLoggingEnabled, setConsoleLoggingEnabled, log, logError, logWarn } = useLogging();
   
   // Ensure admin authentication is maintained
@@ -66,6 +126,7 @@ const AdminPage = () => {
   const [error, setError] = useState('');
   const [devices, setDevices] = useState([]);
   const [showDevices, setShowDevices] = useState(false);
+  const [categories, setCategories] = useState([]); // Guess categories from the server: [{ id, label, noun, icon, placeholder }]
   const [guessedParts, setGuessedParts] = useState({ artist: false, title: false, lyrics: false });
   const [playbackPosition, setPlaybackPosition] = useState(0);
   const [playbackDuration, setPlaybackDuration] = useState(0);
@@ -96,6 +157,42 @@ const AdminPage = () => {
   const [gameCode, setGameCode] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [adminConnected, setAdminConnected] = useState(false);
+  // Round type ('classic', 'finishTheLine' or 'multipleChoice') and the open finish-the-line prompt
+  const [roundType, setRoundType] = useState('classic');
+  const [matchStrictness, setMatchStrictness] = useState('normal');
+  const [finishTheLine, setFinishTheLine] = useState(false);
+  const [choices, setChoices] = useState(null); // Multiple-choice options players pick from
+  const [lyricChallenge, setLyricChallenge] = useState(null);
+  // Auto-host settings form and the running round / intermission countdown
+  const [autoHostForm, setAutoHostForm] = useState({ enabled: false, roundSeconds: 60, intermissionSeconds: 10 });
+  const [roundTimer, setRoundTimer] = useState(null);
+  const [answerRevealed, setAnswerRevealed] = useState(false); // The current song's answer has been shown to players
+  const [hints, setHints] = useState([]); // Hints released for the current song
+  const [autoHintSeconds, setAutoHintSeconds] = useState(0); // 0 = hints only when the admin gives one
+  const [teams, setTeams] = useState([]); // Team names - empty outside team mode
+  const [playerTeams, setPlayerTeams] = useState({}); // playerName -> team name
+  const [newTeamName, setNewTeamName] = useState('');
+  const [leaderboardView, setLeaderboardView] = useState('players'); // 'players' or 'teams' in team mode
+  const [roundDeadline, setRoundDeadline] = useState(null);
+  const [roundSecondsLeft, setRoundSecondsLeft] = useState(0);
+  // Snippet mode settings form and the clip being played (see updateSnippet)
+  const [snippetForm, setSnippetForm] = useState({ enabled: false, start: 'start', guessSeconds: 10 });
+  const [snippet, setSnippet] = useState(null);
+  const [snippetDeadline, setSnippetDeadline] = useState(null);
+  const [snippetSecondsLeft, setSnippetSecondsLeft] = useState(0);
+  const [endedGameResultsId, setEndedGameResultsId] = useState(null); // Results of this game once it has ended
+  const [leagues, setLeagues] = useState([]);
+  const [leagueId, setLeagueId] = useState(null); // League this game counts towards when it ends
+  const [lobby, setLobby] = useState(null); // { phase, countdownMs, ready, looks } - see lib/lobby.js
+  const [lobbyDeadline, setLobbyDeadline] = useState(null);
+  const [lobbySecondsLeft, setLobbySecondsLeft] = useState(0);
+  const [countdownSeconds, setCountdownSeconds] = useState('5');
+  const [newLeague, setNewLeague] = useState({ name: '', placementPoints: '10, 8, 6, 5, 4, 3, 2, 1' });
+  // Accepted alternate answers for the current song and the add-alias form
+  const [aliases, setAliases] = useState([]);
+  const [newAlias, setNewAlias] = useState({ target: 'title', text: '' });
+  // Scoring rules form (null until the server sends the game's rules)
+  const [scoringForm, setScoringForm] = useState(null);
 
   useEffect(() => {
     // Only proceed if admin is authenticated
@@ -126,7 +223,9 @@ const AdminPage = () => {
     log('Admin: Attempting to connect to Socket.IO server at', backendUrl);
     const newSocket = io(backendUrl, {
       transports: ['websocket', 'polling'],
-      timeout: 20000
+      timeout: 20000,
+      // The admin token binds this socket to the admin's game room
+      auth: { adminToken }
     });
     setSocket(newSocket);
 
@@ -145,12 +244,139 @@ const AdminPage = () => {
       // Don't redirect on socket disconnection
     });
 
+    newSocket.on('gameEnded', (data) => {
+      log('Admin: Game ended:', data.message);
+      setError(`${data.message} Please log out and log in again to start a new game.`);
+      if (data.resultsId) {
+        setEndedGameResultsId(data.resultsId);
+      }
+    });
+
+    newSocket.on('spotifyReauthRequired', (data) => {
+      log('Admin: Spotify re-authentication required:', data.message);
+      setError(data.message);
+    });
+
     newSocket.on('gameState', (gameState) => {
       log('Admin received game state:', gameState);
       setPlayers(gameState.players || {});
       setScores(gameState.scores || {});
       setIsPlaying(gameState.isPlaying);
       setGuessedParts(gameState.guessedParts || { artist: false, title: false, lyrics: false });
+      setCategories(gameState.categories || []);
+      setRoundType(gameState.roundType || 'classic');
+      setMatchStrictness(gameState.matchStrictness || 'normal');
+      setFinishTheLine(!!gameState.finishTheLine);
+      setChoices(gameState.choices || null);
+      setLyricChallenge(gameState.lyricChallenge || null);
+      if (gameState.scoringRules) {
+        setScoringForm(scoringRulesToForm(gameState.scoringRules));
+      }
+      if (gameState.autoHost) {
+        setAutoHostForm(gameState.autoHost);
+      }
+      updateRoundTimer(gameState.roundTimer);
+      if (gameState.snippetSettings) {
+        setSnippetForm(gameState.snippetSettings);
+      }
+      updateSnippet(gameState.snippet);
+      setLeagueId(gameState.leagueId || null);
+      updateLobby(gameState.lobby);
+      setAnswerRevealed(!!gameState.revealedAnswer);
+      setHints(gameState.hints || []);
+      setAutoHintSeconds(gameState.autoHintSeconds || 0);
+      setTeams(gameState.teams || []);
+      setPlayerTeams(gameState.playerTeams || {});
+    });
+
+    newSocket.on('teamsUpdated', (data) => {
+      log('Admin: Teams updated:', data);
+      setTeams(data.teams || []);
+      setPlayerTeams(data.playerTeams || {});
+    });
+
+    newSocket.on('autoHostChanged', (data) => {
+      log('Admin: Auto-host changed:', data);
+      setAutoHostForm(data.autoHost);
+      if (data.message) {
+        setError(data.message);
+      }
+    });
+
+    newSocket.on('lobbyUpdated', (data) => {
+      log('Admin: Lobby updated:', data);
+      updateLobby(data);
+    });
+
+    // The countdown ran out but the first song would not play - the game is back in the lobby
+    newSocket.on('lobbyStartFailed', (data) => {
+      setError('Failed to start the game: ' + data.error);
+    });
+
+    newSocket.on('roundTimer', (timer) => {
+      log('Admin: Round timer:', timer);
+      updateRoundTimer(timer);
+    });
+
+    newSocket.on('snippetSettingsChanged', (data) => {
+      log('Admin: Snippet settings changed:', data);
+      setSnippetForm(data.snippetSettings);
+    });
+
+    newSocket.on('leagueChanged', (data) => {
+      log('Admin: League changed:', data);
+      setLeagueId(data.leagueId || null);
+    });
+
+    newSocket.on('snippetClip', (clip) => {
+      log('Admin: Snippet clip:', clip);
+      updateSnippet(clip);
+      if (clip) {
+        setIsPlaying(clip.phase === 'playing');
+      }
+    });
+
+    newSocket.on('hintReleased', (data) => {
+      log('Admin: Hint released:', data.hint);
+      setHints(data.hints || []);
+    });
+
+    newSocket.on('autoHintsChanged', (data) => {
+      log('Admin: Auto hints changed:', data);
+      setAutoHintSeconds(data.seconds);
+    });
+
+    newSocket.on('answerRevealed', (answer) => {
+      log('Admin: Answer revealed:', answer);
+      setAnswerRevealed(true);
+      // Unguessed songs are marked as revealed in the playlist
+      getTrackStatus();
+    });
+
+    newSocket.on('scoresUpdated', (data) => {
+      log('Admin: Scores updated:', data);
+      setPlayers(data.players || {});
+      setScores(data.scores || {});
+    });
+
+    newSocket.on('roundTypeChanged', (data) => {
+      log('Admin: Round type changed:', data);
+      setRoundType(data.roundType);
+      setFinishTheLine(!!data.finishTheLine);
+      setChoices(data.choices || null);
+      if (data.guessedParts) {
+        setGuessedParts(data.guessedParts);
+      }
+    });
+
+    newSocket.on('matchStrictnessChanged', (data) => {
+      log('Admin: Match strictness changed:', data);
+      setMatchStrictness(data.strictness);
+    });
+
+    newSocket.on('lyricChallenge', (challenge) => {
+      log('Admin: Lyric challenge:', challenge);
+      setLyricChallenge(challenge);
     });
 
     newSocket.on('playerJoined', (data) => {
@@ -174,7 +400,7 @@ const AdminPage = () => {
       
       // Log bonus point if awarded
       if (data.bonusAwarded) {
-        log(`🏆 Bonus point awarded to ${data.playerName} for completing all parts first!`);
+        log(`🏆 Bonus point awarded to ${data.playerName}${data.bonusTeam ? ` (team ${data.bonusTeam})` : ''} for completing all parts first!`);
       }
     });
 
@@ -217,6 +443,10 @@ const AdminPage = () => {
       });
       setCurrentTrack(song);
       setIsPlaying(true);
+      setFinishTheLine(!!song.finishTheLine);
+      setChoices(song.choices || null);
+      setAnswerRevealed(false);
+      setHints(song.hints || []);
       
       // Check if this song has any previous progress
       const hasProgress = song.guessedParts && (
@@ -251,6 +481,103 @@ const AdminPage = () => {
     }
   }, [tracks]);
 
+  // Count down the auto-host round or intermission
+  useEffect(() => {
+    if (!roundTimer || !roundDeadline) {
+      setRoundSecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setRoundSecondsLeft(Math.max(0, Math.ceil((roundDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    if (!roundTimer.isRunning) return;
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [roundTimer, roundDeadline]);
+
+  function updateRoundTimer(timer) {
+    setRoundTimer(timer || null);
+    setRoundDeadline(timer ? Date.now() + timer.remainingMs : null);
+  }
+
+  // Count down to the start of the game
+  useEffect(() => {
+    if (!lobbyDeadline) {
+      setLobbySecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setLobbySecondsLeft(Math.max(0, Math.ceil((lobbyDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [lobbyDeadline]);
+
+  function updateLobby(data) {
+    setLobby(data || null);
+    setLobbyDeadline(data && data.countdownMs !== null ? Date.now() + data.countdownMs : null);
+  }
+
+  // Count down to the next snippet clip
+  useEffect(() => {
+    if (!snippetDeadline) {
+      setSnippetSecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setSnippetSecondsLeft(Math.max(0, Math.ceil((snippetDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [snippetDeadline]);
+
+  function updateSnippet(clip) {
+    setSnippet(clip || null);
+    setSnippetDeadline(clip && clip.nextClipInMs !== null ? Date.now() + clip.nextClipInMs : null);
+  }
+
+  const loadLeagues = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/leagues');
+      setLeagues(response.data.leagues || []);
+    } catch (error) {
+      logError('Error loading leagues:', error);
+    }
+  }, [logError]);
+
+  useEffect(() => {
+    loadLeagues();
+  }, [loadLeagues]);
+
+  const loadAliases = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/aliases');
+      setAliases(response.data.aliases || []);
+    } catch (error) {
+      logError('Error loading aliases:', error);
+    }
+  }, [logError]);
+
+  // Reload the alias list whenever a different song starts
+  const currentTrackId = currentTrack ? currentTrack.id : null;
+  useEffect(() => {
+    if (currentTrackId) {
+      loadAliases();
+    } else {
+      setAliases([]);
+    }
+    setNewAlias({ target: 'title', text: '' });
+  }, [currentTrackId, loadAliases]);
+
   // Update playback position periodically when playing
   useEffect(() => {
     let interval;
@@ -446,6 +773,208 @@ const AdminPage = () => {
     }
   };
 
+  const handleSaveScoringRules = async () => {
+    try {
+      const response = await axios.post('/api/scoring-rules', { scoringRules: scoringFormToRules(scoringForm) });
+      setScoringForm(scoringRulesToForm(response.data.scoringRules));
+      setError('');
+    } catch (error) {
+      setError('Failed to save scoring rules: ' + (error.response?.data?.error || error.message));
+      logError('Scoring rules error:', error);
+    }
+  };
+
+  const handleSaveAutoHost = async (changes = {}) => {
+    const settings = { ...autoHostForm, ...changes };
+    try {
+      const response = await axios.post('/api/auto-host', {
+        enabled: settings.enabled,
+        roundSeconds: parseInt(settings.roundSeconds, 10),
+        intermissionSeconds: parseInt(settings.intermissionSeconds, 10)
+      });
+      setAutoHostForm(response.data.autoHost);
+      setError('');
+    } catch (error) {
+      setError('Failed to update auto-host: ' + (error.response?.data?.error || error.message));
+      logError('Auto-host error:', error);
+    }
+  };
+
+  const handleStartGame = async () => {
+    try {
+      const response = await axios.post('/api/lobby/start', { countdownSeconds: parseInt(countdownSeconds, 10) });
+      updateLobby(response.data.lobby);
+      setError('');
+    } catch (error) {
+      setError('Failed to start the game: ' + (error.response?.data?.error || error.message));
+      logError('Lobby start error:', error);
+    }
+  };
+
+  const handleCancelCountdown = async () => {
+    try {
+      const response = await axios.post('/api/lobby/cancel');
+      updateLobby(response.data.lobby);
+      setError('');
+    } catch (error) {
+      setError('Failed to cancel the countdown: ' + (error.response?.data?.error || error.message));
+      logError('Lobby cancel error:', error);
+    }
+  };
+
+  const handleSaveSnippet = async (changes = {}) => {
+    const settings = { ...snippetForm, ...changes };
+    try {
+      const response = await axios.post('/api/snippet', {
+        enabled: settings.enabled,
+        start: settings.start,
+        guessSeconds: parseInt(settings.guessSeconds, 10)
+      });
+      setSnippetForm(response.data.snippetSettings);
+      setError('');
+    } catch (error) {
+      setError('Failed to update snippet mode: ' + (error.response?.data?.error || error.message));
+      logError('Snippet settings error:', error);
+    }
+  };
+
+  const handleNextSnippetClip = async () => {
+    try {
+      await axios.post('/api/snippet/next');
+      setError('');
+    } catch (error) {
+      setError('Failed to play a longer clip: ' + (error.response?.data?.error || error.message));
+      logError('Snippet clip error:', error);
+    }
+  };
+
+  const handleLeagueChange = async (newLeagueId) => {
+    try {
+      const response = await axios.post('/api/league', { leagueId: newLeagueId ? Number(newLeagueId) : null });
+      setLeagueId(response.data.leagueId);
+      setError('');
+    } catch (error) {
+      setError('Failed to change the league: ' + (error.response?.data?.error || error.message));
+      logError('League error:', error);
+    }
+  };
+
+  const handleCreateLeague = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/leagues', {
+        name: newLeague.name.trim(),
+        placementPoints: newLeague.placementPoints.split(',').map(points => Number(points.trim()))
+      });
+      setNewLeague(prev => ({ ...prev, name: '' }));
+      await loadLeagues();
+      await handleLeagueChange(response.data.league.id);
+    } catch (error) {
+      setError('Failed to create the league: ' + (error.response?.data?.error || error.message));
+      logError('Create league error:', error);
+    }
+  };
+
+  const handleRevealAnswer = async () => {
+    try {
+      await axios.post('/api/reveal-answer');
+      setError('');
+    } catch (error) {
+      setError('Failed to reveal the answer: ' + (error.response?.data?.error || error.message));
+      logError('Reveal answer error:', error);
+    }
+  };
+
+  const handleNextHint = async () => {
+    try {
+      await axios.post('/api/hints/next');
+      setError('');
+    } catch (error) {
+      setError('Failed to give a hint: ' + (error.response?.data?.error || error.message));
+      logError('Hint error:', error);
+    }
+  };
+
+  const handleSaveAutoHints = async () => {
+    try {
+      const response = await axios.post('/api/auto-hints', { seconds: parseInt(autoHintSeconds, 10) || 0 });
+      setAutoHintSeconds(response.data.seconds);
+      setError('');
+    } catch (error) {
+      setError('Failed to update auto hints: ' + (error.response?.data?.error || error.message));
+      logError('Auto hints error:', error);
+    }
+  };
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post('/api/teams', { name: newTeamName.trim() });
+      setNewTeamName('');
+      setError('');
+    } catch (error) {
+      setError('Failed to create team: ' + (error.response?.data?.error || error.message));
+      logError('Create team error:', error);
+    }
+  };
+
+  const handleRemoveTeam = async (name) => {
+    if (!window.confirm(`Remove team ${name}? Its players move to the smallest remaining team.`)) {
+      return;
+    }
+    try {
+      await axios.post('/api/teams/remove', { name });
+      setError('');
+    } catch (error) {
+      setError('Failed to remove team: ' + (error.response?.data?.error || error.message));
+      logError('Remove team error:', error);
+    }
+  };
+
+  const handleBalanceTeams = async () => {
+    try {
+      await axios.post('/api/teams/balance');
+      setError('');
+    } catch (error) {
+      setError('Failed to balance teams: ' + (error.response?.data?.error || error.message));
+      logError('Balance teams error:', error);
+    }
+  };
+
+  const handleAssignTeam = async (playerName, team) => {
+    try {
+      await axios.post('/api/teams/assign', { playerName, team });
+      setError('');
+    } catch (error) {
+      setError('Failed to move player: ' + (error.response?.data?.error || error.message));
+      logError('Assign team error:', error);
+    }
+  };
+
+  const handleRoundTypeChange = async (newRoundType) => {
+    try {
+      const response = await axios.post('/api/round-type', { roundType: newRoundType });
+      setRoundType(response.data.roundType);
+      setFinishTheLine(response.data.finishTheLine);
+      setChoices(response.data.choices || null);
+      setError('');
+    } catch (error) {
+      setError('Failed to change round type.');
+      logError('Round type error:', error);
+    }
+  };
+
+  const handleMatchStrictnessChange = async (strictness) => {
+    try {
+      const response = await axios.post('/api/match-strictness', { strictness });
+      setMatchStrictness(response.data.strictness);
+      setError('');
+    } catch (error) {
+      setError('Failed to change answer matching.');
+      logError('Match strictness error:', error);
+    }
+  };
+
   const resetScores = async () => {
     // Show confirmation dialog
     const confirmed = window.confirm('Are you sure you want to reset all player scores?');
@@ -480,11 +1009,26 @@ const AdminPage = () => {
     setLyricsAvailability({}); // Reset lyrics availability on new playlist selection
   };
 
-  const handleLogout = () => {
-    logoutAdmin();
+  const handleLogout = async () => {
+    await logoutAdmin();
     navigate('/');
   };
 
+  // End the game for everyone now - players are sent to the results, the admin logs out
+  const handleEndGame = async () => {
+    const confirmed = window.confirm('End the game for everyone? The results are saved to the game history and players are sent to the final scores.');
+    if (!confirmed) return;
+    
+    try {
+      const response = await axios.post('/api/end-game');
+      await logoutAdmin();
+      navigate(response.data.resultsId ? `/results/${response.data.resultsId}` : '/');
+    } catch (error) {
+      setError('Failed to end the game: ' + (error.response?.data?.error || error.message));
+      logError('End game error:', error);
+    }
+  };
+
   // Get current playback position
   const getPlaybackPosition = async () => {
     try {
@@ -592,6 +1136,8 @@ const AdminPage = () => {
         return '🌗'; // Partially guessed
       case 'complete':
         return '🌕'; // Fully guessed
+      case 'revealed':
+        return '👀'; // Answer revealed before it was fully guessed
       default:
         return '🟢';
     }
@@ -697,6 +1243,8 @@ const AdminPage = () => {
       // Refresh scores and guesses after manual award
       await getTrackStatus();
       setGuessedParts(prev => ({ ...prev, [guessType]: true })); // Mark as guessed
+      // The server may have learned the guess as a new alias
+      await loadAliases();
       alert(`Manual award awarded to ${playerName} for ${guessType} guess: "${guessText}"`);
     } catch (error) {
       logError('Error awarding manual guess:', error);
@@ -704,6 +1252,30 @@ const AdminPage = () => {
     }
   };
 
+  const handleAddAlias = async () => {
+    if (!newAlias.text.trim()) return;
+    const [kind, artistName] = newAlias.target === 'title' ? ['title'] : ['artist', newAlias.target.slice('artist:'.length)];
+    try {
+      await axios.post('/api/aliases', { kind, artistName, alias: newAlias.text.trim() });
+      setNewAlias(prev => ({ ...prev, text: '' }));
+      await loadAliases();
+      setError('');
+    } catch (error) {
+      setError('Failed to add alias: ' + (error.response?.data?.error || error.message));
+      logError('Add alias error:', error);
+    }
+  };
+
+  const handleRemoveAlias = async (id) => {
+    try {
+      await axios.post('/api/aliases/remove', { id });
+      setAliases(prev => prev.filter(alias => alias.id !== id));
+    } catch (error) {
+      setError('Failed to remove alias: ' + (error.response?.data?.error || error.message));
+      logError('Remove alias error:', error);
+    }
+  };
+
   const handleSaveScore = async () => {
     if (!editingPlayer || !newScore) {
       alert('Please select a player to edit and enter a new score.');
@@ -765,6 +1337,11 @@ const AdminPage = () => {
     }
   };
 
+  // Before the first song the Connected Players card shows who is ready
+  const inLobby = !!lobby && lobby.phase !== 'playing';
+  const connectedNames = [...new Set(Object.values(players))];
+  const readyCount = lobby ? connectedNames.filter(name => lobby.ready.includes(name)).length : 0;
+
   return (
     <div className="container">
       <div className="admin-header">
@@ -790,6 +1367,12 @@ const AdminPage = () => {
               </div>
             </div>
           )}
+          {/* Players can scan this to join without typing the code */}
+          {gameCode && (
+            <a href={joinUrl(gameCode)} target="_blank" rel="noreferrer" title="Join link for players">
+              <JoinQrCode gameCode={gameCode} size={96} />
+            </a>
+          )}
           <label style={{ display: 'flex', alignItems: 'center', gap: '5px', fontSize: '14px', color: '#fff' }}>
             <input
               type="checkbox"
@@ -799,6 +1382,17 @@ const AdminPage = () => {
             />
             Console Logging
           </label>
+          {gameCode && (
+            <button className="btn btn-secondary" onClick={() => window.open(`/display?code=${gameCode}`, '_blank')}>
+              📺 Display
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => navigate('/admin/history')}>
+            History
+          </button>
+          <button className="btn btn-danger" onClick={handleEndGame}>
+            End Game
+          </button>
           <button className="btn btn-danger" onClick={handleLogout}>
             Logout
           </button>
@@ -808,6 +1402,11 @@ const AdminPage = () => {
       {error && (
         <div className="card" style={{ background: '#ffe6e6', border: '1px solid #ff9999' }}>
           <p style={{ color: '#cc0000' }}>{error}</p>
+          {endedGameResultsId && (
+            <button className="btn btn-secondary" onClick={() => navigate(`/results/${endedGameResultsId}`)}>
+              View Final Results
+            </button>
+          )}
         </div>
       )}
 
@@ -826,6 +1425,232 @@ const AdminPage = () => {
         </div>
       )}
 
+      {/* Game Settings */}
+      <div className="card">
+        <h2 className="subtitle">Game Settings</h2>
+        <div className="flex">
+          <label htmlFor="round-type">Round type:</label>
+          <select
+            id="round-type"
+            className="input"
+            style={{ marginBottom: 0, maxWidth: '320px' }}
+            value={roundType}
+            onChange={(e) => handleRoundTypeChange(e.target.value)}
+          >
+            <option value="classic">Classic - guess any lyric from the song</option>
+            <option value="finishTheLine">Finish the line - type the next line before it is sung</option>
+            <option value="multipleChoice">Multiple choice - pick the title and artist, no lyrics</option>
+          </select>
+        </div>
+        {roundType === 'finishTheLine' && currentTrack && !finishTheLine && (
+          <p className="mt-20" style={{ fontSize: '0.9rem', color: '#ffc107' }}>
+            No synced (LRC) lyrics for this song, so its lyrics are played the classic way.
+          </p>
+        )}
+        {roundType === 'multipleChoice' && currentTrack && !choices && (
+          <p className="mt-20" style={{ fontSize: '0.9rem', color: '#ffc107' }}>
+            The playlist has no other titles or artists to offer as wrong options, so this song is played the classic way.
+          </p>
+        )}
+        <div className="flex mt-20">
+          <label htmlFor="match-strictness">Answer matching:</label>
+          <select
+            id="match-strictness"
+            className="input"
+            style={{ marginBottom: 0, maxWidth: '320px' }}
+            value={matchStrictness}
+            onChange={(e) => handleMatchStrictnessChange(e.target.value)}
+          >
+            <option value="strict">Strict - exact words only</option>
+            <option value="normal">Normal - forgive small typos</option>
+            <option value="lenient">Lenient - forgive most misspellings</option>
+          </select>
+        </div>
+        <div className="flex mt-20">
+          <label htmlFor="auto-hint-seconds">Auto hints every (seconds, 0 = off):</label>
+          <input
+            id="auto-hint-seconds"
+            type="number"
+            className="input"
+            style={{ marginBottom: 0, maxWidth: '100px' }}
+            min="0"
+            max="300"
+            step="1"
+            value={autoHintSeconds}
+            onChange={(e) => setAutoHintSeconds(e.target.value)}
+          />
+          <button className="btn btn-secondary" onClick={handleSaveAutoHints}>
+            Save
+          </button>
+        </div>
+        
+        {scoringForm && (
+          <div className="mt-20">
+            <h3 className="mb-10">Scoring</h3>
+            <div className="grid" style={{ marginTop: 0, gap: '0 20px' }}>
+              {SCORING_FIELDS.map(field => (
+                <label key={field.key} style={{ fontSize: '14px' }}>
+                  {field.label}
+                  <input
+                    type="number"
+                    className="input"
+                    min={field.key === 'speedBonusWindowSeconds' ? 1 : 0}
+                    step="1"
+                    value={scoringForm[field.key]}
+                    onChange={(e) => setScoringForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex-center">
+              <button className="btn" onClick={handleSaveScoringRules}>
+                Save Scoring Rules
+              </button>
+            </div>
+          </div>
+        )}
+        
+        <div className="mt-20">
+          <h3 className="mb-10">Auto-host</h3>
+          <p className="mb-10" style={{ fontSize: '0.9rem', color: '#888' }}>
+            Each song gets a timed round. When it ends the answer is shown, and after the intermission the next unplayed song starts by itself.
+          </p>
+          <div className="grid" style={{ marginTop: 0, gap: '0 20px' }}>
+            <label style={{ fontSize: '14px' }}>
+              Round length (seconds)
+              <input
+                type="number"
+                className="input"
+                min="10"
+                max="600"
+                step="1"
+                value={autoHostForm.roundSeconds}
+                onChange={(e) => setAutoHostForm(prev => ({ ...prev, roundSeconds: e.target.value }))}
+              />
+            </label>
+            <label style={{ fontSize: '14px' }}>
+              Intermission (seconds)
+              <input
+                type="number"
+                className="input"
+                min="3"
+                max="120"
+                step="1"
+                value={autoHostForm.intermissionSeconds}
+                onChange={(e) => setAutoHostForm(prev => ({ ...prev, intermissionSeconds: e.target.value }))}
+              />
+            </label>
+          </div>
+          <div className="flex-center flex">
+            <button className="btn btn-secondary" onClick={() => handleSaveAutoHost()}>
+              Save Timings
+            </button>
+            <button
+              className={`btn ${autoHostForm.enabled ? 'btn-danger' : ''}`}
+              onClick={() => handleSaveAutoHost({ enabled: !autoHostForm.enabled })}
+            >
+              {autoHostForm.enabled ? 'Stop Auto-host' : 'Start Auto-host'}
+            </button>
+          </div>
+        </div>
+        
+        <div className="mt-20">
+          <h3 className="mb-10">Snippet mode</h3>
+          <p className="mb-10" style={{ fontSize: '0.9rem', color: '#888' }}>
+            Name that tune in 1, 3, 7 or 15 seconds: each song is played as a short clip, then a longer one while nobody has it. Guesses on shorter clips earn the snippet bonus. Changes apply from the next song.
+          </p>
+          <div className="grid" style={{ marginTop: 0, gap: '0 20px' }}>
+            <label style={{ fontSize: '14px' }}>
+              Clips start
+              <select
+                className="input"
+                value={snippetForm.start}
+                onChange={(e) => setSnippetForm(prev => ({ ...prev, start: e.target.value }))}
+              >
+                <option value="start">At the start of the song</option>
+                <option value="random">At a random point</option>
+              </select>
+            </label>
+            <label style={{ fontSize: '14px' }}>
+              Guessing time between clips (seconds)
+              <input
+                type="number"
+                className="input"
+                min="3"
+                max="120"
+                step="1"
+                value={snippetForm.guessSeconds}
+                onChange={(e) => setSnippetForm(prev => ({ ...prev, guessSeconds: e.target.value }))}
+              />
+            </label>
+          </div>
+          <div className="flex-center flex">
+            <button className="btn btn-secondary" onClick={() => handleSaveSnippet()}>
+              Save Snippet Settings
+            </button>
+            <button
+              className={`btn ${snippetForm.enabled ? 'btn-danger' : ''}`}
+              onClick={() => handleSaveSnippet({ enabled: !snippetForm.enabled })}
+            >
+              {snippetForm.enabled ? 'Turn Off Snippet Mode' : 'Turn On Snippet Mode'}
+            </button>
+          </div>
+        </div>
+        
+        <div className="mt-20">
+          <h3 className="mb-10">League</h3>
+          <p className="mb-10" style={{ fontSize: '0.9rem', color: '#888' }}>
+            When a game in a league ends, its players earn league points for where they finished. The league's standings page adds them up over all its games.
+          </p>
+          <div className="flex">
+            <label htmlFor="league">This game counts towards:</label>
+            <select
+              id="league"
+              className="input"
+              style={{ marginBottom: 0, maxWidth: '320px' }}
+              value={leagueId || ''}
+              onChange={(e) => handleLeagueChange(e.target.value)}
+            >
+              <option value="">No league</option>
+              {leagues.map(league => (
+                <option key={league.id} value={league.id}>{league.name} ({league.gameCount} game(s))</option>
+              ))}
+            </select>
+            {leagueId && (
+              <button className="btn btn-secondary" onClick={() => navigate(`/leagues/${leagueId}`)}>
+                Standings
+              </button>
+            )}
+          </div>
+          <form className="grid mt-20" style={{ gap: '0 20px' }} onSubmit={handleCreateLeague}>
+            <label style={{ fontSize: '14px' }}>
+              New league name
+              <input
+                type="text"
+                className="input"
+                value={newLeague.name}
+                onChange={(e) => setNewLeague(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={50}
+              />
+            </label>
+            <label style={{ fontSize: '14px' }}>
+              Points for 1st, 2nd, 3rd... place
+              <input
+                type="text"
+                className="input"
+                value={newLeague.placementPoints}
+                onChange={(e) => setNewLeague(prev => ({ ...prev, placementPoints: e.target.value }))}
+              />
+            </label>
+            <div className="flex-center flex">
+              <button type="submit" className="btn" disabled={!newLeague.name.trim()}>
+                Create League
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
       {/* Playlist Management */}
       <div className="card">
         <h2 className="subtitle">Playlist Management</h2>
@@ -896,6 +1721,7 @@ const AdminPage = () => {
                           className="input"
                           value={manualLyricsText}
                           onChange={(e) => setManualLyricsText(e.target.value)}
+                          placeholder="Paste plain lyrics, or LRC lyrics ([00:12.34] line) for finish-the-line rounds"
                           rows="3" cols="40" style={{ fontSize: '14px' }}
                         />
                         <div className="flex-center">
@@ -935,23 +1761,50 @@ const AdminPage = () => {
             <h3>{currentTrack.name}</h3>
             <p>by {formatArtists(currentTrack.artists)}</p>
             <p>Album: {currentTrack.album.name}</p>
+            {roundTimer && (
+              <p className="mt-20">
+                ⏱️ {roundTimer.phase === 'round' ? `Round ends in ${roundSecondsLeft}s` : `Next song in ${roundSecondsLeft}s`}
+                {!roundTimer.isRunning && ' (paused)'}
+              </p>
+            )}
+            {snippet && (
+              <p className="mt-20">
+                🎧 Clip {snippet.step + 1} of {snippet.stepCount} ({snippet.clipMs / 1000}s)
+                {snippet.phase === 'playing' && ' - playing'}
+                {snippet.phase === 'waiting' && ` - longer clip in ${snippetSecondsLeft}s`}
+                {snippet.phase === 'held' && ' - paused (Play replays the clip)'}
+                {snippet.phase === 'finished' && ' - longest clip played'}
+              </p>
+            )}
             
             {/* Progress Indicator */}
             <div className="progress-indicator mt-20">
-              <div className="progress-item">
-                <span className={`progress-dot ${guessedParts.artist ? 'guessed' : ''}`}>🎤</span>
-                <span className="progress-label">Artist {guessedParts.artist ? '✓' : ''}</span>
-              </div>
-              <div className="progress-item">
-                <span className={`progress-dot ${guessedParts.title ? 'guessed' : ''}`}>🎵</span>
-                <span className="progress-label">Title {guessedParts.title ? '✓' : ''}</span>
-              </div>
-              <div className="progress-item">
-                <span className={`progress-dot ${guessedParts.lyrics ? 'guessed' : ''}`}>📝</span>
-                <span className="progress-label">Lyrics {guessedParts.lyrics ? '✓' : currentTrack?.lyricsAvailable === false ? '✗' : ''}</span>
-              </div>
+              {categories.map(category => (
+                <div key={category.id} className="progress-item">
+                  <span className={`progress-dot ${guessedParts[category.id] ? 'guessed' : ''}`}>{category.icon}</span>
+                  <span className="progress-label">
+                    {category.label} {guessedParts[category.id] ? '✓' : guessedParts[category.id] === null ? '✗' : ''}
+                  </span>
+                </div>
+              ))}
             </div>
             
+            {/* Hints given so far */}
+            {hints.length > 0 && (
+              <div className="hint-list mt-20">
+                {hints.map(hint => (
+                  <p key={hint.type}>💡 {hint.label}: <span className="hint-text">{hint.text}</span></p>
+                ))}
+              </div>
+            )}
+            
+            {/* Finish-the-line prompt */}
+            {finishTheLine && lyricChallenge && !guessedParts.lyrics && (
+              <p className="mt-20">
+                Finish the line: <em>"{lyricChallenge.promptLine}"</em> ({lyricChallenge.wordCount} words)
+              </p>
+            )}
+            
             {/* Progress Bar */}
             {currentTrack && playbackDuration > 0 && (
               <div className="progress-bar-container mt-20">
@@ -990,6 +1843,31 @@ const AdminPage = () => {
                   Edit Lyrics
                 </button>
               )}
+              <button
+                className="btn btn-secondary"
+                style={{ marginLeft: '10px' }}
+                onClick={handleNextHint}
+                disabled={answerRevealed}
+              >
+                💡 Give Hint
+              </button>
+              {snippet && snippet.step < snippet.stepCount - 1 && (
+                <button
+                  className="btn btn-secondary"
+                  style={{ marginLeft: '10px' }}
+                  onClick={handleNextSnippetClip}
+                >
+                  ⏩ Longer Clip
+                </button>
+              )}
+              <button
+                className="btn btn-secondary"
+                style={{ marginLeft: '10px' }}
+                onClick={handleRevealAnswer}
+                disabled={answerRevealed}
+              >
+                {answerRevealed ? 'Answer Revealed' : '👀 Reveal Answer'}
+              </button>
             </div>
           </div>
         </div>
@@ -1028,6 +1906,13 @@ const AdminPage = () => {
             <div className="answer-item">
               <strong>Title:</strong> {currentTrack.name}
             </div>
+            <div className="answer-item">
+              <strong>Album:</strong> {currentTrack.album || <em>Unknown - players cannot guess the album for this song</em>}
+            </div>
+            <div className="answer-item">
+              <strong>Release Year:</strong>{' '}
+              {currentTrack.releaseYear || <em>Unknown - players cannot guess the year for this song</em>}
+            </div>
             <div className="answer-item">
               <strong>Lyrics Availability:</strong> 
               {currentTrack.lyricsAvailable ? (
@@ -1036,6 +1921,16 @@ const AdminPage = () => {
                 <em>Lyrics not available - players cannot guess lyrics for this song</em>
               )}
             </div>
+            {currentTrack.lyricsAvailable && (
+              <div className="answer-item">
+                <strong>Synced Lyrics:</strong>
+                {currentTrack.syncedLyricsAvailable ? (
+                  <em>Available - finish-the-line rounds can be played</em>
+                ) : (
+                  <em>Not available - add LRC lyrics to play finish-the-line</em>
+                )}
+              </div>
+            )}
             {currentTrack.lyricsAvailable && currentTrack.lyrics && currentTrack.lyrics.length > 0 && (
               <div className="answer-item">
                 <strong>Lyrics Preview:</strong>
@@ -1045,6 +1940,53 @@ const AdminPage = () => {
               </div>
             )}
           </div>
+          
+          {/* Aliases - alternate answers accepted for this song in every game */}
+          <h3 className="mb-10">Also Accepted</h3>
+          {aliases.length > 0 ? (
+            <div className="guess-list mb-10">
+              {aliases.map(alias => (
+                <div key={alias.id} className="guess-item">
+                  <span className="guess-text">
+                    "{alias.alias}" for {alias.kind === 'title' ? 'the title' : alias.name}
+                    {alias.source === 'learned' && <em style={{ color: '#888' }}> (learned from a manual award)</em>}
+                  </span>
+                  <button className="btn btn-danger btn-sm" onClick={() => handleRemoveAlias(alias.id)}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="mb-10" style={{ fontSize: '0.9rem', color: '#888' }}>
+              No aliases yet. Add nicknames or spellings like "RHCP" or "Pink", or manually award a guess to teach it.
+            </p>
+          )}
+          <div className="flex">
+            <select
+              className="input"
+              style={{ marginBottom: 0, maxWidth: '220px' }}
+              value={newAlias.target}
+              onChange={(e) => setNewAlias(prev => ({ ...prev, target: e.target.value }))}
+            >
+              <option value="title">Title</option>
+              {currentTrack.artists.map(artist => typeof artist === 'string' ? artist : artist.name).map(artist => (
+                <option key={artist} value={`artist:${artist}`}>Artist: {artist}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="input"
+              style={{ marginBottom: 0 }}
+              placeholder="Alternate answer"
+              maxLength={100}
+              value={newAlias.text}
+              onChange={(e) => setNewAlias(prev => ({ ...prev, text: e.target.value }))}
+            />
+            <button className="btn btn-sm" onClick={handleAddAlias} disabled={!newAlias.text.trim()}>
+              Add
+            </button>
+          </div>
         </div>
       )}
 
@@ -1053,18 +1995,12 @@ const AdminPage = () => {
         <div className="card">
           <h2 className="subtitle">Player Guesses - To manually award a point, click on a guess below.</h2>
           <div className="grid">
-            <div>
-              <h4 style={{ color: '#1db954', marginBottom: '10px' }}>Title Guesses</h4>
-              {renderGuesses('title')}
-            </div>
-            <div>
-              <h4 style={{ color: '#1db954', marginBottom: '10px' }}>Artist Guesses</h4>
-              {renderGuesses('artist')}
-            </div>
-            <div>
-              <h4 style={{ color: '#1db954', marginBottom: '10px' }}>Lyrics Guesses</h4>
-              {renderGuesses('lyrics')}
-            </div>
+            {categories.map(category => (
+              <div key={category.id}>
+                <h4 style={{ color: '#1db954', marginBottom: '10px' }}>{category.label} Guesses</h4>
+                {renderGuesses(category.id)}
+              </div>
+            ))}
           </div>
         </div>
       )}
@@ -1076,9 +2012,60 @@ const AdminPage = () => {
           <button className="btn btn-secondary" onClick={resetScores}>
             Reset Scores
           </button>
+          {teams.length > 0 && (
+            <div className="flex">
+              <button
+                className={`btn ${leaderboardView === 'players' ? '' : 'btn-secondary'}`}
+                onClick={() => setLeaderboardView('players')}
+              >
+                Players
+              </button>
+              <button
+                className={`btn ${leaderboardView === 'teams' ? '' : 'btn-secondary'}`}
+                onClick={() => setLeaderboardView('teams')}
+              >
+                Teams
+              </button>
+            </div>
+          )}
         </div>
         
-        {Object.keys(scores || {}).length > 0 ? (
+        {/* Teams - team mode is on while at least one team exists */}
+        <form className="flex mb-20" onSubmit={handleCreateTeam}>
+          <input
+            type="text"
+            className="input"
+            style={{ marginBottom: 0 }}
+            placeholder="New team name"
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+            maxLength={32}
+          />
+          <button type="submit" className="btn" disabled={!newTeamName.trim()}>
+            Add Team
+          </button>
+          {teams.length > 1 && (
+            <button type="button" className="btn btn-secondary" onClick={handleBalanceTeams}>
+              Balance Teams
+            </button>
+          )}
+        </form>
+        
+        {teams.length > 0 && leaderboardView === 'teams' ? (
+          <div className="player-list">
+            {teamStandings(teams, playerTeams, scores).map(team => (
+              <div key={team.name} className="player-item">
+                <span>{team.name} - {team.members.length > 0 ? team.members.join(', ') : 'no players yet'}</span>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                  <span className="score">{team.score} points</span>
+                  <button className="btn btn-danger btn-sm" onClick={() => handleRemoveTeam(team.name)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : Object.keys(scores || {}).length > 0 ? (
           <div className="player-list">
             {Object.entries(scores || {})
               .sort(([,a], [,b]) => b - a)
@@ -1086,6 +2073,19 @@ const AdminPage = () => {
                 <div key={name} className="player-item" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                   <span>{name}</span>
                   <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                    {teams.length > 0 && (
+                      <select
+                        className="input"
+                        style={{ marginBottom: 0, width: 'auto' }}
+                        value={playerTeams[name] || ''}
+                        onChange={(e) => handleAssignTeam(name, e.target.value)}
+                      >
+                        {!playerTeams[name] && <option value="">No team</option>}
+                        {teams.map(team => (
+                          <option key={team} value={team}>{team}</option>
+                        ))}
+                      </select>
+                    )}
                     {editingPlayer === name ? (
                       <input
                         type="number"
@@ -1125,13 +2125,52 @@ const AdminPage = () => {
         <h2 className="subtitle">Connected Players</h2>
         <div className="flex-between mb-20">
           <span>Total Players: {Object.keys(players).length}</span>
+          {inLobby && <span>{readyCount} of {connectedNames.length} ready</span>}
         </div>
         
+        {inLobby && (
+          <div className="flex flex-center mb-20">
+            {lobby.phase === 'countdown' ? (
+              <>
+                <span className="lobby-admin-countdown">Starting in {lobbySecondsLeft}s</span>
+                <button className="btn btn-secondary" onClick={handleCancelCountdown}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                <label htmlFor="countdown-seconds">Countdown (seconds):</label>
+                <input
+                  id="countdown-seconds"
+                  type="number"
+                  className="input"
+                  style={{ marginBottom: 0, maxWidth: '100px' }}
+                  min="3"
+                  max="30"
+                  step="1"
+                  value={countdownSeconds}
+                  onChange={(e) => setCountdownSeconds(e.target.value)}
+                />
+                <button className="btn" onClick={handleStartGame} disabled={!playlist}>
+                  🚦 Start Game
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        
         {Object.keys(players).length > 0 ? (
           <div className="player-list">
             {Object.entries(players).map(([socketId, playerName]) => (
               <div key={socketId} className="player-item">
-                <span>{playerName}</span>
+                <span>
+                  <PlayerAvatar look={lobby && lobby.looks[playerName]} /> {playerName}
+                  {inLobby && (
+                    <span className={`ready-tag ${lobby.ready.includes(playerName) ? 'ready' : ''}`}>
+                      {lobby.ready.includes(playerName) ? 'Ready' : 'Not ready'}
+                    </span>
+                  )}
+                </span>
                 <span className="score">{scores[playerName] || 0} points</span>
                 <button 
                   className="btn btn-danger btn-sm" 
@@ -1156,7 +2195,7 @@ const AdminPage = () => {
           <li>Play a song on that tab, so that authentication is verified.</li>
           <li>Click the "Connect Spotify Account" button to initialize OAuth in this tab.</li>
           <li>Enter a public, user-created Spotify playlist URL in the "Playlist Management" section.</li>
-          <li>Once the playlist loads, click "Play" on any track to start playing it.</li>
+          <li>Once the playlist loads, click "Start Game" under Connected Players when everyone is ready - a countdown runs and then a random track plays. You can also click "Play" on any track to start straight away.</li>
           <li>Players will then be able to begin guessing song details.</li>
         </ul>
       </div>
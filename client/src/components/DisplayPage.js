@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import io from 'socket.io-client';
+import { useLogging } from '../contexts/LoggingContext';
+import { teamStandings } from '../utils/teams';
+import JoinQrCode, { joinUrl } from './JoinQrCode';
+import PlayerAvatar from './PlayerAvatar';
+
+const FEED_LENGTH = 8; // Correct guesses kept in the live feed
+const LEADERBOARD_LENGTH = 10;
+
+// Big-screen view of a game for a TV or projector (/display?code=123456). It connects as a
+// read-only spectator: it is not a player and cannot guess.
+const DisplayPage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const gameCode = searchParams.get('code');
+  const { log, logError } = useLogging();
+  const [codeInput, setCodeInput] = useState('');
+  const [error, setError] = useState('');
+  const [gameEndedMessage, setGameEndedMessage] = useState('');
+  const [currentSong, setCurrentSong] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [guessedParts, setGuessedParts] = useState({});
+  const [choices, setChoices] = useState(null);
+  const [players, setPlayers] = useState({});
+  const [scores, setScores] = useState({});
+  const [teams, setTeams] = useState([]);
+  const [playerTeams, setPlayerTeams] = useState({});
+  const [revealedAnswer, setRevealedAnswer] = useState(null);
+  const [feed, setFeed] = useState([]); // Latest correct guesses, newest first
+  const [roundTimer, setRoundTimer] = useState(null);
+  const [roundDeadline, setRoundDeadline] = useState(null);
+  const [snippet, setSnippet] = useState(null);
+  const [snippetDeadline, setSnippetDeadline] = useState(null);
+  const [lobby, setLobby] = useState(null);
+  const [lobbyDeadline, setLobbyDeadline] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const feedId = useRef(0);
+
+  useEffect(() => {
+    if (!gameCode) return;
+
+    const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://127.0.0.1:5001';
+    const socket = io(backendUrl, {
+      transports: ['websocket', 'polling'],
+      timeout: 20000
+    });
+
+    const updateRoundTimer = (timer) => {
+      setRoundTimer(timer || null);
+      setRoundDeadline(timer ? Date.now() + timer.remainingMs : null);
+    };
+    const updateSnippet = (clip) => {
+      setSnippet(clip || null);
+      setSnippetDeadline(clip && clip.nextClipInMs !== null ? Date.now() + clip.nextClipInMs : null);
+    };
+    const updateLobby = (data) => {
+      setLobby(data || null);
+      setLobbyDeadline(data && data.countdownMs !== null ? Date.now() + data.countdownMs : null);
+    };
+
+    // Also on every reconnect after a dropped connection
+    socket.on('connect', () => {
+      log('Display connected with socket ID:', socket.id);
+      socket.emit('spectatorJoin', { gameCode });
+    });
+
+    socket.on('connect_error', (error) => {
+      logError('Display connection error:', error);
+    });
+
+    socket.on('gameCodeInvalid', (data) => {
+      setError(data.error);
+    });
+
+    socket.on('gameEnded', (data) => {
+      log('Game ended:', data.message);
+      setGameEndedMessage(data.message);
+      if (data.resultsId) {
+        setTimeout(() => {
+          navigate(`/results/${data.resultsId}`);
+        }, 10000);
+      }
+    });
+
+    socket.on('gameState', (gameState) => {
+      log('Display received game state:', gameState);
+      setError('');
+      setCurrentSong(gameState.currentSong);
+      setIsPlaying(gameState.isPlaying);
+      setCategories(gameState.categories || []);
+      setGuessedParts(gameState.guessedParts || {});
+      setChoices(gameState.choices || null);
+      setPlayers(gameState.players || {});
+      setScores(gameState.scores || {});
+      setTeams(gameState.teams || []);
+      setPlayerTeams(gameState.playerTeams || {});
+      setRevealedAnswer(gameState.revealedAnswer || null);
+      updateRoundTimer(gameState.roundTimer);
+      updateSnippet(gameState.snippet);
+      updateLobby(gameState.lobby);
+    });
+
+    socket.on('lobbyUpdated', updateLobby);
+
+    socket.on('newSong', (song) => {
+      setCurrentSong(song);
+      setIsPlaying(true);
+      setGuessedParts(song.guessedParts || {});
+      setChoices(song.choices || null);
+      setRevealedAnswer(null);
+    });
+
+    socket.on('roundTypeChanged', (data) => {
+      setChoices(data.choices || null);
+      if (data.guessedParts) {
+        setGuessedParts(data.guessedParts);
+      }
+    });
+
+    socket.on('correctGuess', (data) => {
+      setPlayers(data.players || {});
+      setScores(data.scores || {});
+      setGuessedParts(data.guessedParts || {});
+      feedId.current += 1;
+      const entry = {
+        id: feedId.current,
+        playerName: data.playerName,
+        parts: data.correctParts || [],
+        points: data.pointsAwarded || 0,
+        bonus: !!data.bonusAwarded
+      };
+      setFeed(prev => [entry, ...prev].slice(0, FEED_LENGTH));
+    });
+
+    socket.on('answerRevealed', (answer) => {
+      setRevealedAnswer(answer);
+    });
+
+    socket.on('roundTimer', updateRoundTimer);
+
+    socket.on('snippetClip', (clip) => {
+      updateSnippet(clip);
+      if (clip) {
+        setIsPlaying(clip.phase === 'playing');
+      }
+    });
+
+    socket.on('playbackPaused', () => setIsPlaying(false));
+    socket.on('playbackResumed', () => setIsPlaying(true));
+
+    const updatePlayers = (data) => {
+      setPlayers(data.players || {});
+      setScores(data.scores || {});
+    };
+    socket.on('playerJoined', updatePlayers);
+    socket.on('playerLeft', updatePlayers);
+    socket.on('playerKicked', updatePlayers);
+    socket.on('scoresUpdated', updatePlayers);
+
+    socket.on('scoresReset', () => {
+      setScores({});
+      setFeed([]);
+    });
+
+    socket.on('teamsUpdated', (data) => {
+      setTeams(data.teams || []);
+      setPlayerTeams(data.playerTeams || {});
+    });
+
+    return () => {
+      socket.close();
+    };
+  }, [gameCode, navigate, log, logError]);
+
+  // Count down the start of the game, the auto-host round or intermission, or else the wait for
+  // the next snippet clip
+  useEffect(() => {
+    const deadline = lobbyDeadline || (roundTimer ? (roundTimer.isRunning ? roundDeadline : null) : snippetDeadline);
+    if (!deadline) {
+      setSecondsLeft(roundTimer ? Math.ceil(roundTimer.remainingMs / 1000) : 0);
+      return;
+    }
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.ceil((deadline - Date.now()) / 1000)));
+    };
+    tick();
+
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [lobbyDeadline, roundTimer, roundDeadline, snippetDeadline]);
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    setSearchParams({ code: codeInput.trim() });
+  };
+
+  const categoryLabel = (id) => {
+    const category = categories.find(entry => entry.id === id);
+    return category ? `${category.icon} ${category.label}` : id;
+  };
+
+  if (!gameCode || error) {
+    return (
+      <div className="container">
+        <h1 className="title">📺 Game Display</h1>
+        <div className="card">
+          <p className="text-center mb-20">Enter the game code to show the game on this screen.</p>
+          <form onSubmit={handleCodeSubmit}>
+            <input
+              type="text"
+              className="input"
+              placeholder="Enter game code"
+              value={codeInput}
+              onChange={(e) => /^\d{0,6}$/.test(e.target.value) && setCodeInput(e.target.value)}
+              required
+            />
+            {error && <p className="error-text text-center mb-10">{error}</p>}
+            <div className="flex-center">
+              <button type="submit" className="btn" disabled={!codeInput.trim()}>
+                Show Game
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  const playerNames = [...new Set(Object.values(players))];
+  const looks = (lobby && lobby.looks) || {};
+  const readyCount = lobby ? playerNames.filter(name => lobby.ready.includes(name)).length : 0;
+  const leaderboard = Object.entries(scores)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, LEADERBOARD_LENGTH);
+  const partsInPlay = categories.filter(category => (!choices || choices[category.id]) && guessedParts[category.id] !== null && guessedParts[category.id] !== undefined);
+  const countdownLabel = lobbyDeadline
+    ? 'Game starts in'
+    : roundTimer
+      ? (roundTimer.phase === 'intermission' ? 'Next song in' : 'Time left')
+      : snippet && snippet.phase === 'waiting' ? 'Longer clip in' : null;
+
+  return (
+    <div className="display-page">
+      <div className="display-header">
+        <div className="flex">
+          <JoinQrCode gameCode={gameCode} size={180} />
+          <div>
+            <div className="display-join">Scan to join, or go to <strong>{joinUrl(gameCode).replace(/^https?:\/\//, '')}</strong></div>
+            <div className="display-code">Game code <strong>{gameCode}</strong></div>
+          </div>
+        </div>
+        {countdownLabel && (
+          <div className="display-countdown">
+            <span>{countdownLabel}</span>
+            <strong>{secondsLeft}s</strong>
+          </div>
+        )}
+      </div>
+
+      {gameEndedMessage && (
+        <div className="card text-center display-ended">
+          <h2>{gameEndedMessage}</h2>
+        </div>
+      )}
+
+      <div className="display-grid">
+        <div className="card display-round">
+          {!currentSong ? (
+            <>
+              <h2 className="text-center">
+                {lobbyDeadline ? 'Get ready!' : 'Waiting for the game to start...'} {readyCount} of {playerNames.length} player(s) ready
+              </h2>
+              <div className="lobby-players">
+                {playerNames.map(name => (
+                  <div key={name} className={`lobby-player ${lobby && lobby.ready.includes(name) ? 'ready' : ''}`}>
+                    <PlayerAvatar look={looks[name]} size="large" />
+                    <span>{name}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : revealedAnswer ? (
+            <div className="display-answer">
+              {revealedAnswer.albumArt && <img src={revealedAnswer.albumArt} alt={`${revealedAnswer.album} cover`} />}
+              <div>
+                <p className="display-answer-label">The song was</p>
+                <h2>{revealedAnswer.name}</h2>
+                <p>{revealedAnswer.artists.join(', ')}</p>
+                {revealedAnswer.album && <p className="display-answer-album">{revealedAnswer.album}</p>}
+              </div>
+            </div>
+          ) : (
+            <>
+              <h2 className="text-center">
+                {isPlaying ? '🎵 Name that tune!' : '⏸️ Paused'}
+                {snippet && ` - clip ${snippet.step + 1} of ${snippet.stepCount} (${snippet.clipMs / 1000}s)`}
+              </h2>
+              <div className="progress-indicator display-progress">
+                {partsInPlay.map(category => (
+                  <div key={category.id} className="progress-item">
+                    <span className={`progress-dot ${guessedParts[category.id] ? 'guessed' : ''}`}>{category.icon}</span>
+                    <span className="progress-label">{category.label} {guessedParts[category.id] ? '✓' : ''}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          <h3 className="mt-20">Latest correct guesses</h3>
+          {feed.length === 0 ? (
+            <p className="results-song-album">Nobody has guessed anything yet.</p>
+          ) : (
+            <ul className="display-feed">
+              {feed.map(entry => (
+                <li key={entry.id}>
+                  🎉 <strong>{entry.playerName}</strong> got the {entry.parts.map(categoryLabel).join(' and ')}
+                  {entry.points > 0 && <span className="score"> +{entry.points}</span>}
+                  {entry.bonus && ' 🏆'}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="card display-leaderboard">
+          <h2 className="subtitle">Leaderboard</h2>
+          {teams.length > 0 && (
+            <div className="player-list mb-20">
+              {teamStandings(teams, playerTeams, scores).map((team, index) => (
+                <div key={team.name} className="player-item">
+                  <span>{index + 1}. 👥 {team.name}</span>
+                  <span className="score">{team.score}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {leaderboard.length > 0 ? (
+            <div className="player-list">
+              {leaderboard.map(([name, score], index) => (
+                <div key={name} className="player-item">
+                  <span>
+                    {index === 0 && score > 0 ? '🏆' : `${index + 1}.`} <PlayerAvatar look={looks[name]} /> {name}
+                    {playerTeams[name] && <span className="team-tag">{playerTeams[name]}</span>}
+                  </span>
+                  <span className="score">{score}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-center">No players yet - join with the code above!</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisplayPage;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { useLogging } from '../contexts/LoggingContext';
+
+const formatDateTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+// Finished games, newest first, each linking to its results page
+const HistoryPage = () => {
+  const navigate = useNavigate();
+  const { log, logError } = useLogging();
+  const [games, setGames] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // before: only games that ended before this time (for "Load older games")
+  const loadGames = useCallback(async (before) => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/history', { params: before ? { before } : {} });
+      log('Game history:', response.data.games);
+      setGames(prev => (before ? [...prev, ...response.data.games] : response.data.games));
+      setHasMore(response.data.hasMore);
+      setError('');
+    } catch (error) {
+      setError('Failed to load game history: ' + (error.response?.data?.error || error.message));
+      logError('Game history error:', error);
+    }
+    setLoading(false);
+  }, [log, logError]);
+
+  useEffect(() => {
+    loadGames();
+  }, [loadGames]);
+
+  return (
+    <div className="container">
+      <h1 className="title">Game History</h1>
+
+      <div className="card">
+        <div className="flex-between mb-20">
+          <span>{games.length} finished game(s)</span>
+          <button className="btn btn-secondary" onClick={() => navigate('/admin')}>
+            Back to Admin
+          </button>
+        </div>
+
+        {error && <p className="error-text">{error}</p>}
+        {!loading && games.length === 0 && !error && (
+          <p className="text-center">No finished games yet. A game is saved here when it ends or its game code expires.</p>
+        )}
+
+        <div className="player-list history-list">
+          {games.map(game => (
+            <div key={game.id} className="player-item">
+              <span>
+                <strong>{formatDateTime(game.endedAt)}</strong> - {game.playlistName || 'Unknown playlist'}
+                <br />
+                <span style={{ fontSize: '0.9rem', color: '#888' }}>
+                  Game {game.gameCode}: {game.playerCount} player(s), {game.songCount} song(s)
+                  {game.winner && `, won by ${game.winner}`}
+                </span>
+              </span>
+              <button className="btn btn-sm" onClick={() => navigate(`/results/${game.id}`)}>
+                View Results
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {hasMore && (
+          <div className="flex-center">
+            <button
+              className="btn btn-secondary"
+              onClick={() => loadGames(games[games.length - 1].endedAt)}
+              disabled={loading}
+            >
+              Load Older Games
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { useLogging } from '../contexts/LoggingContext';
+
+// Link that opens the landing page with the game code filled in and verified
+export const joinUrl = (gameCode) => `${window.location.origin}/join/${gameCode}`;
+
+// QR code for a game's join link, drawn in the browser
+const JoinQrCode = ({ gameCode, size = 160 }) => {
+  const { logError } = useLogging();
+  const [dataUrl, setDataUrl] = useState(null);
+  const url = joinUrl(gameCode);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(url, { width: size, margin: 1 })
+      .then(image => {
+        if (!cancelled) setDataUrl(image);
+      })
+      .catch(error => logError('QR code error:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [url, size, logError]);
+
+  if (!dataUrl) return null;
+  return (
+    <img
+      className="join-qr"
+      src={dataUrl}
+      width={size}
+      height={size}
+      alt={`QR code to join game ${gameCode}`}
+      title={url}
+    />
+  );
+};
+
+export default JoinQrCode;
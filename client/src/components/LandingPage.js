@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { useLogging } from '../contexts/LoggingContext';
 import leoProfanity from 'leo-profanity';
+import { loadPlayerSession } from '../utils/playerSession';
 
 // Utility to replace common leetspeak and symbol substitutions
 function normalizeLeetSpeak(str) {
@@ -25,17 +26,36 @@ function normalizeLeetSpeak(str) {
 
 const LandingPage = () => {
   const navigate = useNavigate();
+  const { gameCode: linkedGameCode } = useParams(); // Set when opened from a /join/<game code> link
   const { loginAdmin } = useAuth();
   const { logError } = useLogging();
   const [playerName, setPlayerName] = useState('');
+  const [pin, setPin] = useState(''); // Only needed for a name claimed with a PIN
   const [adminPassword, setAdminPassword] = useState('');
   const [showAdminForm, setShowAdminForm] = useState(false);
   const [loading, setLoading] = useState(false);
   const [adminError, setAdminError] = useState('');
+  const [leagues, setLeagues] = useState([]); // Leagues the new game can be attached to
+  const [leagueId, setLeagueId] = useState(''); // '' = not part of a league
   // Game code state
-  const [gameCode, setGameCode] = useState('');
+  const [gameCode, setGameCode] = useState(linkedGameCode || '');
   const [gameCodeVerified, setGameCodeVerified] = useState(false);
   const [gameCodeError, setGameCodeError] = useState('');
+  const [teams, setTeams] = useState([]); // Teams to pick from when the game is in team mode
+  const [selectedTeam, setSelectedTeam] = useState(''); // '' = let the game pick the smallest team
+  const [savedSession] = useState(loadPlayerSession); // Game this browser can rejoin
+
+  useEffect(() => {
+    const loadLeagues = async () => {
+      try {
+        const response = await axios.get('/api/leagues');
+        setLeagues(response.data.leagues || []);
+      } catch (error) {
+        logError('Failed to load leagues:', error);
+      }
+    };
+    loadLeagues();
+  }, [logError]);
 
   // Handle player name input with character limit and validation
   const handlePlayerNameChange = (e) => {
@@ -60,21 +80,17 @@ const LandingPage = () => {
   };
 
   // Verify game code
-  const handleGameCodeSubmit = async (e) => {
-    e.preventDefault();
-    if (!gameCode.trim()) {
-      setGameCodeError('Please enter a game code');
-      return;
-    }
-    
+  const verifyGameCode = useCallback(async (code) => {
     setLoading(true);
     setGameCodeError('');
     
     try {
-      const response = await axios.post('/api/verify-game-code', { gameCode: gameCode.trim() });
+      const response = await axios.post('/api/verify-game-code', { gameCode: code });
       if (response.data.success) {
         setGameCodeVerified(true);
         setGameCodeError('');
+        setTeams(response.data.teams || []);
+        setSelectedTeam('');
       }
     } catch (error) {
       logError('Game code verification error:', error);
@@ -88,14 +104,32 @@ const LandingPage = () => {
     } finally {
       setLoading(false);
     }
+  }, [logError]);
+
+  const handleGameCodeSubmit = (e) => {
+    e.preventDefault();
+    if (!gameCode.trim()) {
+      setGameCodeError('Please enter a game code');
+      return;
+    }
+    verifyGameCode(gameCode.trim());
   };
 
+  // A join link (e.g. from the QR code on the admin panel) comes with the code filled in
+  useEffect(() => {
+    if (linkedGameCode) {
+      verifyGameCode(linkedGameCode);
+    }
+  }, [linkedGameCode, verifyGameCode]);
+
   // Reset game code verification
   const handleBackToGameCode = () => {
     setGameCodeVerified(false);
     setGameCode('');
     setPlayerName('');
+    setPin('');
     setGameCodeError('');
+    setTeams([]);
   };
 
   const handleAdminLogin = async (e) => {
@@ -110,11 +144,11 @@ const LandingPage = () => {
     
     try {
       // First verify admin password
-      const response = await axios.post('/api/verify-admin', { password: adminPassword });
+      const response = await axios.post('/api/verify-admin', { password: adminPassword, leagueId: leagueId || null });
       
       if (response.data.success) {
-        // Password is correct, set admin as authenticated
-        loginAdmin();
+        // Password is correct, set admin as authenticated for the new game
+        loginAdmin(response.data.token);
         // Navigate directly to admin page
         navigate('/admin');
       } else {
@@ -124,6 +158,8 @@ const LandingPage = () => {
       logError('Error during admin login:', error);
       if (error.response?.status === 401) {
         setAdminError('Invalid admin password');
+      } else if (error.response?.status === 400) {
+        setAdminError(error.response.data.error);
       } else if (error.response?.status === 429) {
         setAdminError(error.response.data.error || 'Too many failed attempts. Please wait before trying again.');
       } else {
@@ -167,7 +203,9 @@ const LandingPage = () => {
       navigate('/player', { 
         state: { 
           playerName: trimmedName,
-          gameCode: gameCode 
+          gameCode: gameCode,
+          team: selectedTeam || null,
+          pin: pin || null
         } 
       });
     }
@@ -198,6 +236,18 @@ const LandingPage = () => {
               onChange={(e) => setAdminPassword(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleAdminLogin(e)}
             />
+            {leagues.length > 0 && (
+              <select
+                className="input"
+                value={leagueId}
+                onChange={(e) => setLeagueId(e.target.value)}
+              >
+                <option value="">Not part of a league</option>
+                {leagues.map(league => (
+                  <option key={league.id} value={league.id}>Attach to league: {league.name}</option>
+                ))}
+              </select>
+            )}
             {adminError && (
               <p className="error-text text-center mb-10">{adminError}</p>
             )}
@@ -218,6 +268,16 @@ const LandingPage = () => {
             <p className="text-center mb-20">
               Enter your name and start guessing songs!
             </p>
+            {savedSession && (
+              <div className="flex-center mb-20">
+                <button
+                  className="btn"
+                  onClick={() => navigate('/player', { state: { playerName: savedSession.playerName, gameCode: savedSession.gameCode } })}
+                >
+                  Rejoin game {savedSession.gameCode} as {savedSession.playerName}
+                </button>
+              </div>
+            )}
             <form onSubmit={handleGameCodeSubmit}>
               <input
                 type="text"
@@ -254,6 +314,27 @@ const LandingPage = () => {
                     maxLength={25}
                     required
                   />
+                  <input
+                    type="password"
+                    className="input"
+                    placeholder="PIN (only if you claimed this name)"
+                    value={pin}
+                    onChange={(e) => /^\d{0,8}$/.test(e.target.value) && setPin(e.target.value)}
+                    inputMode="numeric"
+                    autoComplete="off"
+                  />
+                  {teams.length > 0 && (
+                    <select
+                      className="input"
+                      value={selectedTeam}
+                      onChange={(e) => setSelectedTeam(e.target.value)}
+                    >
+                      <option value="">Put me in any team</option>
+                      {teams.map(team => (
+                        <option key={team} value={team}>Team {team}</option>
+                      ))}
+                    </select>
+                  )}
                   <div className="flex-center">
                     <button 
                       type="submit" 
@@ -294,7 +375,8 @@ const LandingPage = () => {
                 <li>Listen to the music being played</li>
                 <li>Guess the artist, song title, or lyrics</li>
                 <li>Earn points for correct guesses</li>
-                <li>Your score persists even if you disconnect and reconnect</li>
+                <li>Your score persists even if you refresh or lose your connection - you rejoin automatically</li>
+                <li>Claim your name with a PIN to keep it and track your lifetime stats</li>
                 <li>Compete with other players in real-time</li>
               </ul>
             </div>
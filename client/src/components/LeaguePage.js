@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useLogging } from '../contexts/LoggingContext';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+const ordinal = (place) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${place}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(place)]}`;
+};
+
+// League standings across all of its games, with who attended which. Public and read-only,
+// like game results.
+const LeaguePage = () => {
+  const navigate = useNavigate();
+  const { leagueId } = useParams();
+  const { log, logError } = useLogging();
+  const [league, setLeague] = useState(null);
+  const [games, setGames] = useState([]);
+  const [standings, setStandings] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadStandings = async () => {
+      try {
+        const response = await axios.get(`/api/leagues/${leagueId}`);
+        log('League standings:', response.data);
+        setLeague(response.data.league);
+        setGames(response.data.games);
+        setStandings(response.data.standings);
+      } catch (error) {
+        setError('Failed to load the league: ' + (error.response?.data?.error || error.message));
+        logError('League error:', error);
+      }
+    };
+    loadStandings();
+  }, [leagueId, log, logError]);
+
+  if (error) {
+    return (
+      <div className="container">
+        <div className="card text-center">
+          <p className="error-text">{error}</p>
+          <button className="btn" onClick={() => navigate('/')}>Back to Home</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!league) {
+    return (
+      <div className="container">
+        <p className="text-center">Loading standings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h1 className="title">🏅 {league.name}</h1>
+
+      <div className="card">
+        <div className="flex-between">
+          <span>{games.length} game(s) played</span>
+          <span>
+            Points per place: {league.placementPoints.map((points, index) => `${ordinal(index + 1)} ${points}`).join(', ')}
+          </span>
+        </div>
+        <div className="flex flex-center mt-20">
+          <button className="btn" onClick={() => navigate('/')}>Back to Home</button>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="subtitle">Standings</h2>
+        {standings.length > 0 ? (
+          <div className="league-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Player</th>
+                  <th>Points</th>
+                  <th>Wins</th>
+                  <th>Best</th>
+                  <th>Attended</th>
+                  {games.map((game, index) => (
+                    <th key={game.archiveId} title={formatDate(game.endedAt)}>G{index + 1}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {standings.map(standing => (
+                  <tr key={standing.name}>
+                    <td>{standing.rank === 1 ? '🏆' : standing.rank}</td>
+                    <td>{standing.name}</td>
+                    <td className="score">{standing.points}</td>
+                    <td>{standing.wins}</td>
+                    <td>{ordinal(standing.bestFinish)}</td>
+                    <td>{standing.gamesAttended}/{games.length}</td>
+                    {standing.attended.map((attended, index) => (
+                      <td key={games[index].archiveId}>{attended ? '✓' : '-'}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-center">No games have been played in this league yet.</p>
+        )}
+      </div>
+
+      {games.length > 0 && (
+        <div className="card">
+          <h2 className="subtitle">Games</h2>
+          <div className="player-list history-list">
+            {games.map((game, index) => (
+              <div key={game.archiveId} className="player-item">
+                <span>
+                  <strong>G{index + 1}</strong> - {formatDate(game.endedAt)} - {game.playlistName || 'Unknown playlist'}
+                  {game.winner && ` - won by ${game.winner}`}
+                </span>
+                <button className="btn btn-secondary" onClick={() => navigate(`/results/${game.archiveId}`)}>
+                  View Results
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaguePage;
@@ -0,0 +1,13 @@
+import React from 'react';
+
+// A player's avatar on their colour, as picked in the lobby
+const PlayerAvatar = ({ look, size = 'small' }) => {
+  if (!look) return null;
+  return (
+    <span className={`player-avatar ${size}`} style={{ background: look.color }}>
+      {look.avatar}
+    </span>
+  );
+};
+
+export default PlayerAvatar;
@@ -2,6 +2,12 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import { useLogging } from '../contexts/LoggingContext';
+import { teamStandings } from '../utils/teams';
+import { loadPlayerSession, savePlayerSession, clearPlayerSession, sessionTokenFor } from '../utils/playerSession';
+import PlayerProfile from './PlayerProfile';
+import PlayerAvatar from './PlayerAvatar';
+
+const MAX_COVER_BLUR_PX = 24; // Album cover blur before anything about the song is guessed
 
 const PlayerPage = () => {
   const location = useLocation();
@@ -13,28 +19,66 @@ const PlayerPage = () => {
   const [players, setPlayers] = useState({});
   const [scores, setScores] = useState({});
   const [isPlaying, setIsPlaying] = useState(false);
-  const [guess, setGuess] = useState({ artist: '', title: '', lyrics: '' });
+  const [categories, setCategories] = useState([]); // Guess categories from the server: [{ id, label, noun, icon, placeholder }]
+  const [guess, setGuess] = useState({}); // Category id -> text typed so far
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('info');
   const [canGuess, setCanGuess] = useState(true);
   const [lyricsLetterCount, setLyricsLetterCount] = useState(0);
   const [guessedParts, setGuessedParts] = useState({ artist: false, title: false, lyrics: false });
-  const [lyricsAvailable, setLyricsAvailable] = useState(true);
   const [activeInput, setActiveInput] = useState('title'); // Track which input should be focused
+  const [finishTheLine, setFinishTheLine] = useState(false); // Lyrics round where players type the next line
+  const [lyricChallenge, setLyricChallenge] = useState(null);
+  const [choices, setChoices] = useState(null); // Multiple-choice options: { title: [...], artist: [...] }
+  const [myPicks, setMyPicks] = useState({}); // part -> index of the option this player picked
+  const [answerLocked, setAnswerLocked] = useState(false); // Multiple choice: picks sent for this song
+  const [challengeDeadline, setChallengeDeadline] = useState(null);
+  const [challengeSecondsLeft, setChallengeSecondsLeft] = useState(0);
+  const [scoringRules, setScoringRules] = useState(null); // Point values chosen by the admin
+  const [roundTimer, setRoundTimer] = useState(null); // Auto-host round or intermission countdown
+  const [roundDeadline, setRoundDeadline] = useState(null);
+  const [roundSecondsLeft, setRoundSecondsLeft] = useState(0);
+  const [snippet, setSnippet] = useState(null); // Clip being played in snippet mode
+  const [snippetDeadline, setSnippetDeadline] = useState(null);
+  const [snippetSecondsLeft, setSnippetSecondsLeft] = useState(0);
+  const [revealedAnswer, setRevealedAnswer] = useState(null); // Answer shown after the admin or auto-host reveals it
+  const [revealedParts, setRevealedParts] = useState([]); // Parts given away by a reveal - no longer scored
+  const [hints, setHints] = useState([]); // Hints released for the current song
+  const [teams, setTeams] = useState([]); // Team names - empty outside team mode
+  const [playerTeams, setPlayerTeams] = useState({}); // playerName -> team name
+  const [leaderboardView, setLeaderboardView] = useState('teams'); // 'teams' or 'players' in team mode
+  const [lobby, setLobby] = useState(null); // { phase, countdownMs, ready, looks } - see lib/lobby.js
+  const [lobbyDeadline, setLobbyDeadline] = useState(null);
+  const [lobbySecondsLeft, setLobbySecondsLeft] = useState(0);
+  const [lookOptions, setLookOptions] = useState({ avatars: [], colors: [] });
   
-  // Refs for input elements
-  const titleInputRef = useRef(null);
-  const artistInputRef = useRef(null);
-  const lyricsInputRef = useRef(null);
+  // Refs for input elements, by category id
+  const inputRefs = useRef({});
 
   useEffect(() => {
-    // Get player name from navigation state
-    if (location.state?.playerName) {
-      setPlayerName(location.state.playerName);
+    // Get player name from navigation state, or after a refresh from the stored session
+    const joinDetails = location.state?.playerName ? location.state : loadPlayerSession();
+    if (joinDetails) {
+      setPlayerName(joinDetails.playerName);
     } else {
       navigate('/');
       return;
     }
+    // Rejoining under the same name needs the session token the server issued for it
+    let sessionToken = sessionTokenFor(joinDetails.playerName, joinDetails.gameCode);
+
+    // The stored session is of no more use once this player is out of the game
+    const forgetSession = () => {
+      if (sessionTokenFor(joinDetails.playerName, joinDetails.gameCode)) {
+        clearPlayerSession();
+      }
+    };
+    const leaveGame = (delayMs) => {
+      forgetSession();
+      setTimeout(() => {
+        navigate('/');
+      }, delayMs);
+    };
 
     // Initialize Socket.IO connection
     const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://127.0.0.1:5001';
@@ -48,13 +92,30 @@ const PlayerPage = () => {
     // Socket event listeners
     newSocket.on('connect', () => {
       log('Connected to server with socket ID:', newSocket.id);
-      // Join with game code
+      // Join with game code - also on every reconnect after a dropped connection
       newSocket.emit('playerJoin', { 
-        playerName: location.state.playerName,
-        gameCode: location.state.gameCode 
+        playerName: joinDetails.playerName,
+        gameCode: joinDetails.gameCode,
+        team: joinDetails.team,
+        pin: joinDetails.pin,
+        sessionToken
       });
     });
 
+    newSocket.on('playerSession', (data) => {
+      log('Player session issued for', data.playerName);
+      sessionToken = data.sessionToken;
+      savePlayerSession(data);
+    });
+
+    // This player joined the game from another window
+    newSocket.on('sessionReplaced', (data) => {
+      setMessage(data.error, 'error');
+      setTimeout(() => {
+        navigate('/');
+      }, 3000);
+    });
+
     newSocket.on('connect_error', (error) => {
       logError('Socket connection error:', error);
     });
@@ -67,17 +128,16 @@ const PlayerPage = () => {
       logError('Game code invalid:', data.error);
       setMessage(data.error, 'error');
       // Redirect back to landing page after a short delay
-      setTimeout(() => {
-        navigate('/');
-      }, 3000);
+      leaveGame(3000);
     });
 
     newSocket.on('gameEnded', (data) => {
       log('Game ended:', data.message);
-      setMessage(data.message, 'error');
-      // Redirect back to landing page after a short delay
+      setMessage(data.resultsId ? `${data.message} Showing the final results...` : data.message, 'error');
+      // Go to the game's results (or back to the landing page) after a short delay
+      forgetSession();
       setTimeout(() => {
-        navigate('/');
+        navigate(data.resultsId ? `/results/${data.resultsId}` : '/');
       }, 5000);
     });
 
@@ -88,16 +148,121 @@ const PlayerPage = () => {
       setScores(gameState.scores || {});
       setIsPlaying(gameState.isPlaying);
       setGuessedParts(gameState.guessedParts || { artist: false, title: false, lyrics: false });
+      setCategories(gameState.categories || []);
+      setFinishTheLine(!!gameState.finishTheLine);
+      updateLyricChallenge(gameState.lyricChallenge);
+      setChoices(gameState.choices || null);
+      setScoringRules(gameState.scoringRules || null);
+      updateRoundTimer(gameState.roundTimer);
+      updateSnippet(gameState.snippet);
+      setRevealedAnswer(gameState.revealedAnswer || null);
+      setRevealedParts(gameState.revealedParts || []);
+      setHints(gameState.hints || []);
+      setTeams(gameState.teams || []);
+      setPlayerTeams(gameState.playerTeams || {});
+      updateLobby(gameState.lobby);
+      setLookOptions(gameState.lookOptions || { avatars: [], colors: [] });
+      if ((gameState.revealedParts || []).length > 0) {
+        setCanGuess(false);
+      }
+    });
+
+    newSocket.on('roundTimer', (timer) => {
+      log('Round timer:', timer);
+      updateRoundTimer(timer);
+    });
+
+    newSocket.on('snippetClip', (clip) => {
+      log('Snippet clip:', clip);
+      updateSnippet(clip);
+      if (clip) {
+        setIsPlaying(clip.phase === 'playing');
+      }
+    });
+
+    newSocket.on('lobbyUpdated', (data) => {
+      log('Lobby updated:', data);
+      updateLobby(data);
+    });
+
+    newSocket.on('teamsUpdated', (data) => {
+      log('Teams updated:', data);
+      setTeams(data.teams || []);
+      setPlayerTeams(data.playerTeams || {});
+    });
+
+    newSocket.on('hintReleased', (data) => {
+      log('Hint released:', data.hint);
+      setHints(data.hints || []);
+      setMessage(`💡 New hint - ${data.hint.label}: ${data.hint.text}`, 'info');
+      setMessageType('info');
+    });
+
+    newSocket.on('answerRevealed', (answer) => {
+      log('Answer revealed:', answer);
+      setRevealedAnswer(answer);
+      setRevealedParts(answer.revealedParts || []);
+      setCanGuess(false);
+      const answerText = `"${answer.name}" by ${answer.artists.join(', ')}`;
+      if (answer.reason === 'timeUp') {
+        setMessage(`⏱️ Time's up! The song was ${answerText}.`, 'info');
+        setMessageType('info');
+      } else if (answer.reason === 'allGuessed') {
+        setMessage(`Round complete! The song was ${answerText}.`, 'success');
+        setMessageType('success');
+      } else {
+        setMessage(`The answer has been revealed: ${answerText}.`, 'info');
+        setMessageType('info');
+      }
+    });
+
+    newSocket.on('scoringRulesChanged', (data) => {
+      log('Scoring rules changed:', data.scoringRules);
+      setScoringRules(data.scoringRules);
+      setMessage('The admin changed the scoring rules - check How to Play for the new point values.');
+      setMessageType('info');
+    });
+
+    newSocket.on('scoresUpdated', (data) => {
+      setPlayers(data.players || {});
+      setScores(data.scores || {});
+    });
+
+    newSocket.on('roundTypeChanged', (data) => {
+      log('Round type changed:', data.roundType);
+      setFinishTheLine(!!data.finishTheLine);
+      setChoices(data.choices || null);
+      if (data.guessedParts) {
+        setGuessedParts(data.guessedParts);
+      }
+      if (data.finishTheLine) {
+        setMessage('Finish the line! Type the next lyric line before it is sung.');
+        setMessageType('info');
+      } else if (data.choices) {
+        setMessage('Multiple choice! Pick the title and the artist, then lock in your answer - the faster, the more points.');
+        setMessageType('info');
+      }
+    });
+
+    newSocket.on('lyricChallenge', (challenge) => {
+      log('Received lyric challenge:', challenge);
+      updateLyricChallenge(challenge);
     });
 
     newSocket.on('newSong', (song) => {
       log('Received new song:', song);
       setCurrentSong(song);
+      setRevealedAnswer(null);
+      setRevealedParts(song.revealedParts || []);
+      setHints(song.hints || []);
       setIsPlaying(true);
-      setLyricsAvailable(song.lyricsAvailable !== false);
+      setFinishTheLine(!!song.finishTheLine);
+      setChoices(song.choices || null);
+      setMyPicks({});
+      setAnswerLocked(false);
       
       // Clear input fields for new song
-      setGuess({ artist: '', title: '', lyrics: '' });
+      setGuess({});
       setLyricsLetterCount(0);
       
       // Check if this song has any previous progress
@@ -112,10 +277,15 @@ const PlayerPage = () => {
         song.guessedParts.title && 
         (song.guessedParts.lyrics === true || song.guessedParts.lyrics === null);
       
+      const wasRevealed = (song.revealedParts || []).length > 0;
+      
       setGuessedParts(song.guessedParts || { artist: false, title: false, lyrics: false });
-      setCanGuess(!isCompleted);
+      setCanGuess(!isCompleted && !wasRevealed);
       
-      if (isCompleted) {
+      if (wasRevealed) {
+        setMessage('The answer to this song was already revealed. Wait for the next song!', 'info');
+        setMessageType('info');
+      } else if (isCompleted) {
         setMessage('This song has already been completed! All parts have been guessed.', 'info');
         setMessageType('info');
       } else if (hasProgress) {
@@ -150,16 +320,21 @@ const PlayerPage = () => {
     });
 
     newSocket.on('correctGuess', (data) => {
+      if (data.song) {
+        setCurrentSong(data.song);
+      }
       setPlayers(data.players || {});
       setScores(data.scores || {});
       setGuessedParts(data.guessedParts || { artist: false, title: false, lyrics: false });
       
       // Clear input fields for parts that were just guessed correctly
-      const newGuess = { ...guess };
-      data.correctParts.forEach(part => {
-        newGuess[part] = '';
+      setGuess(prev => {
+        const newGuess = { ...prev };
+        data.correctParts.forEach(part => {
+          newGuess[part] = '';
+        });
+        return newGuess;
       });
-      setGuess(newGuess);
       
       // Reset lyrics letter count if lyrics were guessed
       if (data.correctParts.includes('lyrics')) {
@@ -171,24 +346,34 @@ const PlayerPage = () => {
         setCanGuess(false);
         let message = `Round complete. All parts of the song have been guessed!`;
         if (data.bonusAwarded) {
-          message += ` 🏆 ${data.playerName} earned a bonus point for completing all parts first!`;
+          message += data.bonusTeam
+            ? ` 🏆 Team ${data.bonusTeam} earned a bonus for completing all parts without help from the other teams!`
+            : ` 🏆 ${data.playerName} earned a bonus for completing all parts alone!`;
         }
         setMessage(message, 'success');
       } else {
         const correctPartsText = data.correctParts.map(part => {
           switch(part) {
             case 'artist': return 'artist';
+            case 'album': return 'album';
             case 'title': return 'song title';
             case 'lyrics': return 'lyrics';
+            case 'year': return 'release year';
             default: return part;
           }
         }).join(', ');
-        setMessage(`🎉 ${data.playerName} guessed the ${correctPartsText} correctly!`, 'success');
+        const pointsText = data.pointsAwarded !== undefined ? ` (+${data.pointsAwarded} ${data.pointsAwarded === 1 ? 'point' : 'points'})` : '';
+        const closeText = (data.partialParts || []).length > 0 ? ' Close enough for partial credit!' : '';
+        setMessage(`🎉 ${data.playerName} guessed the ${correctPartsText} correctly!${pointsText}${closeText}`, 'success');
       }
     });
 
-    newSocket.on('incorrectGuess', () => {
-      setMessage('Incorrect guess. Try again!', 'error');
+    newSocket.on('incorrectGuess', (data) => {
+      if (data && data.penalty > 0) {
+        setMessage(`Incorrect guess. -${data.penalty} ${data.penalty === 1 ? 'point' : 'points'}. Try again!`, 'error');
+      } else {
+        setMessage('Incorrect guess. Try again!', 'error');
+      }
     });
 
     newSocket.on('validationError', (data) => {
@@ -198,9 +383,14 @@ const PlayerPage = () => {
     newSocket.on('usernameTaken', (data) => {
       setMessage(data.error, 'error');
       // Redirect back to landing page after a short delay
-      setTimeout(() => {
-        navigate('/');
-      }, 3000);
+      leaveGame(3000);
+    });
+
+    // The name is claimed and the PIN was missing or wrong
+    newSocket.on('profilePinRequired', (data) => {
+      setMessage(data.error, 'error');
+      // Redirect back to landing page after a short delay
+      leaveGame(3000);
     });
 
     newSocket.on('scoresReset', () => {
@@ -211,12 +401,10 @@ const PlayerPage = () => {
     newSocket.on('playerKicked', (data) => {
       setPlayers(data.players || {});
       setScores(data.scores || {});
-      if (data.playerName === playerName) {
+      if (data.playerName === joinDetails.playerName) {
         setMessage(`You have been kicked from the game. Reason: ${data.reason}`, 'error');
         // Redirect back to landing page after a short delay
-        setTimeout(() => {
-          navigate('/');
-        }, 5000);
+        leaveGame(5000);
       } else {
         setMessage(`${data.playerName} has been kicked from the game.`, 'info');
       }
@@ -235,37 +423,87 @@ const PlayerPage = () => {
     };
   }, [location.state, navigate]);
 
+  // Count down until the line to finish is sung
+  useEffect(() => {
+    if (!lyricChallenge || !challengeDeadline) {
+      setChallengeSecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setChallengeSecondsLeft(Math.max(0, Math.ceil((challengeDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    if (!lyricChallenge.isPlaying) return;
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [lyricChallenge, challengeDeadline]);
+
+  // Count down the auto-host round or intermission
+  useEffect(() => {
+    if (!roundTimer || !roundDeadline) {
+      setRoundSecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setRoundSecondsLeft(Math.max(0, Math.ceil((roundDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    if (!roundTimer.isRunning) return;
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [roundTimer, roundDeadline]);
+
+  // Count down to the start of the game
+  useEffect(() => {
+    if (!lobbyDeadline) {
+      setLobbySecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setLobbySecondsLeft(Math.max(0, Math.ceil((lobbyDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [lobbyDeadline]);
+
+  // Count down to the next snippet clip
+  useEffect(() => {
+    if (!snippetDeadline) {
+      setSnippetSecondsLeft(0);
+      return;
+    }
+    
+    const tick = () => {
+      setSnippetSecondsLeft(Math.max(0, Math.ceil((snippetDeadline - Date.now()) / 1000)));
+    };
+    tick();
+    
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [snippetDeadline]);
+
   // Determine which input should be active based on guessed parts
   useEffect(() => {
-    if (!guessedParts.title) {
-      setActiveInput('title');
-    } else if (!guessedParts.artist) {
-      setActiveInput('artist');
-    } else if (!guessedParts.lyrics) {
-      setActiveInput('lyrics');
+    const nextOpen = categories.find(category => guessedParts[category.id] === false);
+    if (nextOpen) {
+      setActiveInput(nextOpen.id);
     }
-  }, [guessedParts]);
+  }, [categories, guessedParts]);
 
   // Focus the active input when it changes
   useEffect(() => {
     if (canGuess && currentSong) {
       const focusInput = () => {
-        switch (activeInput) {
-          case 'title':
-            if (titleInputRef.current && !guessedParts.title) {
-              titleInputRef.current.focus();
-            }
-            break;
-          case 'artist':
-            if (artistInputRef.current && !guessedParts.artist) {
-              artistInputRef.current.focus();
-            }
-            break;
-          case 'lyrics':
-            if (lyricsInputRef.current && !guessedParts.lyrics) {
-              lyricsInputRef.current.focus();
-            }
-            break;
+        const input = inputRefs.current[activeInput];
+        if (input && guessedParts[activeInput] === false) {
+          input.focus();
         }
       };
       
@@ -274,6 +512,39 @@ const PlayerPage = () => {
     }
   }, [activeInput, canGuess, currentSong, guessedParts]);
 
+  function updateRoundTimer(timer) {
+    setRoundTimer(timer || null);
+    setRoundDeadline(timer ? Date.now() + timer.remainingMs : null);
+  }
+
+  function updateSnippet(clip) {
+    setSnippet(clip || null);
+    setSnippetDeadline(clip && clip.nextClipInMs !== null ? Date.now() + clip.nextClipInMs : null);
+  }
+
+  function updateLobby(data) {
+    setLobby(data || null);
+    setLobbyDeadline(data && data.countdownMs !== null ? Date.now() + data.countdownMs : null);
+  }
+
+  function updateLyricChallenge(challenge) {
+    setLyricChallenge(challenge || null);
+    setChallengeDeadline(challenge ? Date.now() + challenge.closesInMs : null);
+  }
+
+  // The server only sends the album cover once the album is guessed or revealed. Until the rest
+  // of the song is guessed too it stays blurred, sharpening with every part; once the answer is
+  // revealed it is shown clearly
+  const coverBlurPx = () => {
+    if (revealedAnswer) return 0;
+    const partsInPlay = categories.filter(category => guessedParts[category.id] === true || guessedParts[category.id] === false);
+    if (partsInPlay.length === 0) return MAX_COVER_BLUR_PX;
+    const guessedCount = partsInPlay.filter(category => guessedParts[category.id] === true).length;
+    return Math.round(MAX_COVER_BLUR_PX * (1 - guessedCount / partsInPlay.length));
+  };
+
+  const hasGuess = Object.values(guess).some(text => text);
+
   const handleGuessSubmit = (e) => {
     e.preventDefault();
     
@@ -282,14 +553,86 @@ const PlayerPage = () => {
       return;
     }
 
-    const { artist, title, lyrics } = guess;
-    if (!artist && !title && !lyrics) {
+    if (!hasGuess) {
       setMessage('Please enter at least one guess!', 'error');
       return;
     }
 
-    socket.emit('makeGuess', { artist, title, lyrics });
-    setGuess({ artist: '', title: '', lyrics: '' });
+    socket.emit('makeGuess', guess);
+    setGuess({});
+  };
+
+  const handleGuessKeyDown = (e) => {
+    if (e.key === 'Enter' && hasGuess) {
+      e.preventDefault();
+      handleGuessSubmit(e);
+    }
+  };
+
+  // One input per category; lyrics also count letters and turn into the finish-the-line answer
+  const renderGuessInput = (category) => {
+    const status = guessedParts[category.id]; // true = guessed, false = open, null = not played
+    const isLyrics = category.id === 'lyrics';
+    const placeholder = status === true ? `${category.label} already guessed ✓`
+      : status === null ? `${category.label} not available ✗`
+      : isLyrics && finishTheLine ? 'Finish the line'
+      : category.placeholder;
+    const input = (
+      <input
+        key={category.id}
+        ref={(element) => { inputRefs.current[category.id] = element; }}
+        type="text"
+        className={`input ${status !== false ? 'disabled' : ''} ${isLyrics && !finishTheLine && lyricsLetterCount > 0 && lyricsLetterCount < 12 ? 'input-warning' : ''}`}
+        placeholder={placeholder}
+        value={guess[category.id] || ''}
+        onChange={(e) => handleInputChange(category.id, e.target.value)}
+        onKeyDown={handleGuessKeyDown}
+        enterKeyHint="done"
+        disabled={status !== false}
+        maxLength={100}
+      />
+    );
+    if (!isLyrics) return input;
+    
+    return (
+      <div key={category.id} className="lyrics-input-container">
+        {input}
+        {guess.lyrics && status === false && !finishTheLine && (
+          <div className="letter-count">
+            {lyricsLetterCount}/12 letters
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Multiple choice: taps pick options, and locking in sends them all as the player's one answer
+  const handleChoicePick = (part, index) => {
+    if (!canGuess || guessedParts[part] || answerLocked) return;
+    setMyPicks(prev => ({ ...prev, [part]: index }));
+  };
+
+  const handleLockIn = () => {
+    const answer = {};
+    Object.entries(myPicks).forEach(([part, index]) => {
+      if (!guessedParts[part]) answer[`${part}Choice`] = index;
+    });
+    if (!canGuess || answerLocked || Object.keys(answer).length === 0) return;
+    
+    socket.emit('makeGuess', answer);
+    setAnswerLocked(true);
+  };
+
+  const handleReadyToggle = () => {
+    if (socket) {
+      socket.emit('setReady', { ready: !isReady });
+    }
+  };
+
+  const handleLookPick = (look) => {
+    if (socket) {
+      socket.emit('setLook', look);
+    }
   };
 
   const handleInputChange = (field, value) => {
@@ -320,10 +663,19 @@ const PlayerPage = () => {
   };
 
   const myScore = (scores && scores[playerName]) || 0;
+  const myTeam = playerTeams[playerName];
+  const showTeams = teams.length > 0 && leaderboardView === 'teams';
+  // The server leaves out each part of the song until it is guessed or revealed
+  const shownSong = revealedAnswer ? { ...currentSong, ...revealedAnswer } : currentSong;
+  const looks = (lobby && lobby.looks) || {};
+  const myLook = looks[playerName];
+  const isReady = !!lobby && lobby.ready.includes(playerName);
+  const inLobby = !currentSong && !!lobby && lobby.phase !== 'playing';
+  const lobbyPlayers = [...new Set(Object.values(players || {}))];
 
   return (
     <div className="container">
-      <h1 className="title">Player: {playerName}</h1>
+      <h1 className="title"><PlayerAvatar look={myLook} size="large" /> Player: {playerName}</h1>
       
       {message && (
         <div className="card" style={getMessageStyle()}>
@@ -336,89 +688,100 @@ const PlayerPage = () => {
         <div className="card">
           <h2 className="subtitle">Make Your Guess</h2>
           
-          {/* Progress Indicator */}
-          <div className="progress-indicator mb-20">
-            <div className="progress-item">
-              <span className={`progress-dot ${guessedParts.title ? 'guessed' : ''}`}>🎵</span>
-              <span className="progress-label">Title {guessedParts.title ? '✓' : ''}</span>
+          {roundTimer && (
+            <div className={`round-timer ${roundTimer.phase === 'round' && roundSecondsLeft <= 10 ? 'ending' : ''}`}>
+              {roundTimer.phase === 'round'
+                ? `⏱️ ${roundSecondsLeft}s left in this round`
+                : `Next song in ${roundSecondsLeft}s`}
+              {!roundTimer.isRunning && ' (paused)'}
             </div>
-            <div className="progress-item">
-              <span className={`progress-dot ${guessedParts.artist ? 'guessed' : ''}`}>🎤</span>
-              <span className="progress-label">Artist {guessedParts.artist ? '✓' : ''}</span>
+          )}
+          
+          {snippet && (
+            <div className="snippet-status">
+              🎧 Clip {snippet.step + 1} of {snippet.stepCount}: {snippet.clipMs / 1000} second{snippet.clipMs === 1000 ? '' : 's'}
+              {snippet.phase === 'waiting' && ` - a longer clip plays in ${snippetSecondsLeft}s`}
+              {snippet.phase === 'finished' && ' - that was the longest clip'}
             </div>
-            <div className="progress-item">
-              <span className={`progress-dot ${guessedParts.lyrics ? 'guessed' : ''}`}>📝</span>
-              <span className="progress-label">Lyrics {guessedParts.lyrics ? '✓' : !lyricsAvailable ? '✗' : ''}</span>
+          )}
+          
+          {hints.length > 0 && (
+            <div className="hint-list">
+              {hints.map(hint => (
+                <p key={hint.type}>💡 {hint.label}: <span className="hint-text">{hint.text}</span></p>
+              ))}
             </div>
+          )}
+          
+          {/* Progress Indicator */}
+          <div className="progress-indicator mb-20">
+            {categories.filter(category => !choices || choices[category.id]).map(category => (
+              <div key={category.id} className="progress-item">
+                <span className={`progress-dot ${guessedParts[category.id] ? 'guessed' : ''}`}>{category.icon}</span>
+                <span className="progress-label">
+                  {category.label} {guessedParts[category.id] ? '✓' : guessedParts[category.id] === null ? '✗' : ''}
+                </span>
+              </div>
+            ))}
           </div>
           
-          {canGuess && (
+          {canGuess && choices && (
+            <div className="choice-groups">
+              {categories.filter(category => choices[category.id]).map(({ id: part, label, icon }) => (
+                <div key={part} className="choice-group">
+                  <h4>{icon} {label} {guessedParts[part] ? '✓' : ''}</h4>
+                  <div className="choice-grid">
+                    {choices[part].map((option, index) => (
+                      <button
+                        key={option}
+                        type="button"
+                        className={`choice-button ${myPicks[part] === index ? 'picked' : ''}`}
+                        onClick={() => handleChoicePick(part, index)}
+                        disabled={guessedParts[part] || answerLocked}
+                      >
+                        {option}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <div className="flex-center">
+                <button
+                  type="button"
+                  className="btn"
+                  onClick={handleLockIn}
+                  disabled={answerLocked || !Object.keys(myPicks).some(part => !guessedParts[part])}
+                >
+                  {answerLocked ? 'Answer Locked In' : 'Lock In Answer'}
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {canGuess && !choices && (
             <form onSubmit={handleGuessSubmit} className="guess-form">
-              <div className="guess-input">
-                <input
-                  ref={titleInputRef}
-                  type="text"
-                  className={`input ${guessedParts.title ? 'disabled' : ''}`}
-                  placeholder={guessedParts.title ? "Title already guessed ✓" : "Song title"}
-                  value={guess.title}
-                  onChange={(e) => handleInputChange('title', e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && (guess.artist || guess.title || guess.lyrics)) {
-                      e.preventDefault();
-                      handleGuessSubmit(e);
-                    }
-                  }}
-                  enterKeyHint="done"
-                  disabled={guessedParts.title}
-                  maxLength={100}
-                />
-                <input
-                  ref={artistInputRef}
-                  type="text"
-                  className={`input ${guessedParts.artist ? 'disabled' : ''}`}
-                  placeholder={guessedParts.artist ? "Artist already guessed ✓" : "Artist name"}
-                  value={guess.artist}
-                  onChange={(e) => handleInputChange('artist', e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && (guess.artist || guess.title || guess.lyrics)) {
-                      e.preventDefault();
-                      handleGuessSubmit(e);
-                    }
-                  }}
-                  enterKeyHint="done"
-                  disabled={guessedParts.artist}
-                  maxLength={100}
-                />
-                <div className="lyrics-input-container">
-                  <input
-                    ref={lyricsInputRef}
-                    type="text"
-                    className={`input ${guessedParts.lyrics ? 'disabled' : ''} ${!lyricsAvailable ? 'disabled' : ''} ${lyricsLetterCount > 0 && lyricsLetterCount < 12 ? 'input-warning' : ''}`}
-                    placeholder={guessedParts.lyrics ? "Lyrics already guessed ✓" : !lyricsAvailable ? "Lyrics not available ✗" : "Lyrics (min 12 letters)"}
-                    value={guess.lyrics}
-                    onChange={(e) => handleInputChange('lyrics', e.target.value)}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter' && (guess.artist || guess.title || guess.lyrics)) {
-                        e.preventDefault();
-                        handleGuessSubmit(e);
-                      }
-                    }}
-                    enterKeyHint="done"
-                    disabled={guessedParts.lyrics || !lyricsAvailable}
-                    maxLength={100}
-                  />
-                  {guess.lyrics && !guessedParts.lyrics && lyricsAvailable && (
-                    <div className="letter-count">
-                      {lyricsLetterCount}/12 letters
-                    </div>
+              {finishTheLine && !guessedParts.lyrics && (
+                <div className="lyric-challenge">
+                  {lyricChallenge ? (
+                    <>
+                      <div className="lyric-challenge-prompt">"{lyricChallenge.promptLine}" ...</div>
+                      <div className="lyric-challenge-meta">
+                        Type the next line ({lyricChallenge.wordCount} words) - {lyricChallenge.isPlaying ? `${challengeSecondsLeft}s left` : 'paused'}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="lyric-challenge-meta">Waiting for the next line to be sung...</div>
                   )}
                 </div>
+              )}
+              <div className="guess-input">
+                {categories.map(renderGuessInput)}
               </div>
               <div className="flex-center">
                 <button 
                   type="submit" 
                   className="btn"
-                  disabled={!guess.artist && !guess.title && !guess.lyrics}
+                  disabled={!hasGuess}
                 >
                   Submit Guess
                 </button>
@@ -428,8 +791,12 @@ const PlayerPage = () => {
           
           <p className="text-center" style={{ fontSize: '0.9rem', color: '#666' }}>
             {canGuess 
-              ? "Guess the artist, song title, or lyrics! You can use apostrophes, quotes, and other common characters. Lyrics must be at least 12 letters. Each correct guess earns 1 point."
-              : "All parts of this song have been guessed! Wait for the next song to start guessing again."
+              ? choices
+                ? "Pick the song title and the artist, then lock in your answer! You get one answer per song, the first player to pick the right option earns the points, and faster answers earn a speed bonus."
+                : "Guess the artist, song title, album, lyrics or release year! You can use apostrophes, quotes, and other common characters. Lyrics must be at least 12 letters. Each correct guess earns points."
+              : revealedParts.length > 0
+                ? "The answer to this song has been revealed! Wait for the next song to start guessing again."
+                : "All parts of this song have been guessed! Wait for the next song to start guessing again."
             }
           </p>
         </div>
@@ -440,14 +807,91 @@ const PlayerPage = () => {
         <div className="card">
           <h2 className="subtitle">Now Playing</h2>
           <div className="now-playing">
-            <h3>{guessedParts.title ? currentSong.name : '???'}</h3>
-            <p>by {guessedParts.artist ? currentSong.artists.join(', ') : '???'}</p>
+            {shownSong.albumArt ? (
+              <div className="album-cover">
+                <img
+                  src={shownSong.albumArt}
+                  alt={shownSong.album ? `${shownSong.album} cover` : 'Album cover'}
+                  style={{ filter: `blur(${coverBlurPx()}px)` }}
+                />
+              </div>
+            ) : (
+              <div className="album-cover album-cover-hidden" title="Guess the album to see its cover">💿</div>
+            )}
+            <h3>{shownSong.name || '???'}</h3>
+            <p>by {shownSong.artists ? shownSong.artists.join(', ') : '???'}</p>
+            {shownSong.album && <p>Album: {shownSong.album}</p>}
+            {shownSong.releaseYear && <p>Released: {shownSong.releaseYear}</p>}
+            {revealedAnswer && revealedAnswer.lyricExcerpt && (
+              <div className="lyric-excerpt">
+                {revealedAnswer.lyricExcerpt.lines.map((line, index) => (
+                  <p key={index} className={index === revealedAnswer.lyricExcerpt.highlightIndex ? 'highlighted' : ''}>
+                    {line}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Lobby */}
+      {inLobby && (
+        <div className="card">
+          <h2 className="subtitle">Lobby</h2>
+          {lobby.phase === 'countdown' ? (
+            <div className="lobby-countdown">
+              <span>Get ready! The first song starts in</span>
+              <strong>{lobbySecondsLeft}</strong>
+            </div>
+          ) : (
+            <div className="flex-center mb-20">
+              <button className={`btn ${isReady ? 'btn-secondary' : ''}`} onClick={handleReadyToggle}>
+                {isReady ? '✓ Ready - tap if you need a moment' : "I'm Ready!"}
+              </button>
+            </div>
+          )}
+
+          <div className="lobby-players mb-20">
+            {lobbyPlayers.map(name => (
+              <div key={name} className={`lobby-player ${lobby.ready.includes(name) ? 'ready' : ''}`}>
+                <PlayerAvatar look={looks[name]} size="large" />
+                <span>{name === playerName ? `${name} (You)` : name}</span>
+                <span className="lobby-player-status">{lobby.ready.includes(name) ? 'Ready' : 'Not ready'}</span>
+              </div>
+            ))}
+          </div>
+
+          <h3>Pick your look</h3>
+          <div className="look-picker">
+            {lookOptions.avatars.map(avatar => (
+              <button
+                key={avatar}
+                type="button"
+                className={`look-option ${myLook && myLook.avatar === avatar ? 'picked' : ''}`}
+                onClick={() => handleLookPick({ avatar })}
+              >
+                {avatar}
+              </button>
+            ))}
+          </div>
+          <div className="look-picker">
+            {lookOptions.colors.map(color => (
+              <button
+                key={color}
+                type="button"
+                className={`look-option color ${myLook && myLook.color === color ? 'picked' : ''}`}
+                style={{ background: color }}
+                onClick={() => handleLookPick({ color })}
+                aria-label={`Colour ${color}`}
+              />
+            ))}
           </div>
         </div>
       )}
 
       {/* Game Status */}
-      {!currentSong && (
+      {!currentSong && !inLobby && (
         <div className="card">
           <h2 className="subtitle">Game Status</h2>
           <p className="text-center">Waiting for admin to start playing music...</p>
@@ -459,16 +903,45 @@ const PlayerPage = () => {
         <h2 className="subtitle">Leaderboard</h2>
         <div className="flex-between mb-20">
           <span>Total Players: {Object.keys(players || {}).length} </span>
+          {myTeam && <span>Your Team: {myTeam}</span>}
           <span>Your Score: {myScore}</span>
         </div>
+        {teams.length > 0 && (
+          <div className="flex flex-center mb-20">
+            <button
+              className={`btn ${leaderboardView === 'teams' ? '' : 'btn-secondary'}`}
+              onClick={() => setLeaderboardView('teams')}
+            >
+              Teams
+            </button>
+            <button
+              className={`btn ${leaderboardView === 'players' ? '' : 'btn-secondary'}`}
+              onClick={() => setLeaderboardView('players')}
+            >
+              Players
+            </button>
+          </div>
+        )}
         
-        {Object.keys(scores || {}).length > 0 ? (
+        {showTeams ? (
+          <div className="player-list">
+            {teamStandings(teams, playerTeams, scores).map(team => (
+              <div key={team.name} className="player-item">
+                <span>{team.name === myTeam ? `👥 ${team.name} (Your team)` : team.name} - {team.members.length} player(s)</span>
+                <span className="score">{team.score} points</span>
+              </div>
+            ))}
+          </div>
+        ) : Object.keys(scores || {}).length > 0 ? (
           <div className="player-list">
             {Object.entries(scores || {})
               .sort(([,a], [,b]) => b - a)
               .map(([name, score]) => (
                 <div key={name} className="player-item">
-                  <span>{name === playerName ? `👤 ${name} (You)` : name}</span>
+                  <span>
+                    <PlayerAvatar look={looks[name]} /> {name === playerName ? `${name} (You)` : name}
+                    {playerTeams[name] && <span className="team-tag">{playerTeams[name]}</span>}
+                  </span>
                   <span className="score">{score} points</span>
                 </div>
               ))}
@@ -478,18 +951,54 @@ const PlayerPage = () => {
         )}
       </div>
 
+      <PlayerProfile playerName={playerName} />
+
       {/* Game Instructions */}
       <div className="card">
         <h2 className="subtitle">How to Play</h2>
         <ul>
           <li>Listen to the music being played by the admin.</li>
-          <li>Guess the song title, artist, and any lyrics.</li>
+          <li>Guess the song title, artist, album, any lyrics and the year the song came out.</li>
+          <li>The album cover gets sharper with every part of the song that is guessed.</li>
           <li>Song titles: Parentheses and special characters are ignored.</li>
           <li>Artist names: All special characters are ignored.</li>
           <li>Lyrics guesses must be at least 12 letters long.</li>
+          <li>Years: type a year like 1985 or a decade like 80s.</li>
+          <li>In "finish the line" rounds, type the line that comes next before it is sung.</li>
+          <li>In multiple-choice rounds, tap the title and the artist - one pick each, so choose carefully.</li>
+          <li>In snippet mode you only hear a short clip of the song - a longer one plays each time nobody gets it.</li>
           <li>Punctuation and special characters are ignored in lyrics</li>
-          <li>Each correct guess earns one point.</li>
-          <li>If you guess all three items correctly, you earn one bonus point!</li>
+          {scoringRules ? (
+            <>
+              <li>Correct guesses earn {scoringRules.points.title} point(s) for the title, {scoringRules.points.artist} for the artist, {scoringRules.points.album} for the album, {scoringRules.points.lyrics} for lyrics and {scoringRules.points.year} for the exact year.</li>
+              <li>
+                The right decade{scoringRules.yearRange > 0 ? `, or a year at most ${scoringRules.yearRange} off,` : ''} earns half the year points.
+              </li>
+              {scoringRules.speedBonus > 0 && (
+                <li>Guess fast: up to {scoringRules.speedBonus} extra point(s), shrinking to nothing {scoringRules.speedBonusWindowSeconds} seconds into the song.</li>
+              )}
+              {scoringRules.firstGuessBonus > 0 && (
+                <li>The first correct guess of each song earns {scoringRules.firstGuessBonus} extra point(s).</li>
+              )}
+              {scoringRules.wrongGuessPenalty > 0 && (
+                <li>Careful: each wrong guess costs {scoringRules.wrongGuessPenalty} point(s).</li>
+              )}
+              {scoringRules.soloCompletionBonus > 0 && (
+                <li>If you guess every item correctly on your own, you earn {scoringRules.soloCompletionBonus} bonus point(s)!</li>
+              )}
+              {scoringRules.snippetBonus > 0 && (
+                <li>In snippet mode, a guess on the first clip earns {scoringRules.snippetBonus} extra point(s), less on each longer clip and nothing on the last one.</li>
+              )}
+              {scoringRules.hintPenalty > 0 && (
+                <li>Hints cost: each hint about the title, artist, album, lyrics or year makes that part worth {scoringRules.hintPenalty} point(s) less.</li>
+              )}
+            </>
+          ) : (
+            <>
+              <li>Each correct guess earns one point.</li>
+              <li>If you guess every item correctly, you earn one bonus point!</li>
+            </>
+          )}
           <li>Once all items are guessed correctly, guessing for that song is disabled</li>
           <li>When a new song starts, you can begin guessing again.</li>
         </ul>
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useLogging } from '../contexts/LoggingContext';
+
+const formatPercent = (accuracy) => (accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`);
+
+const formatSeconds = (ms) => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+
+// A player's lifetime statistics, or a form to claim their name with a PIN when nobody has
+const PlayerProfile = ({ playerName }) => {
+  const { log, logError } = useLogging();
+  const [profile, setProfile] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [unclaimed, setUnclaimed] = useState(false);
+  const [pin, setPin] = useState('');
+  const [claiming, setClaiming] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadProfile = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/profiles/${encodeURIComponent(playerName)}`);
+      log('Player profile:', response.data);
+      setProfile(response.data);
+      setCategories(response.data.categories || []);
+      setUnclaimed(false);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setUnclaimed(true);
+      } else {
+        setError('Failed to load your profile: ' + (error.response?.data?.error || error.message));
+        logError('Profile error:', error);
+      }
+    }
+  }, [playerName, log, logError]);
+
+  useEffect(() => {
+    if (playerName) loadProfile();
+  }, [playerName, loadProfile]);
+
+  const handleClaim = async (e) => {
+    e.preventDefault();
+    setClaiming(true);
+    setError('');
+    try {
+      await axios.post('/api/profiles', { playerName, pin });
+      setPin('');
+      await loadProfile();
+    } catch (error) {
+      setError('Failed to claim your name: ' + (error.response?.data?.error || error.message));
+      logError('Claim name error:', error);
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  if (unclaimed) {
+    return (
+      <div className="card">
+        <h2 className="subtitle">Your Profile</h2>
+        <p className="mb-20">
+          Claim "{playerName}" with a PIN so nobody else can play as you, and keep your stats from every game you finish.
+        </p>
+        <form onSubmit={handleClaim} className="flex">
+          <input
+            type="password"
+            className="input"
+            placeholder="Choose a 4 to 8 digit PIN"
+            value={pin}
+            onChange={(e) => /^\d{0,8}$/.test(e.target.value) && setPin(e.target.value)}
+            inputMode="numeric"
+            autoComplete="new-password"
+          />
+          <button type="submit" className="btn" disabled={claiming || pin.length < 4}>
+            {claiming ? 'Claiming...' : '🪪 Claim Name'}
+          </button>
+        </form>
+        {error && <p className="error-text">{error}</p>}
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return error ? (
+      <div className="card">
+        <p className="error-text">{error}</p>
+      </div>
+    ) : null;
+  }
+
+  const { stats } = profile;
+  return (
+    <div className="card">
+      <h2 className="subtitle">🪪 {profile.name}'s Stats</h2>
+      {stats.gamesPlayed === 0 && (
+        <p className="results-song-album">Your stats show up here once you finish a game.</p>
+      )}
+      <div className="profile-stats">
+        <div><strong>{stats.gamesPlayed}</strong> games</div>
+        <div><strong>{stats.wins}</strong> wins</div>
+        <div><strong>{stats.totalPoints}</strong> points</div>
+        <div><strong>{stats.bestScore}</strong> best game</div>
+        <div><strong>{formatSeconds(stats.averageTimeToCorrectMs)}</strong> to a correct guess</div>
+      </div>
+      <div className="player-list mt-20">
+        {categories.filter(category => stats.categories[category.id]?.guesses > 0).map(category => (
+          <div key={category.id} className="player-item">
+            <span>{category.icon} {category.label}</span>
+            <span>
+              {stats.categories[category.id].correct}/{stats.categories[category.id].guesses} correct
+              <span className="score"> {formatPercent(stats.categories[category.id].accuracy)}</span>
+            </span>
+          </div>
+        ))}
+      </div>
+      {stats.favouriteArtists.length > 0 && (
+        <>
+          <h3 className="mt-20">Favourite Artists</h3>
+          <ol className="results-guesses">
+            {stats.favouriteArtists.map(artist => (
+              <li key={artist.name}>{artist.name} ({artist.songs} song{artist.songs === 1 ? '' : 's'})</li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayerProfile;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useLogging } from '../contexts/LoggingContext';
+
+const STATUS_LABELS = {
+  complete: 'Fully guessed',
+  partial: 'Partly guessed',
+  revealed: 'Answer revealed',
+  played: 'Nobody guessed it'
+};
+
+const formatDateTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Read-only results of a finished game. Anyone with the link can open it - players are sent
+// here when the game ends.
+const ResultsPage = () => {
+  const navigate = useNavigate();
+  const { resultsId } = useParams();
+  const { log, logError } = useLogging();
+  const [results, setResults] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [error, setError] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    const loadResults = async () => {
+      try {
+        const response = await axios.get(`/api/results/${resultsId}`);
+        log('Game results:', response.data.results);
+        setResults(response.data.results);
+        setCategories(response.data.categories || []);
+      } catch (error) {
+        setError('Failed to load the results: ' + (error.response?.data?.error || error.message));
+        logError('Results error:', error);
+      }
+    };
+    loadResults();
+  }, [resultsId, log, logError]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+    } catch (error) {
+      logError('Copy link error:', error);
+    }
+  };
+
+  const categoryLabel = (id) => {
+    const category = categories.find(entry => entry.id === id);
+    return category ? `${category.icon} ${category.label}` : id;
+  };
+
+  if (error) {
+    return (
+      <div className="container">
+        <div className="card text-center">
+          <p className="error-text">{error}</p>
+          <button className="btn" onClick={() => navigate('/')}>Back to Home</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!results) {
+    return (
+      <div className="container">
+        <p className="text-center">Loading results...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h1 className="title">Game Results</h1>
+
+      <div className="card">
+        <div className="flex-between">
+          <span>{results.playlistName || 'Unknown playlist'}</span>
+          <span>Game {results.gameCode} - ended {formatDateTime(results.endedAt)}</span>
+        </div>
+        <div className="flex flex-center mt-20">
+          <button className="btn btn-secondary" onClick={handleCopyLink}>
+            {linkCopied ? 'Link Copied!' : '🔗 Copy Link'}
+          </button>
+          <button className="btn" onClick={() => navigate('/')}>Back to Home</button>
+        </div>
+      </div>
+
+      {results.teams.length > 0 && (
+        <div className="card">
+          <h2 className="subtitle">Team Standings</h2>
+          <div className="player-list">
+            {results.teams.map((team, index) => (
+              <div key={team.name} className="player-item">
+                <span>{index + 1}. {team.name}</span>
+                <span className="score">{team.score} points</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <h2 className="subtitle">Final Scores</h2>
+        {results.players.length > 0 ? (
+          <div className="player-list">
+            {results.players.map((player, index) => (
+              <div key={player.name} className="player-item">
+                <span>
+                  {(player.rank || index + 1) === 1 ? '🏆 ' : `${player.rank || index + 1}. `}{player.name}
+                  {player.team && <span className="team-tag">{player.team}</span>}
+                </span>
+                <span className="score">{player.score} points</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center">Nobody joined this game.</p>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="subtitle">Songs Played</h2>
+        {results.songs.length === 0 && <p className="text-center">No songs were played.</p>}
+        {results.songs.map((song, index) => (
+          <div key={song.id} className="results-song">
+            <div className="flex-between">
+              <strong>{index + 1}. {song.name || 'Unknown song'}{song.artists.length > 0 && ` - ${song.artists.join(', ')}`}</strong>
+              <span className="results-song-status">{STATUS_LABELS[song.status] || song.status}</span>
+            </div>
+            {song.album && <p className="results-song-album">{song.album}</p>}
+            {song.correctGuesses.length > 0 ? (
+              <ul className="results-guesses">
+                {song.correctGuesses.map(guess => (
+                  <li key={`${guess.category}-${guess.player}-${guess.at}`}>
+                    {categoryLabel(guess.category)}: <strong>{guess.player}</strong> ("{guess.guess}") at {formatClock(guess.at)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="results-song-album">No correct guesses ({song.guessCount} tried).</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsPage;
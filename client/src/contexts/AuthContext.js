@@ -1,8 +1,38 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 import { useLogging } from './LoggingContext';
 
 const AuthContext = createContext();
 
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+// Read the claims (session id, game code, expiry) from an admin token.
+// The signature is only checked by the server.
+const decodeAdminToken = (token) => {
+  if (!token) return null;
+  try {
+    const [payload] = token.split('.');
+    const json = payload.match(/.{2}/g).map(byte => String.fromCharCode(parseInt(byte, 16))).join('');
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isTokenValid = (token) => {
+  const claims = decodeAdminToken(token);
+  return !!claims && claims.exp > Date.now();
+};
+
+// Admin API requests carry the admin token as a bearer token
+const setAuthHeader = (token) => {
+  if (token) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,32 +43,65 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const { log } = useLogging();
-  const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(() => {
+  const [adminToken, setAdminToken] = useState(() => {
     // Check localStorage on initial load
-    const stored = localStorage.getItem('isAdminAuthenticated') === 'true';
-    log('AuthContext: Initial auth state from localStorage:', stored);
-    return stored;
+    const stored = localStorage.getItem(ADMIN_TOKEN_KEY);
+    const valid = isTokenValid(stored);
+    log('AuthContext: Initial admin token from localStorage is valid:', valid);
+    if (!valid) {
+      localStorage.removeItem(ADMIN_TOKEN_KEY);
+    }
+    setAuthHeader(valid ? stored : null);
+    return valid ? stored : null;
   });
+  const isAdminAuthenticated = !!adminToken;
+  const adminGameCode = decodeAdminToken(adminToken)?.gameCode || null;
 
   // Log authentication state changes
   useEffect(() => {
     log('AuthContext: Authentication state changed to:', isAdminAuthenticated);
   }, [isAdminAuthenticated, log]);
 
-  const loginAdmin = () => {
-    log('AuthContext: Logging in admin');
-    setIsAdminAuthenticated(true);
-    localStorage.setItem('isAdminAuthenticated', 'true');
+  const clearAdminSession = useCallback(() => {
+    setAdminToken(null);
+    setAuthHeader(null);
+    localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }, []);
+
+  // Drop the session as soon as the server reports the token as expired or revoked
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401 && error.response.data?.code === 'ADMIN_AUTH_REQUIRED') {
+        log('AuthContext: Admin token rejected by server:', error.response.data.error);
+        clearAdminSession();
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [clearAdminSession, log]);
+
+  const loginAdmin = (token) => {
+    log('AuthContext: Logging in admin for game', decodeAdminToken(token)?.gameCode);
+    setAdminToken(token);
+    setAuthHeader(token);
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
   };
 
-  const logoutAdmin = () => {
+  const logoutAdmin = async () => {
     log('AuthContext: Logging out admin');
-    setIsAdminAuthenticated(false);
-    localStorage.removeItem('isAdminAuthenticated');
+    try {
+      // Revoke the token server-side so it cannot be reused
+      await axios.post('/api/logout-admin');
+    } catch (error) {
+      log('AuthContext: Failed to revoke admin token:', error);
+    }
+    clearAdminSession();
   };
 
   const value = {
     isAdminAuthenticated,
+    adminToken,
+    adminGameCode,
     loginAdmin,
     logoutAdmin
   };
@@ -48,4 +111,4 @@ export const AuthProvider = ({ children }) => {
       {children}
     </AuthContext.Provider>
   );
-}; 
\ No newline at end of file
+};
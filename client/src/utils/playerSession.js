@@ -0,0 +1,27 @@
+// The player's session in their current game: { playerName, gameCode, sessionToken }. The
+// server issues the token when the player first joins; it is kept here so PlayerPage can rejoin
+// after a refresh or a dropped connection.
+const PLAYER_SESSION_KEY = 'playerSession';
+
+export const loadPlayerSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(PLAYER_SESSION_KEY));
+    return session && session.playerName && session.gameCode && session.sessionToken ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const savePlayerSession = (session) => {
+  localStorage.setItem(PLAYER_SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearPlayerSession = () => {
+  localStorage.removeItem(PLAYER_SESSION_KEY);
+};
+
+// The stored token, if it is for this name in this game
+export const sessionTokenFor = (playerName, gameCode) => {
+  const session = loadPlayerSession();
+  return session && session.playerName === playerName && session.gameCode === gameCode ? session.sessionToken : null;
+};
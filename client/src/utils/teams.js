@@ -0,0 +1,13 @@
+// Team leaderboard rows: each team's score is the sum of its players' scores
+export const teamStandings = (teams, playerTeams, scores) => {
+  return (teams || [])
+    .map(team => {
+      const members = Object.keys(playerTeams || {}).filter(playerName => playerTeams[playerName] === team);
+      return {
+        name: team,
+        members,
+        score: members.reduce((total, playerName) => total + ((scores || {})[playerName] || 0), 0)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
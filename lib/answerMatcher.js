@@ -0,0 +1,300 @@
+// Answer matching - decides whether a player's artist, title, album, lyrics or year guess is
+// correct (album names are matched like titles).
+// Every matcher returns a verdict { match, reason } so the server can log why a guess was
+// accepted or rejected:
+//
+//   exact                 Same words after normalization
+//   word-overlap          At least 80% of the words match (and 2 words, or all of a short answer)
+//   all-words             The guess contains every word of the answer
+//   concatenated          Typed without spaces ("cantstopme" for "Can't Stop Me")
+//   partial-concatenated  Some words run together ("boxcar racer" for "Box Car Racer")
+//   significant-words     At least 90% of the words longer than 2 letters, nothing extra needed
+//   fuzzy                 A near miss forgiven at the game's strictness (see fuzzyMatch.js)
+//   alias                 Matches one of the answer's accepted alternate answers ("RHCP", "P!nk")
+//   lyrics-substring      The guess appears in the song's lyrics
+//   lyric-line            The guess is the line being asked for in a finish-the-line round
+//   exact-year            The song's release year
+//   close-year            Within the game's range of the release year (partial credit)
+//   decade                The right decade ("80s", "1980s") (partial credit)
+//   no-match / empty      Not correct / nothing to compare
+
+const {
+  DEFAULT_MATCH_STRICTNESS,
+  foldAccents,
+  numbersToDigits,
+  editDistance,
+  fuzzyMatches
+} = require('./fuzzyMatch');
+
+// Function to normalize text for lyrics comparison
+function normalizeText(text) {
+  if (!text) return '';
+
+  return foldAccents(text)
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '') // Remove punctuation and special characters
+    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+    .trim();
+}
+
+// Function to count letters in text (excluding spaces and special characters)
+function countLetters(text) {
+  if (!text) return 0;
+
+  return foldAccents(text)
+    .toLowerCase()
+    .replace(/[^\w]/g, '') // Remove all non-word characters
+    .length;
+}
+
+// Function to normalize song titles for comparison
+function normalizeTitle(title) {
+  if (!title) return '';
+
+  return title
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '') // Remove anything in parentheses
+    .replace(/\s+-\s+.*$/g, '') // Remove anything after and including " - " (space-dash-space)
+    .replace(/[^\w\s]/g, '') // Remove special characters
+    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+    .trim();
+}
+
+// Function to normalize artist names for comparison
+function normalizeArtist(artist) {
+  if (!artist) return '';
+
+  return artist
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '') // Remove anything in parentheses
+    .replace(/\s+-\s+.*$/g, '') // Remove anything after and including " - " (space-dash-space)
+    .replace(/[^\w\s]/g, '') // Remove special characters
+    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+    .trim();
+}
+
+// normalizeArtist/normalizeTitle double as lyrics cache keys, so they are left as they are.
+// Guesses and answers are compared with accents folded instead of stripped ("Beyoncé" ->
+// "beyonce", not "beyonc") and number words as digits.
+function normalizeForMatching(text, normalize) {
+  return numbersToDigits(normalize(foldAccents(text)));
+}
+
+function splitWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0);
+}
+
+// Word-level heuristics shared by artist and title matching. Returns the reason for the
+// first rule that accepts the guess, or null.
+function matchWords(normalizedGuess, normalizedAnswer) {
+  const actualWords = splitWords(normalizedAnswer);
+  const guessWords = splitWords(normalizedGuess);
+  if (actualWords.length === 0 || guessWords.length === 0) return null;
+
+  // Exact matches (case-insensitive, ignoring spaces and special chars)
+  if (normalizedAnswer === normalizedGuess) return 'exact';
+
+  // Require at least 80% match and at least 2 matching words (or all words if the answer is short)
+  const matchingWords = guessWords.filter(guessWord => actualWords.includes(guessWord));
+  const matchPercentage = matchingWords.length / Math.max(actualWords.length, guessWords.length);
+  const minWordsRequired = Math.min(2, actualWords.length);
+  if (matchPercentage >= 0.8 && matchingWords.length >= minWordsRequired) return 'word-overlap';
+
+  // The guess contains ALL of the answer's words (and is not much shorter than the answer)
+  const allActualWordsFound = actualWords.every(actualWord => guessWords.includes(actualWord));
+  if (allActualWordsFound && guessWords.length >= actualWords.length * 0.7) return 'all-words';
+
+  // Typed without spaces (e.g., "cantstopme" or "boxcarracer")
+  if (guessWords.length === 1 && actualWords.length > 1 && guessWords[0] === actualWords.join('')) {
+    return 'concatenated';
+  }
+
+  // Some words typed together (e.g., "boxcar racer" for "Box Car Racer"): one guess word is
+  // two neighbouring answer words run together, and every other answer word was guessed
+  const concatenatedActuals = [];
+  for (let i = 0; i < actualWords.length - 1; i++) {
+    concatenatedActuals.push(actualWords[i] + actualWords[i + 1]);
+  }
+  const matchedConcatenated = guessWords.find(guessWord => concatenatedActuals.includes(guessWord));
+  if (matchedConcatenated) {
+    const concatenatedIndex = concatenatedActuals.indexOf(matchedConcatenated);
+    const remainingActualWords = actualWords.filter((_, index) =>
+      index !== concatenatedIndex && index !== concatenatedIndex + 1
+    );
+    const remainingGuessWords = guessWords.filter(word => word !== matchedConcatenated);
+    if (remainingActualWords.every(actualWord => remainingGuessWords.includes(actualWord))) {
+      return 'partial-concatenated';
+    }
+  }
+
+  if (guessWords.length < actualWords.length) {
+    // Shorter guesses must contain at least 90% of the significant words - short words
+    // like "the", "a" or "an" may be left out
+    const significantWords = actualWords.filter(word => word.length > 2);
+    if (significantWords.length > 0) {
+      const matchingSignificantWords = significantWords.filter(actualWord => guessWords.includes(actualWord));
+      if (matchingSignificantWords.length / significantWords.length >= 0.9) return 'significant-words';
+    }
+
+    // Fewer words but every answer word present (answers that repeat a word)
+    if (allActualWordsFound) return 'all-words';
+  }
+
+  return null;
+}
+
+function matchNormalized(normalizedGuess, normalizedAnswer, strictness) {
+  const reason = matchWords(normalizedGuess, normalizedAnswer);
+  if (reason) return reason;
+  // Near misses: typos and sound-alike spellings, as forgiving as the game's strictness allows
+  return fuzzyMatches(normalizedGuess, normalizedAnswer, strictness) ? 'fuzzy' : null;
+}
+
+// Match against the answer itself, then against its aliases with the same rules
+function matchAnswer(normalizedGuess, answer, aliases, normalize, strictness) {
+  const reason = matchNormalized(normalizedGuess, normalizeForMatching(answer, normalize), strictness);
+  if (reason) return reason;
+
+  const matchesAlias = (aliases || []).some(alias =>
+    matchNormalized(normalizedGuess, normalizeForMatching(alias, normalize), strictness)
+  );
+  return matchesAlias ? 'alias' : null;
+}
+
+// Match an artist guess against every artist credited on the song. aliases maps an artist
+// name to its accepted alternate answers. The verdict also names the artist that matched.
+function matchArtist(guess, artists, { strictness = DEFAULT_MATCH_STRICTNESS, aliases = {} } = {}) {
+  const normalizedGuess = normalizeForMatching(guess, normalizeArtist);
+  if (!normalizedGuess) return { match: false, reason: 'empty', normalizedGuess };
+
+  for (const artist of artists || []) {
+    const reason = matchAnswer(normalizedGuess, artist, aliases[artist], normalizeArtist, strictness);
+    if (reason) {
+      return { match: true, reason, matchedArtist: artist, normalizedGuess };
+    }
+  }
+  return { match: false, reason: 'no-match', normalizedGuess };
+}
+
+// Match a title guess against the song title and its aliases
+function matchTitle(guess, title, { strictness = DEFAULT_MATCH_STRICTNESS, aliases = [] } = {}) {
+  const normalizedGuess = normalizeForMatching(guess, normalizeTitle);
+  const normalizedTitle = normalizeForMatching(title, normalizeTitle);
+  if (!normalizedGuess || !normalizedTitle) return { match: false, reason: 'empty', normalizedGuess };
+
+  const reason = matchAnswer(normalizedGuess, title, aliases, normalizeTitle, strictness);
+  return reason
+    ? { match: true, reason, normalizedGuess }
+    : { match: false, reason: 'no-match', normalizedGuess };
+}
+
+// The credited artist a guess is closest to - decides which artist a manually awarded
+// guess becomes an alias of on songs with several artists
+function closestArtist(guess, artists) {
+  const normalizedGuess = normalizeForMatching(guess, normalizeArtist);
+  const compactGuess = normalizedGuess.replace(/\s+/g, '');
+  // Relative distance to the whole name or to any one of its words ("bowey" -> "Bowie")
+  const distanceTo = (artist) => {
+    const normalizedArtist = normalizeForMatching(artist, normalizeArtist);
+    const candidates = [normalizedArtist.replace(/\s+/g, ''), ...splitWords(normalizedArtist)];
+    return Math.min(...candidates.map(candidate =>
+      editDistance(compactGuess, candidate) / Math.max(compactGuess.length, candidate.length, 1)
+    ));
+  };
+
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const artist of artists || []) {
+    const distance = distanceTo(artist);
+    if (distance < closestDistance) {
+      closest = artist;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
+
+// Classic lyrics round: the guess must appear word for word somewhere in the lyrics
+function matchLyrics(guess, lyrics) {
+  const normalizedGuess = normalizeText(guess);
+  const normalizedLyrics = normalizeText(lyrics);
+  if (!normalizedGuess || !normalizedLyrics) return { match: false, reason: 'empty' };
+
+  return normalizedLyrics.includes(normalizedGuess)
+    ? { match: true, reason: 'lyrics-substring' }
+    : { match: false, reason: 'no-match' };
+}
+
+// Finish-the-line round: the guess must contain most of the line's words
+// (lines of 3 words or fewer must match exactly)
+function matchLyricLine(guess, line) {
+  const guessWords = splitWords(normalizeText(guess));
+  const lineWords = splitWords(normalizeText(line));
+  if (guessWords.length === 0 || lineWords.length === 0) return { match: false, reason: 'empty' };
+
+  if (lineWords.length <= 3) {
+    return guessWords.join(' ') === lineWords.join(' ')
+      ? { match: true, reason: 'lyric-line' }
+      : { match: false, reason: 'no-match' };
+  }
+
+  const unmatchedGuessWords = [...guessWords];
+  const matchedWords = lineWords.filter(word => {
+    const index = unmatchedGuessWords.indexOf(word);
+    if (index === -1) return false;
+    unmatchedGuessWords.splice(index, 1);
+    return true;
+  });
+
+  const isMatch = matchedWords.length / lineWords.length >= 0.75 && guessWords.length <= lineWords.length + 2;
+  return isMatch ? { match: true, reason: 'lyric-line' } : { match: false, reason: 'no-match' };
+}
+
+// A year guess is a year ("1985") or a decade ("1980s", "80s", "'80s"); returns { year } or
+// { decade }, or null for anything else. Two-digit decades are the latest one that has started.
+function parseYearGuess(guess, currentYear = new Date().getFullYear()) {
+  const text = (guess || '').trim().toLowerCase();
+
+  const yearMatch = text.match(/^(\d{4})$/);
+  if (yearMatch) return { year: Number(yearMatch[1]) };
+
+  const decadeMatch = text.match(/^'?(\d{2}|\d{3}0)s$/);
+  if (!decadeMatch) return null;
+
+  let decade = Number(decadeMatch[1]);
+  if (decadeMatch[1].length === 2) {
+    if (decade % 10 !== 0) return null;
+    decade += 2000 + decade <= currentYear ? 2000 : 1900;
+  }
+  return { decade };
+}
+
+// Year round: the exact release year earns full credit; a year within `range` years of it or
+// the right decade earns partial credit (verdict.partial)
+function matchYear(guess, releaseYear, { range = 0, currentYear } = {}) {
+  const parsed = parseYearGuess(guess, currentYear);
+  if (!parsed || !releaseYear) return { match: false, reason: 'empty' };
+
+  if (parsed.decade !== undefined) {
+    return parsed.decade === Math.floor(releaseYear / 10) * 10
+      ? { match: true, partial: true, reason: 'decade' }
+      : { match: false, reason: 'no-match' };
+  }
+  if (parsed.year === releaseYear) return { match: true, reason: 'exact-year' };
+  if (Math.abs(parsed.year - releaseYear) <= range) return { match: true, partial: true, reason: 'close-year' };
+  return { match: false, reason: 'no-match' };
+}
+
+module.exports = {
+  normalizeText,
+  countLetters,
+  normalizeTitle,
+  normalizeArtist,
+  matchArtist,
+  matchTitle,
+  matchLyrics,
+  matchLyricLine,
+  parseYearGuess,
+  matchYear,
+  closestArtist
+};
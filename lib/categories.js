@@ -0,0 +1,61 @@
+// Guess categories - the parts of a song players can guess. Each song tracks every category in
+// guessedParts (true = guessed, false = still open, null = not in play for this song, e.g. no
+// lyrics were found) and keeps the guesses made for it in currentGuesses, both keyed by id.
+//
+// Adding a category: describe it here, give it default points in lib/scoring.js, teach
+// matchCategory in server.js how to judge it and say when a song has it in isCategoryAvailable.
+// Both UIs render the list they receive with the game state.
+
+const CATEGORIES = [
+  { id: 'title', label: 'Title', noun: 'song title', icon: '🎵', placeholder: 'Song title' },
+  { id: 'artist', label: 'Artist', noun: 'artist', icon: '🎤', placeholder: 'Artist name' },
+  { id: 'album', label: 'Album', noun: 'album', icon: '💿', placeholder: 'Album name' },
+  { id: 'lyrics', label: 'Lyrics', noun: 'lyrics', icon: '📝', placeholder: 'Lyrics (min 12 letters)' },
+  { id: 'year', label: 'Year', noun: 'release year', icon: '📅', placeholder: 'Release year (e.g. 1985 or 80s)' }
+];
+
+const CATEGORY_IDS = CATEGORIES.map(category => category.id);
+
+function categoryById(id) {
+  return CATEGORIES.find(category => category.id === id) || null;
+}
+
+// Every category open
+function emptyGuessedParts() {
+  return Object.fromEntries(CATEGORY_IDS.map(id => [id, false]));
+}
+
+function emptyGuesses() {
+  return Object.fromEntries(CATEGORY_IDS.map(id => [id, []]));
+}
+
+// Whether the song can still be played in a category (false = open, true = guessed, null = not
+// in play). Song states saved before a category existed are merged over emptyGuessedParts, so
+// the new category starts open.
+function isOpen(guessedParts, id) {
+  return guessedParts[id] === false;
+}
+
+function allCategoriesDone(guessedParts) {
+  return CATEGORY_IDS.every(id => !isOpen(guessedParts, id));
+}
+
+function anyCategoryGuessed(guessedParts) {
+  return CATEGORY_IDS.some(id => guessedParts[id] === true);
+}
+
+// "title: true, artist: false, ..." for the logs
+function describeGuessedParts(guessedParts) {
+  return CATEGORY_IDS.map(id => `${id}: ${guessedParts[id]}`).join(', ');
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_IDS,
+  categoryById,
+  emptyGuessedParts,
+  emptyGuesses,
+  allCategoriesDone,
+  anyCategoryGuessed,
+  describeGuessedParts
+};
@@ -0,0 +1,118 @@
+// Fuzzy answer matching - forgives typos, accents, sound-alike spellings and numbers written
+// as words, so "Beyonse", "Bohemian Rapsody" or "Two Princes" for "2 Princes" still count.
+// How forgiving it is depends on the game's strictness level.
+
+const MATCH_STRICTNESS_LEVELS = ['strict', 'normal', 'lenient'];
+const DEFAULT_MATCH_STRICTNESS = 'normal';
+
+// Number words are compared as digits on both sides ("two" === "2")
+const NUMBER_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', ten: '10', eleven: '11', twelve: '12', thirteen: '13',
+  fourteen: '14', fifteen: '15', sixteen: '16', seventeen: '17', eighteen: '18',
+  nineteen: '19', twenty: '20', thirty: '30', forty: '40', fifty: '50', sixty: '60',
+  seventy: '70', eighty: '80', ninety: '90', hundred: '100', thousand: '1000'
+};
+
+// Letters that do not decompose into a base letter plus accent
+const SPECIAL_LETTERS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i'
+};
+
+// "Beyoncé" -> "Beyonce", "Motörhead" -> "Motorhead", "Sigur Rós" -> "Sigur Ros"
+function foldAccents(text) {
+  if (!text) return '';
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop combining accent marks
+    .replace(/[ßæœøđðþłı]/gi, letter => {
+      const folded = SPECIAL_LETTERS[letter.toLowerCase()];
+      return letter === letter.toLowerCase() ? folded : folded.toUpperCase();
+    });
+}
+
+// Replace whole number words with digits in already-normalized (lowercase) text
+function numbersToDigits(text) {
+  return text
+    .split(' ')
+    .map(word => NUMBER_WORDS[word] || word)
+    .join(' ');
+}
+
+// Levenshtein edit distance between two strings
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Rough phonetic key - spellings that sound alike ("beyonse"/"beyonce", "fonix"/"phoenix")
+// reduce to the same key. Vowels are kept so "love" and "live" stay different.
+function phoneticKey(text) {
+  return text
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/qu/g, 'kw')
+    .replace(/x/g, 'ks')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/y/g, 'i')
+    .replace(/oe/g, 'o')
+    .replace(/([a-z])\1+/g, '$1'); // Collapse doubled letters
+}
+
+// How many typos an answer of the given length may contain at each strictness level.
+// Short answers must be exact - one typo in a 3-letter name is a different name.
+function allowedEdits(length, strictness) {
+  if (strictness === 'strict' || length <= 3) return 0;
+  if (strictness === 'lenient') {
+    if (length <= 5) return 1;
+    if (length <= 8) return 2;
+    return Math.floor(length * 0.25);
+  }
+  if (length <= 5) return 0;
+  if (length <= 10) return 1;
+  return Math.floor(length * 0.15);
+}
+
+// Compare a guess with the answer, both already normalized (lowercase, punctuation removed).
+// Exact word heuristics run before this; fuzzyMatches only decides the near misses.
+function fuzzyMatches(normalizedGuess, normalizedAnswer, strictness = DEFAULT_MATCH_STRICTNESS) {
+  const guess = numbersToDigits(normalizedGuess).replace(/\s+/g, '');
+  const answer = numbersToDigits(normalizedAnswer).replace(/\s+/g, '');
+  if (!guess || !answer) return false;
+  if (guess === answer) return true;
+  if (strictness === 'strict') return false;
+
+  if (editDistance(guess, answer) <= allowedEdits(answer.length, strictness)) {
+    return true;
+  }
+
+  // Sound-alike spellings, still allowing the usual typos on top at lenient
+  const guessKey = phoneticKey(guess);
+  const answerKey = phoneticKey(answer);
+  if (guessKey === answerKey) return true;
+  return strictness === 'lenient' &&
+    editDistance(guessKey, answerKey) <= allowedEdits(answerKey.length, strictness);
+}
+
+module.exports = {
+  MATCH_STRICTNESS_LEVELS,
+  DEFAULT_MATCH_STRICTNESS,
+  foldAccents,
+  numbersToDigits,
+  editDistance,
+  fuzzyMatches
+};
@@ -0,0 +1,107 @@
+// Game history - when a game ends, server.js reads everything persisted for it (session,
+// players, track status, song states and the guess log) and buildGameResults turns those rows
+// into the results kept in game_archives. Results are read-only from then on.
+
+const { CATEGORY_IDS } = require('./categories');
+const { parseJson } = require('./json');
+
+// Name, artists and album of a track, from its saved song state, the game's current song or
+// the loaded playlist - whichever knows it
+function findSongDetails(trackId, songState, currentSong, playlist) {
+  if (songState && songState.song) return songState.song;
+  if (currentSong && currentSong.id === trackId) {
+    return { name: currentSong.name, artists: currentSong.artists, album: currentSong.album, albumArt: currentSong.albumArt || null };
+  }
+
+  const items = (playlist && playlist.tracks && playlist.tracks.items) || [];
+  const item = items.find(entry => entry.track && entry.track.id === trackId);
+  if (item) {
+    const { track } = item;
+    return {
+      name: track.name,
+      artists: (track.artists || []).map(artist => artist.name),
+      album: track.album ? track.album.name : null,
+      albumArt: track.album && track.album.images && track.album.images.length > 0 ? track.album.images[0].url : null
+    };
+  }
+  return { name: null, artists: [], album: null, albumArt: null };
+}
+
+// Results of one game. rows holds the persisted rows: session (game_sessions), players
+// (game_players), trackStatuses (game_track_status), songStates (game_song_states) and
+// guesses (game_guesses). Returns null for a game where nothing happened.
+function buildGameResults(rows, endedAt) {
+  const session = rows.session || {};
+  const playlist = parseJson(session.current_playlist, null);
+  const currentSong = parseJson(session.current_song, null);
+  const songStates = Object.fromEntries(rows.songStates.map(row => [row.track_id, parseJson(row.state, {})]));
+
+  const players = rows.players
+    .map(row => ({ name: row.player_name, score: row.score, team: row.team_name || null }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  // Tied players share a rank (1, 2, 2, 4)
+  players.forEach((player, index) => {
+    player.rank = index > 0 && players[index - 1].score === player.score ? players[index - 1].rank : index + 1;
+  });
+
+  const teamNames = parseJson(session.teams, []);
+  const teams = teamNames
+    .map(name => ({
+      name,
+      score: players.filter(player => player.team === name).reduce((total, player) => total + player.score, 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Songs in the order they were first played
+  const songs = rows.trackStatuses
+    .filter(row => row.status !== 'unplayed')
+    .sort((a, b) => (a.played_at || 0) - (b.played_at || 0))
+    .map(row => {
+      const songState = songStates[row.track_id] || {};
+      const songGuesses = rows.guesses.filter(guess => guess.track_id === row.track_id);
+      return {
+        id: row.track_id,
+        ...findSongDetails(row.track_id, songState, currentSong, playlist),
+        status: row.status,
+        playedAt: row.played_at || null,
+        guessedParts: songState.guessedParts || null,
+        revealedParts: songState.revealedParts || [],
+        // Who won each part, and when
+        correctGuesses: songGuesses
+          .filter(guess => guess.is_correct && CATEGORY_IDS.includes(guess.guess_type))
+          .sort((a, b) => a.created_at - b.created_at)
+          .map(guess => ({ category: guess.guess_type, player: guess.player_name, guess: guess.guess, at: guess.created_at })),
+        guessCount: songGuesses.length
+      };
+    });
+
+  if (players.length === 0 && songs.length === 0) return null;
+
+  return {
+    gameCode: session.game_code || null,
+    startedAt: session.created_at || null,
+    endedAt,
+    playlistName: playlist ? playlist.name || null : null,
+    players,
+    teams,
+    songs
+  };
+}
+
+// The columns listed on the admin's history page
+function summarizeResults(results) {
+  return {
+    gameCode: results.gameCode,
+    startedAt: results.startedAt,
+    endedAt: results.endedAt,
+    playlistName: results.playlistName,
+    playerCount: results.players.length,
+    songCount: results.songs.length,
+    winner: results.players.length > 0 ? results.players[0].name : null
+  };
+}
+
+module.exports = {
+  buildGameResults,
+  summarizeResults
+};
@@ -0,0 +1,147 @@
+// Hints - clues the admin (or the auto-hint timer) releases one at a time when players are
+// stuck on a song. Each hint is about one part of the answer; under the game's scoring rules
+// every hint given about a part can lower the points that part is still worth.
+//
+//   titleShape     Letter count and word shape of the title ("_ _ _ _   _ _ _")
+//   artistInitial  First letter of the (first) artist
+//   album          Album name - only its first letter and word count while album is a guess
+//                  category of its own
+//   year           Release year - only the decade while year is a guess category
+//   lyricLine      A lyric line with every other word blanked out
+
+const HINT_TYPES = ['titleShape', 'artistInitial', 'album', 'year', 'lyricLine'];
+
+// Hints are offered in HINT_TYPES order, skipping those about parts already won
+const HINT_PARTS = {
+  titleShape: 'title',
+  artistInitial: 'artist',
+  album: 'title', // Singles are usually named after the song
+  year: null, // Narrows things down without giving any part away
+  lyricLine: 'lyrics'
+};
+
+// Hints whose answer can be a guess category of its own. While that category is in play the
+// hint is about it instead, and only narrows its answer down.
+const HINT_CATEGORIES = {
+  album: 'album',
+  year: 'year'
+};
+
+const HINT_LABELS = {
+  titleShape: 'Title',
+  artistInitial: 'Artist',
+  album: 'Album',
+  year: 'Released',
+  lyricLine: 'Lyrics'
+};
+
+// The same parts of a title the answer matcher ignores ("(feat. X)", " - Remastered")
+function cleanTitle(title) {
+  return (title || '')
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\s+-\s+.*$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "Can't Stop Me" -> "_ _ _ ' _   _ _ _ _   _ _" - letters and digits become blanks,
+// punctuation stays, words are set apart by a wider gap
+function titleShape(title) {
+  const words = cleanTitle(title).split(' ').filter(Boolean);
+  const letterCount = words.join('').replace(/[^\p{L}\p{N}]/gu, '').length;
+  if (letterCount === 0) return null;
+
+  const shape = words
+    .map(word => Array.from(word).map(char => (/[\p{L}\p{N}]/u.test(char) ? '_' : char)).join(' '))
+    .join('   ');
+  return `${shape} (${letterCount} letters)`;
+}
+
+// Stylized names keep their first character ("$uicideboy$" starts with "$", not "U")
+function artistInitial(artist) {
+  const initial = Array.from((artist || '').trim())[0];
+  return initial ? `Starts with "${initial.toUpperCase()}"` : null;
+}
+
+// "A Night at the Opera (Deluxe)" -> 'Starts with "A", 5 words'
+function albumInitial(album) {
+  const words = cleanTitle(album).split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+  return `Starts with "${Array.from(words[0])[0].toUpperCase()}", ${words.length} word${words.length === 1 ? '' : 's'}`;
+}
+
+// 1985 -> "1980s" - guessing just the decade only earns half the year points
+function releaseDecade(year) {
+  return year ? `${Math.floor(year / 10) * 10}s` : null;
+}
+
+// Blank out every other word of a line, keeping the first ("Is ____ the ____ life")
+function redactLine(line) {
+  const words = (line || '').split(/\s+/).filter(Boolean);
+  return words.map((word, index) => (index % 2 === 1 ? '_'.repeat(Math.max(3, word.length)) : word)).join(' ');
+}
+
+// A line long enough to be worth redacting, preferring the most repeated one (the hook)
+function pickLyricLine(lines) {
+  const candidates = (lines || []).filter(line => line.split(/\s+/).length >= 4);
+  if (candidates.length === 0) return null;
+
+  const counts = {};
+  candidates.forEach(line => {
+    counts[line] = (counts[line] || 0) + 1;
+  });
+  return candidates.reduce((best, line) => (counts[line] > counts[best] ? line : best), candidates[0]);
+}
+
+// narrowed: the hint's own category is in play, so it must not give that answer away
+function hintText(type, song, lyricLines, narrowed) {
+  switch (type) {
+    case 'titleShape':
+      return titleShape(song.name);
+    case 'artistInitial':
+      return artistInitial(song.artists && song.artists[0]);
+    case 'album':
+      return narrowed ? albumInitial(song.album) : song.album || null;
+    case 'year':
+      if (narrowed) return releaseDecade(song.releaseYear);
+      return song.releaseYear ? String(song.releaseYear) : null;
+    case 'lyricLine': {
+      const line = pickLyricLine(lyricLines);
+      return line ? redactLine(line) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// The next hint for a song, or null when none are left. openParts are the parts still worth
+// guessing and partsInPlay every part the song can be guessed in (guessed or not); givenTypes
+// are the hint types already released for this song.
+function nextHint(song, lyricLines, { openParts, partsInPlay = [], givenTypes = [] }) {
+  if (!song || !openParts || openParts.length === 0) return null;
+
+  for (const type of HINT_TYPES) {
+    if (givenTypes.includes(type)) continue;
+    const category = HINT_CATEGORIES[type];
+    const narrowed = Boolean(category) && partsInPlay.includes(category);
+    const part = narrowed ? category : HINT_PARTS[type];
+    if (part && !openParts.includes(part)) continue;
+
+    const text = hintText(type, song, lyricLines, narrowed);
+    if (text) {
+      return { type, part, label: HINT_LABELS[type], text };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  HINT_TYPES,
+  cleanTitle,
+  titleShape,
+  artistInitial,
+  albumInitial,
+  releaseDecade,
+  redactLine,
+  nextHint
+};
@@ -0,0 +1,15 @@
+// JSON columns - the SQLite tables keep lists and objects as JSON text. parseJson reads one back,
+// or returns fallback when the column is empty or does not hold valid JSON.
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = {
+  parseJson
+};
@@ -0,0 +1,94 @@
+// Leagues - a series of games (e.g. one per quiz night) with standings across all of them.
+// Each game attached to a league awards league points by where players finished in it
+// (placementPoints[0] for first place, [1] for second, ...), so a league is won by placing well
+// week after week rather than by one big score. Standings are computed from the archived games
+// whenever they are shown, so changing the placement points rescores the whole league.
+
+const DEFAULT_PLACEMENT_POINTS = [10, 8, 6, 5, 4, 3, 2, 1];
+const MAX_PLACEMENTS = 20;
+const MAX_PLACEMENT_POINTS = 100;
+const MAX_NAME_LENGTH = 50;
+
+// Validate a league sent by the admin, filling anything missing from the current league
+function validateLeague(input, currentLeague = { name: '', placementPoints: DEFAULT_PLACEMENT_POINTS }) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'League details are required' };
+  }
+
+  const sanitized = { ...currentLeague };
+  if (input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.replace(/[<>]/g, '').trim() : '';
+    if (name.length < 1 || name.length > MAX_NAME_LENGTH) {
+      return { valid: false, error: `League name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    sanitized.name = name;
+  }
+  if (input.placementPoints !== undefined) {
+    const points = input.placementPoints;
+    if (!Array.isArray(points) || points.length < 1 || points.length > MAX_PLACEMENTS) {
+      return { valid: false, error: `Placement points must list 1 to ${MAX_PLACEMENTS} places` };
+    }
+    if (!points.every(value => Number.isInteger(value) && value >= 0 && value <= MAX_PLACEMENT_POINTS)) {
+      return { valid: false, error: `Placement points must be whole numbers between 0 and ${MAX_PLACEMENT_POINTS}` };
+    }
+    sanitized.placementPoints = points;
+  }
+  if (!sanitized.name) {
+    return { valid: false, error: 'League name is required' };
+  }
+
+  return { valid: true, sanitized };
+}
+
+// Players who tie in a game share their place and its points
+function placementPointsFor(placementPoints, rank) {
+  return placementPoints[rank - 1] || 0;
+}
+
+// League standings. games are the league's games ({ archiveId, endedAt }, oldest first), results
+// the players' finishes in them ({ archive_id, name_key, player_name, score, rank }).
+function buildLeagueStandings(placementPoints, games, results) {
+  const players = new Map(); // name_key -> standing
+  const gameIndex = new Map(games.map((game, index) => [game.archiveId, index]));
+
+  results
+    .filter(result => gameIndex.has(result.archive_id))
+    .sort((a, b) => gameIndex.get(a.archive_id) - gameIndex.get(b.archive_id))
+    .forEach(result => {
+      if (!players.has(result.name_key)) {
+        players.set(result.name_key, {
+          name: result.player_name,
+          points: 0,
+          gamesAttended: 0,
+          wins: 0,
+          bestFinish: null,
+          totalScore: 0,
+          attended: games.map(() => false)
+        });
+      }
+      const standing = players.get(result.name_key);
+      standing.name = result.player_name || standing.name; // Latest spelling of the name
+      standing.points += placementPointsFor(placementPoints, result.rank);
+      standing.gamesAttended += 1;
+      standing.wins += result.rank === 1 ? 1 : 0;
+      standing.bestFinish = standing.bestFinish === null ? result.rank : Math.min(standing.bestFinish, result.rank);
+      standing.totalScore += result.score;
+      standing.attended[gameIndex.get(result.archive_id)] = true;
+    });
+
+  const standings = Array.from(players.values())
+    .sort((a, b) => b.points - a.points || b.wins - a.wins || b.totalScore - a.totalScore || a.name.localeCompare(b.name));
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.rank = previous && previous.points === standing.points && previous.wins === standing.wins && previous.totalScore === standing.totalScore
+      ? previous.rank
+      : index + 1;
+  });
+  return standings;
+}
+
+module.exports = {
+  DEFAULT_PLACEMENT_POINTS,
+  validateLeague,
+  buildLeagueStandings
+};
@@ -0,0 +1,120 @@
+// Lobby - before the first song players wait in the lobby, where they see who else has joined,
+// pick how they appear (an avatar and a colour) and mark themselves ready. The admin starts the
+// game with a countdown that every client shows. Looks come from fixed lists so they are always
+// safe to render.
+//
+// A lobby moves 'lobby' -> 'countdown' -> 'playing', and back to 'lobby' when a countdown is
+// called off. The transitions below are pure - server.js owns the timers and tells the clients.
+
+const AVATARS = ['🎸', '🎹', '🎤', '🎧', '🥁', '🎺', '🎷', '🎻', '📻', '💿', '🦊', '🐸', '🐼', '🐙', '🦄', '🐝'];
+
+const COLORS = ['#1db954', '#e91e63', '#2196f3', '#ff9800', '#9c27b0', '#00bcd4', '#ffc107', '#f44336'];
+
+const DEFAULT_COUNTDOWN_SECONDS = 5;
+const COUNTDOWN_SECONDS_LIMITS = [3, 30];
+
+// Look a player starts with - picked from their name, so it stays the same when they rejoin
+function defaultLook(playerName) {
+  let hash = 0;
+  for (const char of playerName.toLowerCase()) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return {
+    avatar: AVATARS[hash % AVATARS.length],
+    color: COLORS[Math.floor(hash / AVATARS.length) % COLORS.length]
+  };
+}
+
+// Validate a look sent by a player, filling anything missing from their current look
+function validateLook(input, currentLook) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Avatar and colour are required' };
+  }
+
+  const sanitized = { ...currentLook };
+  if (input.avatar !== undefined) {
+    if (!AVATARS.includes(input.avatar)) {
+      return { valid: false, error: 'Please pick one of the listed avatars' };
+    }
+    sanitized.avatar = input.avatar;
+  }
+  if (input.color !== undefined) {
+    if (!COLORS.includes(input.color)) {
+      return { valid: false, error: 'Please pick one of the listed colours' };
+    }
+    sanitized.color = input.color;
+  }
+
+  return { valid: true, sanitized };
+}
+
+function validateCountdownSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, sanitized: DEFAULT_COUNTDOWN_SECONDS };
+  }
+  const seconds = Number(value);
+  const [min, max] = COUNTDOWN_SECONDS_LIMITS;
+  if (!Number.isInteger(seconds) || seconds < min || seconds > max) {
+    return { valid: false, error: `The countdown must be a whole number of seconds between ${min} and ${max}` };
+  }
+  return { valid: true, sanitized: seconds };
+}
+
+function createLobby() {
+  return { phase: 'lobby', countdownEndsAt: null };
+}
+
+// The admin starts the game - only from the lobby
+function startCountdown(lobby, seconds, now) {
+  if (lobby.phase !== 'lobby') {
+    return { valid: false, error: lobby.phase === 'countdown' ? 'The countdown has already started' : 'The game has already started' };
+  }
+  return { valid: true, lobby: { phase: 'countdown', countdownEndsAt: now + seconds * 1000 } };
+}
+
+// Back to the lobby - the admin called the countdown off, or the first song would not play
+function cancelCountdown(lobby) {
+  if (lobby.phase !== 'countdown') {
+    return { valid: false, error: 'There is no countdown to cancel' };
+  }
+  return { valid: true, lobby: createLobby() };
+}
+
+// The first song is playing - from any phase, since the admin can pick a song without a countdown
+function finishLobby() {
+  return { phase: 'playing', countdownEndsAt: null };
+}
+
+function countdownRemainingMs(lobby, now) {
+  return lobby.phase === 'countdown' ? Math.max(0, lobby.countdownEndsAt - now) : null;
+}
+
+// A player marks themselves ready (or not) - only while waiting in the lobby. Returns the new
+// set of ready players.
+function setReady(lobby, readyPlayers, playerName, ready) {
+  if (lobby.phase !== 'lobby') {
+    return { valid: false, error: 'The game is already starting!' };
+  }
+  const updated = new Set(readyPlayers);
+  if (ready) {
+    updated.add(playerName);
+  } else {
+    updated.delete(playerName);
+  }
+  return { valid: true, readyPlayers: updated };
+}
+
+module.exports = {
+  AVATARS,
+  COLORS,
+  DEFAULT_COUNTDOWN_SECONDS,
+  defaultLook,
+  validateLook,
+  validateCountdownSeconds,
+  createLobby,
+  startCountdown,
+  cancelCountdown,
+  finishLobby,
+  countdownRemainingMs,
+  setReady
+};
@@ -0,0 +1,89 @@
+// LRC (synced lyrics) helpers. An LRC file prefixes each lyric line with the time it is sung:
+//
+//   [ar:Queen]
+//   [00:01.00]Is this the real life?
+//   [00:05.20]Is this just fantasy?
+//
+// Manually pasted lyrics arrive with their newlines stripped, so parsing works on the
+// timestamp tags themselves rather than on line breaks.
+
+const TIMESTAMP_PATTERN = /\[(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?\]/g;
+const METADATA_PATTERN = /\[[a-z]+:[^\]]*\]/gi; // [ar:Artist], [ti:Title], [offset:+100] ...
+
+function toMilliseconds(minutes, seconds, fraction) {
+  // "5" is 500ms, "45" is 450ms, "450" is 450ms
+  const fractionMs = fraction ? Number(fraction.padEnd(3, '0')) : 0;
+  return Number(minutes) * 60000 + Number(seconds) * 1000 + fractionMs;
+}
+
+// True when the text carries at least two LRC timestamps
+function isLrc(text) {
+  if (!text || typeof text !== 'string') return false;
+  const matches = text.match(TIMESTAMP_PATTERN);
+  return !!matches && matches.length >= 2;
+}
+
+// Parse LRC text into [{ timeMs, text }] sorted by time. Empty lines are kept so
+// instrumental breaks are known; a line tagged with several timestamps (a repeated
+// chorus) produces one entry per timestamp.
+function parseLrc(lrc) {
+  if (!lrc || typeof lrc !== 'string') return [];
+
+  const stamps = [];
+  const pattern = new RegExp(TIMESTAMP_PATTERN.source, 'g');
+  let match;
+  while ((match = pattern.exec(lrc)) !== null) {
+    stamps.push({
+      timeMs: toMilliseconds(match[1], match[2], match[3]),
+      start: match.index,
+      end: pattern.lastIndex
+    });
+  }
+
+  const lines = [];
+  let sharedTimes = [];
+  stamps.forEach((stamp, index) => {
+    const nextStart = index + 1 < stamps.length ? stamps[index + 1].start : lrc.length;
+    sharedTimes.push(stamp.timeMs);
+
+    // Tags written back to back ("[00:10.00][01:20.00]Chorus") share the text that follows
+    if (nextStart === stamp.end) return;
+
+    const text = lrc.slice(stamp.end, nextStart)
+      .replace(METADATA_PATTERN, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    sharedTimes.forEach(timeMs => lines.push({ timeMs, text }));
+    sharedTimes = [];
+  });
+
+  return lines.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+// Plain lyrics (one line per sung line) for the untimed lyrics cache and classic guessing
+function lrcToPlainText(lrc) {
+  if (!isLrc(lrc)) {
+    return (lrc || '').replace(METADATA_PATTERN, '').trim();
+  }
+  return parseLrc(lrc)
+    .map(line => line.text)
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Index of the line being sung at positionMs, or -1 before the first line
+function findLineIndexAt(lines, positionMs) {
+  let index = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].timeMs > positionMs) break;
+    index = i;
+  }
+  return index;
+}
+
+module.exports = {
+  isLrc,
+  parseLrc,
+  lrcToPlainText,
+  findLineIndexAt
+};
@@ -0,0 +1,175 @@
+// Lyrics providers - every remote or local lyrics source implements the same shape:
+//
+//   {
+//     name: 'lyricsovh',          // Stored in lyrics_cache.provider
+//     priority: 50,               // Lower runs first when no explicit order is configured
+//     rateLimitMs: 1000,          // Minimum gap between two requests to this provider
+//     fetch: async (artist, title) => ({ lyrics, syncedLyrics? }) or null
+//   }
+//
+// A provider chain asks each provider in turn and returns the first lyrics found.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { isLrc, lrcToPlainText } = require('./lrc');
+
+const LYRICS_OVH_BASE_URL = 'https://api.lyrics.ovh/v1';
+const LYRICS_FILE_EXTENSIONS = ['.lrc', '.txt'];
+
+// lyrics.ovh API (no authentication required)
+function createLyricsOvhProvider({ baseUrl = LYRICS_OVH_BASE_URL, timeout = 10000 } = {}) {
+  return {
+    name: 'lyricsovh',
+    priority: 50,
+    rateLimitMs: 1000,
+    baseUrl,
+    fetch: async (artistName, songTitle) => {
+      const cleanArtist = encodeURIComponent(artistName.trim());
+      const cleanSong = encodeURIComponent(songTitle.trim());
+      console.log(`🔍 Fetching from lyrics.ovh: ${cleanArtist}/${cleanSong}`);
+
+      try {
+        const response = await axios.get(`${baseUrl}/${cleanArtist}/${cleanSong}`, {
+          timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+          }
+        });
+        const lyrics = response.data && response.data.lyrics ? response.data.lyrics.trim() : '';
+        return lyrics.length > 0 ? { lyrics } : null;
+      } catch (error) {
+        // lyrics.ovh answers 404 for songs it does not know
+        if (error.response && error.response.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+// Lyrics files on disk named "Artist - Title.txt" or "Artist - Title.lrc". Names are
+// compared after normalization so "AC-DC - Back In Black (Remastered).txt" still matches.
+function createLocalDirectoryProvider({ directory, normalizeArtist, normalizeTitle }) {
+  return {
+    name: 'local',
+    priority: 10,
+    rateLimitMs: 0,
+    directory,
+    fetch: async (artistName, songTitle) => {
+      let files;
+      try {
+        files = await fs.promises.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      const wantedArtist = normalizeArtist(artistName);
+      const wantedTitle = normalizeTitle(songTitle);
+
+      // Prefer .lrc over .txt when both exist
+      const match = files
+        .filter(file => LYRICS_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort((a, b) => LYRICS_FILE_EXTENSIONS.indexOf(path.extname(a).toLowerCase()) -
+          LYRICS_FILE_EXTENSIONS.indexOf(path.extname(b).toLowerCase()))
+        .find(file => {
+          const baseName = path.basename(file, path.extname(file));
+          const separator = baseName.indexOf(' - ');
+          if (separator === -1) return false;
+          return normalizeArtist(baseName.slice(0, separator)) === wantedArtist &&
+            normalizeTitle(baseName.slice(separator + 3)) === wantedTitle;
+        });
+
+      if (!match) return null;
+
+      console.log(`📁 Found local lyrics file: ${match}`);
+      const content = await fs.promises.readFile(path.join(directory, match), 'utf8');
+      // Timed lyrics keep their LRC source for "finish the line" rounds
+      if (isLrc(content)) {
+        const lyrics = lrcToPlainText(content);
+        return lyrics.length > 0 ? { lyrics, syncedLyrics: content.trim() } : null;
+      }
+      const lyrics = content.trim();
+      return lyrics.length > 0 ? { lyrics } : null;
+    }
+  };
+}
+
+// Ordered provider chain with per-provider rate limiting
+function createLyricsProviderChain(providers) {
+  const throttles = new Map(); // provider name -> promise of its next free request slot
+
+  // Queue behind earlier requests to the same provider and wait out its rate limit
+  const waitForSlot = (provider) => {
+    const previous = throttles.get(provider.name) || Promise.resolve(0);
+    const slot = previous.then(lastRequestAt => {
+      const wait = Math.max(0, lastRequestAt + provider.rateLimitMs - Date.now());
+      return new Promise(resolve => setTimeout(() => resolve(Date.now()), wait));
+    });
+    throttles.set(provider.name, slot);
+    return slot;
+  };
+
+  return {
+    providers,
+
+    // Returns { lyrics, provider } from the first provider that has the song, or null
+    fetch: async (artistName, songTitle) => {
+      for (const provider of providers) {
+        try {
+          if (provider.rateLimitMs > 0) {
+            await waitForSlot(provider);
+          }
+          const result = await provider.fetch(artistName, songTitle);
+          if (result && result.lyrics) {
+            return { ...result, provider: provider.name };
+          }
+          console.log(`🎵 Provider ${provider.name} has no lyrics for "${songTitle}" by "${artistName}"`);
+        } catch (error) {
+          console.error(`❌ Lyrics provider ${provider.name} failed:`, error.message);
+        }
+      }
+      return null;
+    },
+
+    describe: () => providers.map(provider => ({
+      name: provider.name,
+      priority: provider.priority,
+      rateLimitMs: provider.rateLimitMs
+    }))
+  };
+}
+
+// Build the chain from a comma-separated list of provider names (e.g. "local,lyricsovh").
+// The list order is the chain order; without a list, providers run by priority.
+function buildLyricsProviderChain(providerList, availableProviders) {
+  const byName = new Map(availableProviders.map(provider => [provider.name, provider]));
+  let providers;
+
+  if (providerList && providerList.trim()) {
+    providers = providerList.split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        if (!byName.has(name)) {
+          console.warn(`⚠️ Unknown lyrics provider "${name}" in LYRICS_PROVIDERS - skipping`);
+        }
+        return byName.get(name);
+      })
+      .filter(Boolean);
+  } else {
+    providers = [...availableProviders].sort((a, b) => a.priority - b.priority);
+  }
+
+  return createLyricsProviderChain(providers);
+}
+
+module.exports = {
+  LYRICS_OVH_BASE_URL,
+  createLyricsOvhProvider,
+  createLocalDirectoryProvider,
+  createLyricsProviderChain,
+  buildLyricsProviderChain
+};
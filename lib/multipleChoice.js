@@ -0,0 +1,60 @@
+// Multiple-choice rounds - instead of typing, players pick the title and the artist from a
+// few options: the right answer plus decoys taken from other tracks in the playlist.
+
+const { normalizeTitle, normalizeArtist } = require('./answerMatcher');
+const { cleanTitle } = require('./hints');
+
+const CHOICES_PER_PART = 4;
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// The answer plus up to CHOICES_PER_PART - 1 decoys that do not normalize to the same text
+// as the answer or each other, in random order
+function buildPartChoices(answer, candidates, normalize, excluded, random) {
+  const seen = new Set([normalize(answer), ...excluded.map(normalize)]);
+  const decoys = [];
+  for (const candidate of shuffle(candidates, random)) {
+    const key = normalize(candidate);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    decoys.push(candidate);
+    if (decoys.length === CHOICES_PER_PART - 1) break;
+  }
+
+  const options = shuffle([answer, ...decoys], random);
+  return { options, answerIndex: options.indexOf(answer) };
+}
+
+// Options for the song's title and (first) artist. playlistItems are Spotify playlist items
+// ({ track }); the song itself is skipped. Returns null when the rest of the playlist has no
+// different title or no different artist to offer - a lone option would give the answer away.
+function buildChoices(song, playlistItems, random = Math.random) {
+  const otherTracks = (playlistItems || [])
+    .map(item => item.track)
+    .filter(track => track && track.id && track.id !== song.id);
+
+  const title = cleanTitle(song.name) || song.name;
+  const titleCandidates = otherTracks.map(track => cleanTitle(track.name) || track.name);
+  const artistCandidates = otherTracks
+    .map(track => track.artists && track.artists[0] && track.artists[0].name)
+    .filter(Boolean);
+
+  const choices = {
+    title: buildPartChoices(title, titleCandidates, normalizeTitle, [], random),
+    // Other artists credited on the song are never decoys - they would also be right
+    artist: buildPartChoices(song.artists[0], artistCandidates, normalizeArtist, song.artists.slice(1), random)
+  };
+  return choices.title.options.length > 1 && choices.artist.options.length > 1 ? choices : null;
+}
+
+module.exports = {
+  CHOICES_PER_PART,
+  buildChoices
+};
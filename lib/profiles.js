@@ -0,0 +1,83 @@
+// Player profiles - a player can claim their name with a PIN so nobody else can join a game
+// under it, and gets lifetime statistics from the games they finished (see lib/gameArchive.js):
+// games played and won, accuracy per guess category, how fast their correct guesses came and
+// the artists they got right most often.
+
+const crypto = require('crypto');
+const { CATEGORY_IDS } = require('./categories');
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const FAVOURITE_ARTIST_COUNT = 5;
+
+// Names are claimed regardless of case ("Bob" also claims "bob")
+function profileKey(playerName) {
+  return playerName.trim().toLowerCase();
+}
+
+function validatePin(pin) {
+  if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+    return { valid: false, error: 'PIN must be 4 to 8 digits' };
+  }
+  return { valid: true, sanitized: pin };
+}
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(pin, salt, 32).toString('hex') };
+}
+
+// profile: { pin_hash, pin_salt } as stored
+function verifyPin(pin, profile) {
+  if (!validatePin(pin).valid) return false;
+  const expected = Buffer.from(profile.pin_hash, 'hex');
+  const actual = Buffer.from(hashPin(pin, profile.pin_salt).hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Lifetime statistics. games are the player's rows from player_game_results, guesses their
+// rows from guess_history.
+function buildPlayerStats(games, guesses) {
+  const categories = Object.fromEntries(CATEGORY_IDS.map(id => {
+    const inCategory = guesses.filter(guess => guess.guess_type === id);
+    const correct = inCategory.filter(guess => guess.is_correct).length;
+    return [id, {
+      guesses: inCategory.length,
+      correct,
+      accuracy: inCategory.length > 0 ? correct / inCategory.length : null
+    }];
+  }));
+
+  const correctGuesses = guesses.filter(guess => guess.is_correct);
+  const timed = correctGuesses.filter(guess => guess.elapsed_ms !== null && guess.elapsed_ms !== undefined);
+  const averageTimeToCorrectMs = timed.length > 0
+    ? Math.round(timed.reduce((total, guess) => total + guess.elapsed_ms, 0) / timed.length)
+    : null;
+
+  // Count each song once per artist, however many of its parts were guessed
+  const artistSongs = new Map(); // artist -> Set of track ids
+  correctGuesses.forEach(guess => {
+    if (!guess.song_artist) return;
+    if (!artistSongs.has(guess.song_artist)) artistSongs.set(guess.song_artist, new Set());
+    artistSongs.get(guess.song_artist).add(guess.track_id);
+  });
+  const favouriteArtists = Array.from(artistSongs, ([name, songs]) => ({ name, songs: songs.size }))
+    .sort((a, b) => b.songs - a.songs || a.name.localeCompare(b.name))
+    .slice(0, FAVOURITE_ARTIST_COUNT);
+
+  return {
+    gamesPlayed: games.length,
+    wins: games.filter(game => game.won).length,
+    totalPoints: games.reduce((total, game) => total + game.score, 0),
+    bestScore: games.length > 0 ? Math.max(...games.map(game => game.score)) : 0,
+    categories,
+    averageTimeToCorrectMs,
+    favouriteArtists
+  };
+}
+
+module.exports = {
+  profileKey,
+  validatePin,
+  hashPin,
+  verifyPin,
+  buildPlayerStats
+};
@@ -0,0 +1,119 @@
+// Scoring rules - each game picks its own point values. Both the automatic award path
+// (makeGuess) and the admin's manual award go through scorePart so they always agree.
+
+const { SNIPPET_STEPS_MS } = require('./snippets');
+
+const DEFAULT_SCORING_RULES = {
+  points: { artist: 1, title: 1, album: 1, lyrics: 1, year: 2 }, // Base points per correctly guessed part (see lib/categories.js)
+  speedBonus: 0, // Extra points for an instant guess, decaying to 0 over speedBonusWindowSeconds
+  speedBonusWindowSeconds: 60,
+  firstGuessBonus: 0, // Extra points for the first correct guess of a song
+  wrongGuessPenalty: 0, // Points taken away for each incorrect part guessed
+  soloCompletionBonus: 1, // Bonus when one player guesses every part of a song alone
+  hintPenalty: 0, // Base points a part loses for each hint given about it (never below 0)
+  snippetBonus: 3, // Extra points for a guess on the first clip of a snippet round, dropping to 0 by the last clip
+  choiceSpeedBonus: 2, // Extra points for a multiple-choice pick made as the song starts, decaying to 0 over choiceSpeedWindowSeconds
+  choiceSpeedWindowSeconds: 20,
+  yearRange: 2 // Year guesses this many years off (or the right decade) earn half the year points
+};
+
+const MAX_POINTS = 100;
+const MAX_WINDOW_SECONDS = 600;
+const MAX_YEAR_RANGE = 50;
+
+function toWholeNumber(value, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || !Number.isInteger(number) || number < min || number > max) {
+    return null;
+  }
+  return number;
+}
+
+// Validate rules sent by the admin, filling anything missing from the current rules
+function validateScoringRules(input, currentRules = DEFAULT_SCORING_RULES) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Scoring rules are required' };
+  }
+
+  const sanitized = {
+    ...currentRules,
+    points: { ...currentRules.points }
+  };
+
+  const inputPoints = input.points || {};
+  for (const part of Object.keys(sanitized.points)) {
+    if (inputPoints[part] === undefined) continue;
+    const value = toWholeNumber(inputPoints[part], 0, MAX_POINTS);
+    if (value === null) {
+      return { valid: false, error: `Points for ${part} must be a whole number between 0 and ${MAX_POINTS}` };
+    }
+    sanitized.points[part] = value;
+  }
+
+  const limits = {
+    speedBonus: [0, MAX_POINTS],
+    speedBonusWindowSeconds: [1, MAX_WINDOW_SECONDS],
+    firstGuessBonus: [0, MAX_POINTS],
+    wrongGuessPenalty: [0, MAX_POINTS],
+    soloCompletionBonus: [0, MAX_POINTS],
+    hintPenalty: [0, MAX_POINTS],
+    snippetBonus: [0, MAX_POINTS],
+    choiceSpeedBonus: [0, MAX_POINTS],
+    choiceSpeedWindowSeconds: [1, MAX_WINDOW_SECONDS],
+    yearRange: [0, MAX_YEAR_RANGE]
+  };
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (input[field] === undefined) continue;
+    const value = toWholeNumber(input[field], min, max);
+    if (value === null) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    sanitized[field] = value;
+  }
+
+  return { valid: true, sanitized };
+}
+
+// A bonus for a guess made positionMs into the song, decaying linearly to 0 over windowSeconds
+// (rounded)
+function decayingBonus(bonus, windowSeconds, positionMs) {
+  if (!bonus || positionMs === null || positionMs === undefined) return 0;
+  const remaining = Math.max(0, 1 - Math.max(0, positionMs) / (windowSeconds * 1000));
+  return Math.round(bonus * remaining);
+}
+
+// Snippet bonus for a guess made while clip snippetStep (0 = the shortest) was the longest one
+// played; null outside snippet rounds
+function snippetBonusAt(rules, snippetStep) {
+  if (!rules.snippetBonus || snippetStep === null || snippetStep === undefined) return 0;
+  const lastStep = SNIPPET_STEPS_MS.length - 1;
+  return Math.round(rules.snippetBonus * Math.max(0, lastStep - snippetStep) / lastStep);
+}
+
+// Points for one correctly guessed part, with the breakdown shown to players.
+// hintsGiven is how many hints about this part were released before it was guessed; a partial
+// guess (a close year) earns half the base points, rounded up. snippetStep is the clip the
+// guess was made on in a snippet round. Multiple-choice picks earn the choice speed bonus on top
+// of the general one - with only four options to pick from, answering fast is the skill.
+function scorePart(rules, { part, positionMs, isFirstCorrectGuess, hintsGiven = 0, partial = false, snippetStep = null, multipleChoice = false }) {
+  const fullBase = rules.points[part] || 0;
+  const base = partial ? Math.ceil(fullBase / 2) : fullBase;
+  const breakdown = {
+    base,
+    hints: -Math.min(base, hintsGiven * (rules.hintPenalty || 0)),
+    speed: decayingBonus(rules.speedBonus, rules.speedBonusWindowSeconds, positionMs),
+    choiceSpeed: multipleChoice ? decayingBonus(rules.choiceSpeedBonus, rules.choiceSpeedWindowSeconds, positionMs) : 0,
+    firstGuess: isFirstCorrectGuess ? rules.firstGuessBonus : 0,
+    snippet: snippetBonusAt(rules, snippetStep)
+  };
+  return {
+    points: breakdown.base + breakdown.hints + breakdown.speed + breakdown.choiceSpeed + breakdown.firstGuess + breakdown.snippet,
+    breakdown
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  validateScoringRules,
+  scorePart
+};
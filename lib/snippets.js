@@ -0,0 +1,67 @@
+// Snippet rounds - "name that tune in N seconds". Instead of playing the whole song the server
+// plays a short clip and pauses; while the song stays unsolved each following clip is longer
+// (SNIPPET_STEPS_MS), so a guess made on an early clip is worth more (see lib/scoring.js).
+
+const SNIPPET_STEPS_MS = [1000, 3000, 7000, 15000];
+
+// 'start' plays every clip from the top of the song, 'random' from a random point in it
+const SNIPPET_STARTS = ['start', 'random'];
+
+const DEFAULT_SNIPPET_SETTINGS = {
+  enabled: false,
+  start: 'start',
+  guessSeconds: 10 // Time to guess after each clip before the next, longer one plays
+};
+
+const GUESS_SECONDS_LIMITS = [3, 120];
+
+// Validate settings sent by the admin, filling anything missing from the current settings
+function validateSnippetSettings(input, currentSettings = DEFAULT_SNIPPET_SETTINGS) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Snippet settings are required' };
+  }
+
+  const sanitized = { ...currentSettings };
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { valid: false, error: 'enabled must be true or false' };
+    }
+    sanitized.enabled = input.enabled;
+  }
+  if (input.start !== undefined) {
+    if (!SNIPPET_STARTS.includes(input.start)) {
+      return { valid: false, error: `start must be one of: ${SNIPPET_STARTS.join(', ')}` };
+    }
+    sanitized.start = input.start;
+  }
+  if (input.guessSeconds !== undefined) {
+    const value = Number(input.guessSeconds);
+    const [min, max] = GUESS_SECONDS_LIMITS;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `guessSeconds must be a whole number between ${min} and ${max}` };
+    }
+    sanitized.guessSeconds = value;
+  }
+
+  return { valid: true, sanitized };
+}
+
+// Where the clips start. A random start stays clear of the first and last 10% of the song and
+// leaves room for the longest clip; songs too short for that start from the top.
+function snippetOffset(start, durationMs, random = Math.random) {
+  const longestClipMs = SNIPPET_STEPS_MS[SNIPPET_STEPS_MS.length - 1];
+  if (start !== 'random' || !durationMs) return 0;
+
+  const earliest = Math.round(durationMs * 0.1);
+  const latest = Math.round(durationMs * 0.9) - longestClipMs;
+  if (latest <= earliest) return 0;
+  return earliest + Math.floor(random() * (latest - earliest));
+}
+
+module.exports = {
+  SNIPPET_STEPS_MS,
+  SNIPPET_STARTS,
+  DEFAULT_SNIPPET_SETTINGS,
+  validateSnippetSettings,
+  snippetOffset
+};
@@ -7,6 +7,58 @@ const axios = require('axios');
 require('dotenv').config();
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+const {
+  LYRICS_OVH_BASE_URL,
+  createLyricsOvhProvider,
+  createLocalDirectoryProvider,
+  buildLyricsProviderChain
+} = require('./lib/lyricsProviders');
+const { isLrc, parseLrc, lrcToPlainText, findLineIndexAt } = require('./lib/lrc');
+const { DEFAULT_SCORING_RULES, validateScoringRules, scorePart } = require('./lib/scoring');
+const { MATCH_STRICTNESS_LEVELS, DEFAULT_MATCH_STRICTNESS } = require('./lib/fuzzyMatch');
+const {
+  countLetters,
+  normalizeTitle,
+  normalizeArtist,
+  matchArtist,
+  matchTitle,
+  matchLyrics,
+  matchLyricLine,
+  parseYearGuess,
+  matchYear,
+  closestArtist
+} = require('./lib/answerMatcher');
+const { nextHint } = require('./lib/hints');
+const { buildChoices } = require('./lib/multipleChoice');
+const { buildGameResults, summarizeResults } = require('./lib/gameArchive');
+const { parseJson } = require('./lib/json');
+const { profileKey, validatePin, hashPin, verifyPin, buildPlayerStats } = require('./lib/profiles');
+const { DEFAULT_PLACEMENT_POINTS, validateLeague, buildLeagueStandings } = require('./lib/leagues');
+const { SNIPPET_STEPS_MS, DEFAULT_SNIPPET_SETTINGS, validateSnippetSettings, snippetOffset } = require('./lib/snippets');
+const {
+  AVATARS,
+  COLORS,
+  defaultLook,
+  validateLook,
+  validateCountdownSeconds,
+  createLobby,
+  startCountdown,
+  cancelCountdown,
+  finishLobby,
+  countdownRemainingMs,
+  setReady
+} = require('./lib/lobby');
+const {
+  CATEGORIES,
+  CATEGORY_IDS,
+  categoryById,
+  emptyGuessedParts,
+  emptyGuesses,
+  allCategoriesDone,
+  anyCategoryGuessed,
+  describeGuessedParts
+} = require('./lib/categories');
 
 const app = express();
 const server = http.createServer(app);
@@ -56,52 +108,42 @@ app.use((req, res, next) => {
   next();
 });
 
-// Spotify API configuration
-const spotifyApi = new SpotifyWebApi({
-  clientId: process.env.SPOTIFY_CLIENT_ID,
-  clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-  redirectUri: process.env.SPOTIFY_REDIRECT_URI
-});
+// Spotify API configuration - each game room gets its own client so that
+// every host can authenticate their own Spotify session
+function createSpotifyApi() {
+  return new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI
+  });
+}
+
+// Lyrics provider chain - tried in order after a lyrics_cache miss.
+// LYRICS_PROVIDERS sets the order (e.g. "local,lyricsovh"); LYRICS_DIRECTORY holds
+// "Artist - Title.txt" / "Artist - Title.lrc" files for the local provider.
+const LYRICS_DIRECTORY = process.env.LYRICS_DIRECTORY || path.join(__dirname, 'lyrics');
+const lyricsProviders = buildLyricsProviderChain(process.env.LYRICS_PROVIDERS, [
+  createLocalDirectoryProvider({
+    directory: LYRICS_DIRECTORY,
+    normalizeArtist,
+    normalizeTitle
+  }),
+  createLyricsOvhProvider({ baseUrl: LYRICS_OVH_BASE_URL })
+]);
+console.log(`🎵 Lyrics providers: ${lyricsProviders.providers.map(provider => provider.name).join(' -> ') || 'none'}`);
 
-// Lyrics.ovh API configuration (no authentication required)
-const LYRICS_OVH_BASE_URL = 'https://api.lyrics.ovh/v1';
+// Game code lifetime (extended whenever a new song is played)
+const GAME_CODE_TTL_MS = 30 * 60 * 1000; // 30 minutes
 
-// Game state
+// Auto-host defaults - how long each song is played for guessing and the pause before the next
+const DEFAULT_AUTO_HOST_SETTINGS = { enabled: false, roundSeconds: 60, intermissionSeconds: 10 };
+
+// Game rooms, keyed by game code. Each room owns its own players, scores,
+// song progress and Spotify session so several games can run side by side.
+const rooms = new Map(); // gameCode -> room
+
+// Server-wide state shared by all rooms
 let gameState = {
-  currentSong: null,
-  players: {}, // socketId -> playerName
-  scores: {}, // playerName -> score (persistent)
-  isPlaying: false,
-  currentPlaylist: null,
-  accessToken: null,
-  guessedParts: {
-    artist: false,
-    title: false,
-    lyrics: false
-  },
-  trackStatus: {}, // Track status for each song: 'unplayed', 'played', 'partial', 'complete'
-  songStates: {}, // Persistent state for each song: { isComplete, lyricsGuessed, bonusAwarded, playersWhoGuessed, currentGuesses }
-  bonusAwarded: false, // Track if bonus point has been awarded for current song
-  playersWhoGuessed: new Set(), // Track which players have made correct guesses this round
-  activeUsernames: new Set(), // Track which usernames are currently connected
-  currentGuesses: {
-    artist: [],
-    title: [],
-    lyrics: []
-  }, // Track all guesses for current song: { guess: string, player: string, timestamp: Date }
-  lastGuessTimestamps: {}, // playerName -> timestamp of last guess (ms)
-  scrapingState: {
-    isScraping: false,
-    currentIndex: 0,
-    successfulCount: 0,
-    totalCount: 0,
-    failedIndices: [],
-    playlistTracks: []
-  },
-  // Game code system
-  gameCode: null,
-  gameCodeExpiry: null,
-  adminConnected: false,
   // Brute force protection
   bruteForceProtection: {
     adminPassword: {
@@ -117,33 +159,12 @@ let gameState = {
   },
   // IP tracking and blocking
   blockedIps: new Map(), // ip -> { blockedUntil: timestamp, reason: string }
+  profileClaims: new Map(), // ip -> timestamps of the names it claimed in the last hour
   socketToIp: new Map() // socketId -> ip
 };
 
-// Game code management functions
-function generateGameCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
-function resetGameCode() {
-  gameState.gameCode = null;
-  gameState.gameCodeExpiry = null;
-  gameState.adminConnected = false;
-  // Clear all players and scores
-  gameState.players = {};
-  gameState.scores = {};
-  gameState.activeUsernames.clear();
-  gameState.currentSong = null;
-  gameState.isPlaying = false;
-  gameState.currentPlaylist = null;
-  gameState.guessedParts = { artist: false, title: false, lyrics: false };
-  gameState.trackStatus = {};
-  gameState.songStates = {};
-  gameState.bonusAwarded = false;
-  gameState.playersWhoGuessed.clear();
-  gameState.currentGuesses = { artist: [], title: [], lyrics: [] };
-  gameState.lastGuessTimestamps = {};
-  gameState.scrapingState = {
+function createScrapingState() {
+  return {
     isScraping: false,
     currentIndex: 0,
     successfulCount: 0,
@@ -151,38 +172,343 @@ function resetGameCode() {
     failedIndices: [],
     playlistTracks: []
   };
-  // Reset brute force protection
-  gameState.bruteForceProtection = {
-    adminPassword: {
-      failedAttempts: 0,
-      lastFailedAttempt: 0,
-      blockedUntil: 0
-    },
-    gameCode: {
-      failedAttempts: 0,
-      lastFailedAttempt: 0,
-      blockedUntil: 0
-    }
+}
+
+// Create a new game room (with a fresh game code unless restoring a persisted one)
+function createRoom(gameCode = generateGameCode()) {
+  const room = {
+    gameCode,
+    gameCodeExpiry: Date.now() + GAME_CODE_TTL_MS,
+    adminConnected: true,
+    spotifyApi: createSpotifyApi(),
+    spotifyAuthState: null, // Pending OAuth state while the admin is logging in to Spotify
+    currentSong: null,
+    songStartedAt: null, // When the current song started playing (time-to-correct in player stats)
+    players: {}, // socketId -> playerName
+    scores: {}, // playerName -> score (persistent)
+    playerSessions: {}, // playerName -> hash of the session token that player resumes with (see issuePlayerSession)
+    teams: [], // Team names created by the admin - team mode is on while there are any
+    playerTeams: {}, // playerName -> team name (a team's score is the sum of its players' scores)
+    isPlaying: false,
+    currentPlaylist: null,
+    accessToken: null,
+    refreshToken: null,
+    accessTokenExpiresAt: null,
+    spotifyRefreshTimer: null,
+    spotifyRefreshPromise: null,
+    guessedParts: emptyGuessedParts(), // Progress per guess category (see lib/categories.js)
+    trackStatus: {}, // Track status for each song: 'unplayed', 'played', 'partial', 'complete', 'revealed'
+    songStates: {}, // Persistent state for each song: { isComplete, guessedParts, revealedParts, hints, choices, bonusAwarded, playersWhoGuessed, currentGuesses }
+    revealedParts: [], // Parts of the current song given away by an answer reveal - they can no longer be scored
+    revealedAnswer: null, // Answer shown to players since the last reveal (see revealAnswer)
+    bonusAwarded: false, // Track if bonus point has been awarded for current song
+    playersWhoGuessed: new Set(), // Track which players have made correct guesses this round
+    activeUsernames: new Set(), // Track which usernames are currently connected
+    currentGuesses: emptyGuesses(), // Track all guesses for current song, per category: { guess: string, player: string, timestamp: Date }
+    roundType: 'classic', // 'classic', 'finishTheLine' or 'multipleChoice' (see ROUND_TYPES)
+    choices: null, // Multiple-choice options for the current song: { title: { options, answerIndex }, artist: { ... } }
+    scoringRules: { ...DEFAULT_SCORING_RULES, points: { ...DEFAULT_SCORING_RULES.points } },
+    matchStrictness: DEFAULT_MATCH_STRICTNESS, // How forgiving artist/title matching is (see MATCH_STRICTNESS_LEVELS)
+    songAliases: { artists: {}, title: [] }, // Accepted alternate answers for the current song (see loadSongAliases)
+    autoHost: { ...DEFAULT_AUTO_HOST_SETTINGS }, // Timed rounds that advance to the next song by themselves
+    roundTimer: null, // Running auto-host phase: { phase: 'round' | 'intermission', durationMs, endsAt, pausedRemainingMs }
+    roundTimerHandle: null,
+    snippetSettings: { ...DEFAULT_SNIPPET_SETTINGS }, // Play each song as a series of longer and longer clips (see lib/snippets.js)
+    snippetClip: null, // Running snippet round: { step, offsetMs, phase: 'playing' | 'waiting' | 'held' | 'finished', nextClipAt }
+    snippetTimer: null,
+    leagueId: null, // League this game counts towards when it ends (see lib/leagues.js)
+    lobby: createLobby(), // 'lobby' until the first song, 'countdown' once the admin starts the game, then 'playing'
+    lobbyTimer: null,
+    readyPlayers: new Set(), // Players who marked themselves ready in the lobby
+    playerLooks: {}, // playerName -> { avatar, color } (see lib/lobby.js)
+    hints: [], // Hints released for the current song: [{ type, part, label, text }] (see lib/hints.js)
+    autoHintSeconds: 0, // Release a hint every this many seconds of playback (0 = only when the admin asks)
+    autoHintTimer: null,
+    syncedLyrics: [], // Parsed LRC lines for the current song: [{ timeMs, text }]
+    playback: { positionMs: 0, updatedAt: Date.now(), isPlaying: false }, // Last known Spotify position
+    lyricChallenge: null, // Open "finish the line" challenge: { promptLine, targetLine, targetIndex, closesAtMs }
+    lyricChallengeTimer: null,
+    lastGuessTimestamps: {}, // playerName -> timestamp of last guess (ms)
+    scrapingState: createScrapingState()
   };
-  // Clear IP tracking (but keep blocked IPs for security)
-  gameState.socketToIp.clear();
+  rooms.set(room.gameCode, room);
+  return room;
+}
+
+// Socket.IO channel that only the room's admin panels join
+function adminChannel(room) {
+  return `${room.gameCode}:admin`;
+}
+
+// Look up a room by game code, closing it if it has expired
+function getActiveRoom(gameCode) {
+  const room = rooms.get(gameCode);
+  if (!room) return null;
+  
+  if (room.gameCodeExpiry && Date.now() > room.gameCodeExpiry) {
+    resetGameCode(room);
+    return null;
+  }
   
-  // Notify all clients that game has ended
-  io.emit('gameEnded', { message: 'Game session has expired. Please wait for an admin to start a new game.' });
-  console.log('Game code expired - all players kicked out');
+  return room;
+}
+
+// Game code management functions
+function generateGameCode() {
+  let gameCode;
+  do {
+    gameCode = Math.floor(100000 + Math.random() * 900000).toString();
+  } while (rooms.has(gameCode));
+  return gameCode;
 }
 
-function extendGameCode() {
-  if (gameState.gameCode) {
-    gameState.gameCodeExpiry = Date.now() + (30 * 60 * 1000); // 30 minutes
-    console.log('Game code timer extended for 30 minutes');
+// End a game: archive its results, delete its saved state and send everyone home.
+// Returns the id of the game's results page (null when nothing happened in the game).
+function resetGameCode(room, message = 'Game session has expired. Please wait for an admin to start a new game.') {
+  // Stop any background work for this room
+  room.scrapingState.isScraping = false;
+  clearTimeout(room.spotifyRefreshTimer);
+  clearTimeout(room.lyricChallengeTimer);
+  clearTimeout(room.roundTimerHandle);
+  clearTimeout(room.autoHintTimer);
+  clearTimeout(room.snippetTimer);
+  clearTimeout(room.lobbyTimer);
+  room.adminConnected = false;
+  rooms.delete(room.gameCode);
+  const resultsId = hasGameResults(room) ? createArchiveId() : null;
+  archiveGame(room.gameCode, resultsId);
+  revokeRoomAdminSessions(room.gameCode);
+  
+  // Brute force protection is server-wide and stays as it is - other games keep running, and a
+  // lockout earned against one of them must not end because this one did
+  
+  // Forget IP tracking for this room's players (but keep blocked IPs for security)
+  Object.keys(room.players).forEach(socketId => gameState.socketToIp.delete(socketId));
+  
+  // Notify everyone in the room that the game has ended
+  io.to(room.gameCode).emit('gameEnded', { message, resultsId });
+  io.in(room.gameCode).socketsLeave(room.gameCode);
+  console.log(`Game code ${room.gameCode} ended - all players kicked out`);
+  return resultsId;
+}
+
+function extendGameCode(room) {
+  if (room.gameCode) {
+    room.gameCodeExpiry = Date.now() + GAME_CODE_TTL_MS;
+    persistRoom(room);
+    console.log(`Game code ${room.gameCode} timer extended for 30 minutes`);
   }
 }
 
 function checkGameCodeExpiry() {
-  if (gameState.gameCode && gameState.gameCodeExpiry && Date.now() > gameState.gameCodeExpiry) {
-    resetGameCode();
+  for (const room of Array.from(rooms.values())) {
+    if (room.gameCodeExpiry && Date.now() > room.gameCodeExpiry) {
+      resetGameCode(room);
+    }
+  }
+}
+
+// Spotify session management - access tokens last an hour, so each room keeps its
+// refresh token and renews the access token shortly before it expires
+const SPOTIFY_REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh 5 minutes before expiry
+
+// Store the tokens from an authorization-code grant or refresh response
+function setSpotifyTokens(room, tokens) {
+  room.accessToken = tokens.access_token;
+  room.spotifyApi.setAccessToken(tokens.access_token);
+  // Spotify only sometimes rotates the refresh token
+  if (tokens.refresh_token) {
+    room.refreshToken = tokens.refresh_token;
+    room.spotifyApi.setRefreshToken(tokens.refresh_token);
+  }
+  room.accessTokenExpiresAt = Date.now() + (tokens.expires_in || 3600) * 1000;
+  scheduleSpotifyRefresh(room);
+}
+
+function scheduleSpotifyRefresh(room) {
+  clearTimeout(room.spotifyRefreshTimer);
+  if (!room.refreshToken || !room.accessTokenExpiresAt) return;
+  
+  const delay = Math.max(0, room.accessTokenExpiresAt - Date.now() - SPOTIFY_REFRESH_MARGIN_MS);
+  room.spotifyRefreshTimer = setTimeout(() => {
+    refreshSpotifyToken(room).catch(error => {
+      console.error(`Scheduled Spotify token refresh failed for game ${room.gameCode}:`, error.message);
+    });
+  }, delay);
+}
+
+// Refresh the room's access token; concurrent callers share one refresh request
+function refreshSpotifyToken(room) {
+  if (room.spotifyRefreshPromise) {
+    return room.spotifyRefreshPromise;
+  }
+  
+  if (!room.refreshToken) {
+    return Promise.reject(requireSpotifyReauth(room, 'No Spotify refresh token available'));
+  }
+  
+  room.spotifyRefreshPromise = room.spotifyApi.refreshAccessToken()
+    .then(data => {
+      setSpotifyTokens(room, data.body);
+      persistRoom(room);
+      console.log(`🔑 Refreshed Spotify access token for game ${room.gameCode}`);
+    })
+    .catch(error => {
+      // Spotify rejected the refresh token itself - only a new login can fix that
+      if (error.statusCode === 400 || error.statusCode === 401) {
+        throw requireSpotifyReauth(room, error.message);
+      }
+      // Transient failure (network, rate limit) - try again shortly
+      clearTimeout(room.spotifyRefreshTimer);
+      room.spotifyRefreshTimer = setTimeout(() => {
+        refreshSpotifyToken(room).catch(() => {});
+      }, 60000);
+      throw error;
+    })
+    .finally(() => {
+      room.spotifyRefreshPromise = null;
+    });
+  
+  return room.spotifyRefreshPromise;
+}
+
+// Forget the room's Spotify session and ask its admin to log in to Spotify again
+function requireSpotifyReauth(room, reason) {
+  console.log(`🔒 Spotify re-authentication required for game ${room.gameCode}: ${reason}`);
+  clearTimeout(room.spotifyRefreshTimer);
+  room.accessToken = null;
+  room.refreshToken = null;
+  room.accessTokenExpiresAt = null;
+  room.spotifyApi.resetAccessToken();
+  room.spotifyApi.resetRefreshToken();
+  persistRoom(room);
+  
+  io.to(adminChannel(room)).emit('spotifyReauthRequired', {
+    message: 'Your Spotify session has expired. Please authenticate with Spotify to use admin features.'
+  });
+  
+  const error = new Error('Spotify re-authentication required');
+  error.statusCode = 401;
+  error.spotifyReauthRequired = true;
+  return error;
+}
+
+// Run a Spotify Web API call for a room, refreshing the token and retrying once on a 401
+async function callSpotify(room, request) {
+  try {
+    return await request(room.spotifyApi);
+  } catch (error) {
+    if (error.statusCode !== 401) throw error;
+    
+    console.log(`Spotify returned 401 for game ${room.gameCode} - refreshing token and retrying`);
+    await refreshSpotifyToken(room);
+    return request(room.spotifyApi);
+  }
+}
+
+// Respond with 401 when a Spotify call failed because the host has to log in to Spotify again
+function sendSpotifyReauthError(res, error) {
+  if (!error || !error.spotifyReauthRequired) return false;
+  
+  res.status(401).json({
+    error: 'Spotify session expired. Please reconnect your Spotify account.',
+    code: 'SPOTIFY_REAUTH_REQUIRED'
+  });
+  return true;
+}
+
+// Admin sessions - /api/verify-admin issues a signed, expiring token that every
+// admin REST route and admin socket connection must present
+const ADMIN_TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const ADMIN_TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.ADMIN_TOKEN_SECRET) {
+  console.warn('⚠️ ADMIN_TOKEN_SECRET is not set - admin sessions will not survive a server restart');
+}
+const adminSessions = new Map(); // sessionId -> { gameCode, expiresAt, revoked }
+
+function signAdminPayload(payload) {
+  return crypto.createHmac('sha256', ADMIN_TOKEN_SECRET).update(payload).digest('hex');
+}
+
+function issueAdminToken(room) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + ADMIN_TOKEN_TTL_MS;
+  adminSessions.set(sessionId, { gameCode: room.gameCode, expiresAt, revoked: false });
+  persist(
+    'INSERT INTO admin_sessions (session_id, game_code, expires_at, revoked) VALUES (?, ?, ?, 0)',
+    [sessionId, room.gameCode, expiresAt]
+  );
+  
+  const payload = Buffer.from(JSON.stringify({ sid: sessionId, gameCode: room.gameCode, exp: expiresAt })).toString('hex');
+  return `${payload}.${signAdminPayload(payload)}`;
+}
+
+function verifyAdminToken(token) {
+  if (!token || typeof token !== 'string' || token.length > 1000) {
+    return { valid: false, error: 'Admin authentication required' };
+  }
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return { valid: false, error: 'Invalid admin token' };
+  }
+  
+  const expectedSignature = Buffer.from(signAdminPayload(payload));
+  const providedSignature = Buffer.from(signature);
+  if (expectedSignature.length !== providedSignature.length || !crypto.timingSafeEqual(expectedSignature, providedSignature)) {
+    return { valid: false, error: 'Invalid admin token' };
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'hex').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Invalid admin token' };
+  }
+  
+  const session = adminSessions.get(claims.sid);
+  if (!session || session.revoked || session.gameCode !== claims.gameCode) {
+    return { valid: false, error: 'Admin session has been revoked' };
+  }
+  
+  if (Date.now() > session.expiresAt) {
+    adminSessions.delete(claims.sid);
+    return { valid: false, error: 'Admin session has expired' };
+  }
+  
+  const room = getActiveRoom(session.gameCode);
+  if (!room) {
+    return { valid: false, error: 'Game session has expired' };
+  }
+  
+  return { valid: true, sessionId: claims.sid, room };
+}
+
+function revokeAdminSession(sessionId) {
+  const session = adminSessions.get(sessionId);
+  if (session) {
+    session.revoked = true;
+    persist('UPDATE admin_sessions SET revoked = 1 WHERE session_id = ?', [sessionId]);
+  }
+}
+
+function revokeRoomAdminSessions(gameCode) {
+  for (const [sessionId, session] of adminSessions.entries()) {
+    if (session.gameCode === gameCode) {
+      adminSessions.delete(sessionId);
+    }
+  }
+  persist('UPDATE admin_sessions SET revoked = 1 WHERE game_code = ?', [gameCode]);
+}
+
+function cleanupExpiredAdminSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of adminSessions.entries()) {
+    if (now > session.expiresAt || session.revoked) {
+      adminSessions.delete(sessionId);
+    }
   }
+  persist('DELETE FROM admin_sessions WHERE expires_at < ?', [now]);
 }
 
 // Brute force protection functions
@@ -232,6 +558,51 @@ function resetFailedAttempts(type) {
   console.log(`✅ Reset brute force protection for ${type}`);
 }
 
+// Player sessions - a player gets a session token the first time they join a game under a name.
+// Joining under that name again (after a refresh, a network drop or from another window) needs
+// the token, so nobody else can take over the player and their score. Only the token's hash is
+// kept, like a password.
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issuePlayerSession(room, playerName) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  room.playerSessions[playerName] = hashSessionToken(token);
+  return token;
+}
+
+function hasPlayerSession(room, playerName, token) {
+  const expected = room.playerSessions[playerName];
+  if (!expected || typeof token !== 'string' || token.length > 100) return false;
+  const actual = hashSessionToken(token);
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+// Resolves to { claimed, error } - error is set when the name is claimed and the PIN is missing
+// or wrong. Claimed names get their own brute-force protection, created on the first PIN check.
+function checkProfilePin(playerName, pin) {
+  const key = profileKey(playerName);
+  return queryDb('get', 'SELECT pin_hash, pin_salt FROM player_profiles WHERE name_key = ?', [key]).then(profile => {
+    if (!profile) return { claimed: false };
+
+    const type = `profilePin:${key}`;
+    if (!gameState.bruteForceProtection[type]) {
+      gameState.bruteForceProtection[type] = { failedAttempts: 0, lastFailedAttempt: 0, blockedUntil: 0 };
+    }
+    const protection = checkBruteForceProtection(type);
+    if (protection.blocked) return { claimed: true, error: protection.message };
+
+    if (!pin) return { claimed: true, error: 'This name is claimed - enter its PIN to play as it' };
+    if (!verifyPin(String(pin), profile)) {
+      recordFailedAttempt(type);
+      return { claimed: true, error: 'Wrong PIN for this name' };
+    }
+    delete gameState.bruteForceProtection[type];
+    return { claimed: true };
+  });
+}
+
 // IP blocking functions
 function blockIp(ip, reason = 'Admin kick', durationMinutes = 10) {
   const blockedUntil = Date.now() + (durationMinutes * 60 * 1000);
@@ -271,19 +642,19 @@ function getBlockedIpInfo(ip) {
   };
 }
 
-function kickPlayer(socketId, reason = 'Admin kick') {
-  const playerName = gameState.players[socketId];
+function kickPlayer(room, socketId, reason = 'Admin kick') {
+  const playerName = room.players[socketId];
   const ip = gameState.socketToIp.get(socketId);
   
   if (playerName) {
     // Remove player from game
-    delete gameState.players[socketId];
+    delete room.players[socketId];
     gameState.socketToIp.delete(socketId);
     
     // Check if this username is still used by other active players
-    const usernameStillActive = Object.values(gameState.players).includes(playerName);
+    const usernameStillActive = Object.values(room.players).includes(playerName);
     if (!usernameStillActive) {
-      gameState.activeUsernames.delete(playerName);
+      room.activeUsernames.delete(playerName);
     }
     
     // Block the IP for 10 minutes
@@ -291,11 +662,11 @@ function kickPlayer(socketId, reason = 'Admin kick') {
       blockIp(ip, reason, 10);
     }
     
-    // Notify all clients
-    io.emit('playerKicked', { 
+    // Notify everyone in the room
+    io.to(room.gameCode).emit('playerKicked', { 
       playerName, 
-      players: gameState.players, 
-      scores: gameState.scores,
+      players: room.players, 
+      scores: room.scores,
       reason: reason
     });
     
@@ -317,6 +688,19 @@ function cleanupExpiredBlocks() {
       console.log(`🧹 Cleaned up expired block for IP ${ip}`);
     }
   }
+  // A claimed name's PIN protection is dropped once it is no longer blocked and its failed
+  // attempts have lapsed (see checkBruteForceProtection)
+  Object.keys(gameState.bruteForceProtection).forEach(type => {
+    const protection = gameState.bruteForceProtection[type];
+    if (type.startsWith('profilePin:') && now > protection.blockedUntil && now - protection.lastFailedAttempt > 60000) {
+      delete gameState.bruteForceProtection[type];
+    }
+  });
+  for (const [ip, claims] of gameState.profileClaims.entries()) {
+    if (claims.every(claimedAt => now - claimedAt > PROFILE_CLAIM_WINDOW_MS)) {
+      gameState.profileClaims.delete(ip);
+    }
+  }
 }
 
 // Memory monitoring and cleanup functions
@@ -332,21 +716,23 @@ function cleanupMemory() {
     console.log('🗑️ Forced garbage collection');
   }
   
-  // Clean up old guess data (keep only last 100 guesses per type)
-  ['artist', 'title', 'lyrics'].forEach(type => {
-    if (gameState.currentGuesses[type].length > 100) {
-      gameState.currentGuesses[type] = gameState.currentGuesses[type].slice(-100);
+  rooms.forEach(room => {
+    // Clean up old guess data (keep only last 100 guesses per type)
+    CATEGORY_IDS.forEach(type => {
+      if (room.currentGuesses[type] && room.currentGuesses[type].length > 100) {
+        room.currentGuesses[type] = room.currentGuesses[type].slice(-100);
+      }
+    });
+    
+    // Clean up old song states (keep only last 50 songs)
+    const songStateKeys = Object.keys(room.songStates);
+    if (songStateKeys.length > 50) {
+      const keysToDelete = songStateKeys.slice(0, songStateKeys.length - 50);
+      keysToDelete.forEach(key => delete room.songStates[key]);
+      console.log(`🧹 Cleaned up ${keysToDelete.length} old song states in game ${room.gameCode}`);
     }
   });
   
-  // Clean up old song states (keep only last 50 songs)
-  const songStateKeys = Object.keys(gameState.songStates);
-  if (songStateKeys.length > 50) {
-    const keysToDelete = songStateKeys.slice(0, songStateKeys.length - 50);
-    keysToDelete.forEach(key => delete gameState.songStates[key]);
-    console.log(`🧹 Cleaned up ${keysToDelete.length} old song states`);
-  }
-  
   logMemoryUsage();
 }
 
@@ -362,6 +748,9 @@ setInterval(checkGameCodeExpiry, 60000);
 // Clean up expired IP blocks every 5 minutes
 setInterval(cleanupExpiredBlocks, 300000);
 
+// Clean up expired admin sessions every 5 minutes
+setInterval(cleanupExpiredAdminSessions, 300000);
+
 // Initialize SQLite database with memory optimization
 const db = new sqlite3.Database('./lyrics.db', (err) => {
   if (err) {
@@ -382,11 +771,524 @@ const db = new sqlite3.Database('./lyrics.db', (err) => {
       artist TEXT NOT NULL,
       title TEXT NOT NULL,
       lyrics TEXT NOT NULL,
+      provider TEXT,
+      synced_lyrics TEXT,
       UNIQUE(artist, title)
     )`);
+    addColumnIfMissing('lyrics_cache', 'provider', 'TEXT');
+    addColumnIfMissing('lyrics_cache', 'synced_lyrics', 'TEXT');
+    
+    // Accepted alternate answers ("RHCP", "P!nk") for a Spotify artist or track, shared by all games
+    db.run(`CREATE TABLE IF NOT EXISTS answer_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      spotify_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      alias TEXT NOT NULL COLLATE NOCASE,
+      source TEXT NOT NULL DEFAULT 'admin',
+      created_at INTEGER NOT NULL,
+      UNIQUE(kind, spotify_id, alias)
+    )`);
+    
+    // Game persistence tables - rooms survive a server restart
+    db.serialize(() => {
+      db.run(`CREATE TABLE IF NOT EXISTS game_sessions (
+        game_code TEXT PRIMARY KEY,
+        game_code_expiry INTEGER NOT NULL,
+        access_token TEXT,
+        refresh_token TEXT,
+        access_token_expires_at INTEGER,
+        current_playlist TEXT,
+        current_song TEXT,
+        guessed_parts TEXT,
+        bonus_awarded INTEGER NOT NULL DEFAULT 0,
+        players_who_guessed TEXT,
+        current_guesses TEXT,
+        round_type TEXT NOT NULL DEFAULT 'classic',
+        scoring_rules TEXT,
+        match_strictness TEXT,
+        auto_host TEXT,
+        auto_hint_seconds INTEGER NOT NULL DEFAULT 0,
+        teams TEXT,
+        snippet_settings TEXT,
+        league_id INTEGER,
+        created_at INTEGER NOT NULL
+      )`);
+      // Columns added after the table first shipped
+      addColumnIfMissing('game_sessions', 'refresh_token', 'TEXT');
+      addColumnIfMissing('game_sessions', 'access_token_expires_at', 'INTEGER');
+      addColumnIfMissing('game_sessions', 'round_type', "TEXT NOT NULL DEFAULT 'classic'");
+      addColumnIfMissing('game_sessions', 'scoring_rules', 'TEXT');
+      addColumnIfMissing('game_sessions', 'match_strictness', 'TEXT');
+      addColumnIfMissing('game_sessions', 'auto_host', 'TEXT');
+      addColumnIfMissing('game_sessions', 'auto_hint_seconds', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing('game_sessions', 'teams', 'TEXT');
+      addColumnIfMissing('game_sessions', 'snippet_settings', 'TEXT');
+      addColumnIfMissing('game_sessions', 'league_id', 'INTEGER');
+      db.run(`CREATE TABLE IF NOT EXISTS game_players (
+        game_code TEXT NOT NULL,
+        player_name TEXT NOT NULL,
+        score INTEGER NOT NULL DEFAULT 0,
+        team_name TEXT,
+        session_token_hash TEXT,
+        PRIMARY KEY (game_code, player_name)
+      )`);
+      addColumnIfMissing('game_players', 'team_name', 'TEXT');
+      addColumnIfMissing('game_players', 'session_token_hash', 'TEXT');
+      addColumnIfMissing('game_players', 'avatar', 'TEXT');
+      addColumnIfMissing('game_players', 'color', 'TEXT');
+      db.run(`CREATE TABLE IF NOT EXISTS game_track_status (
+        game_code TEXT NOT NULL,
+        track_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        played_at INTEGER,
+        PRIMARY KEY (game_code, track_id)
+      )`);
+      addColumnIfMissing('game_track_status', 'played_at', 'INTEGER');
+      db.run(`CREATE TABLE IF NOT EXISTS game_song_states (
+        game_code TEXT NOT NULL,
+        track_id TEXT NOT NULL,
+        state TEXT NOT NULL,
+        PRIMARY KEY (game_code, track_id)
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS game_guesses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_code TEXT NOT NULL,
+        track_id TEXT NOT NULL,
+        guess_type TEXT NOT NULL,
+        guess TEXT NOT NULL,
+        player_name TEXT NOT NULL,
+        is_correct INTEGER NOT NULL DEFAULT 0,
+        elapsed_ms INTEGER,
+        song_artist TEXT,
+        created_at INTEGER NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS idx_game_guesses_game ON game_guesses (game_code, track_id)');
+      addColumnIfMissing('game_guesses', 'elapsed_ms', 'INTEGER');
+      addColumnIfMissing('game_guesses', 'song_artist', 'TEXT');
+      // Results of finished games (see archiveGame) - summary is what the history page lists
+      db.run(`CREATE TABLE IF NOT EXISTS game_archives (
+        id TEXT PRIMARY KEY,
+        game_code TEXT NOT NULL,
+        ended_at INTEGER NOT NULL,
+        summary TEXT NOT NULL,
+        results TEXT NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS idx_game_archives_ended ON game_archives (ended_at)');
+      // Player profiles and the per-player history their statistics are computed from.
+      // name_key is the lower-cased player name (see lib/profiles.js).
+      db.run(`CREATE TABLE IF NOT EXISTS player_profiles (
+        name_key TEXT PRIMARY KEY,
+        player_name TEXT NOT NULL,
+        pin_hash TEXT NOT NULL,
+        pin_salt TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS player_game_results (
+        archive_id TEXT NOT NULL,
+        name_key TEXT NOT NULL,
+        player_name TEXT,
+        score INTEGER NOT NULL,
+        rank INTEGER NOT NULL,
+        won INTEGER NOT NULL DEFAULT 0,
+        ended_at INTEGER NOT NULL,
+        PRIMARY KEY (archive_id, name_key)
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS idx_player_game_results_name ON player_game_results (name_key)');
+      addColumnIfMissing('player_game_results', 'player_name', 'TEXT');
+      db.run(`CREATE TABLE IF NOT EXISTS guess_history (
+        archive_id TEXT NOT NULL,
+        name_key TEXT NOT NULL,
+        track_id TEXT NOT NULL,
+        guess_type TEXT NOT NULL,
+        is_correct INTEGER NOT NULL,
+        elapsed_ms INTEGER,
+        song_artist TEXT,
+        created_at INTEGER NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS idx_guess_history_name ON guess_history (name_key)');
+      // Leagues and the finished games that count towards them (see lib/leagues.js)
+      db.run(`CREATE TABLE IF NOT EXISTS leagues (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        placement_points TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS league_games (
+        archive_id TEXT PRIMARY KEY,
+        league_id INTEGER NOT NULL,
+        ended_at INTEGER NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS idx_league_games_league ON league_games (league_id, ended_at)');
+      db.run(`CREATE TABLE IF NOT EXISTS admin_sessions (
+        session_id TEXT PRIMARY KEY,
+        game_code TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        revoked INTEGER NOT NULL DEFAULT 0
+      )`);
+      
+      // Rooms are read back only once every added column exists
+      Promise.all(pendingMigrations).then(() => {
+        restorePersistedRooms();
+        restoreAdminSessions();
+      });
+    });
   }
 });
 
+// Columns being added - each settles once its column is in place (or failed to be, which is logged)
+const pendingMigrations = [];
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS leaves older databases untouched)
+function addColumnIfMissing(table, column, definition) {
+  pendingMigrations.push(new Promise(resolve => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+      if (err) {
+        console.error(`Failed to inspect table ${table}:`, err.message);
+        return resolve();
+      }
+      if (columns.some(existing => existing.name === column)) return resolve();
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+        if (alterErr) {
+          console.error(`Failed to add column ${table}.${column}:`, alterErr.message);
+        }
+        resolve();
+      });
+    });
+  }));
+}
+
+// Writes still in flight - archiveGame waits for them before reading a game back
+const pendingWrites = new Set();
+
+// Write-through helper for game persistence - failures are logged but never interrupt the game
+function persist(sql, params = []) {
+  const write = new Promise(resolve => {
+    db.run(sql, params, (err) => {
+      if (err) {
+        console.error('Failed to persist game state:', err.message);
+      }
+      resolve();
+    });
+  });
+  pendingWrites.add(write);
+  write.then(() => pendingWrites.delete(write));
+}
+
+// Save the room-level fields (code, expiry, Spotify session, current song progress)
+function persistRoom(room) {
+  persist(
+    `INSERT INTO game_sessions (game_code, game_code_expiry, access_token, refresh_token, access_token_expires_at, current_playlist, current_song, guessed_parts, bonus_awarded, players_who_guessed, current_guesses, round_type, scoring_rules, match_strictness, auto_host, auto_hint_seconds, teams, snippet_settings, league_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(game_code) DO UPDATE SET
+       game_code_expiry = excluded.game_code_expiry,
+       access_token = excluded.access_token,
+       refresh_token = excluded.refresh_token,
+       access_token_expires_at = excluded.access_token_expires_at,
+       current_playlist = excluded.current_playlist,
+       current_song = excluded.current_song,
+       guessed_parts = excluded.guessed_parts,
+       bonus_awarded = excluded.bonus_awarded,
+       players_who_guessed = excluded.players_who_guessed,
+       current_guesses = excluded.current_guesses,
+       round_type = excluded.round_type,
+       scoring_rules = excluded.scoring_rules,
+       match_strictness = excluded.match_strictness,
+       auto_host = excluded.auto_host,
+       auto_hint_seconds = excluded.auto_hint_seconds,
+       teams = excluded.teams,
+       snippet_settings = excluded.snippet_settings,
+       league_id = excluded.league_id`,
+    [
+      room.gameCode,
+      room.gameCodeExpiry,
+      room.accessToken,
+      room.refreshToken,
+      room.accessTokenExpiresAt,
+      room.currentPlaylist ? JSON.stringify(room.currentPlaylist) : null,
+      room.currentSong ? JSON.stringify(room.currentSong) : null,
+      JSON.stringify(room.guessedParts),
+      room.bonusAwarded ? 1 : 0,
+      JSON.stringify(Array.from(room.playersWhoGuessed)),
+      JSON.stringify(room.currentGuesses),
+      room.roundType,
+      JSON.stringify(room.scoringRules),
+      room.matchStrictness,
+      JSON.stringify(room.autoHost),
+      room.autoHintSeconds,
+      JSON.stringify(room.teams),
+      JSON.stringify(room.snippetSettings),
+      room.leagueId,
+      Date.now()
+    ]
+  );
+}
+
+function persistScore(room, playerName) {
+  const look = room.playerLooks[playerName];
+  persist(
+    `INSERT INTO game_players (game_code, player_name, score, team_name, session_token_hash, avatar, color) VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(game_code, player_name) DO UPDATE SET
+       score = excluded.score,
+       team_name = excluded.team_name,
+       session_token_hash = excluded.session_token_hash,
+       avatar = excluded.avatar,
+       color = excluded.color`,
+    [
+      room.gameCode,
+      playerName,
+      room.scores[playerName] || 0,
+      room.playerTeams[playerName] || null,
+      room.playerSessions[playerName] || null,
+      look ? look.avatar : null,
+      look ? look.color : null
+    ]
+  );
+}
+
+function persistTrackStatus(room, trackId) {
+  const status = room.trackStatus[trackId] || 'unplayed';
+  persist(
+    `INSERT INTO game_track_status (game_code, track_id, status, played_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(game_code, track_id) DO UPDATE SET
+       status = excluded.status,
+       played_at = COALESCE(game_track_status.played_at, excluded.played_at)`,
+    [room.gameCode, trackId, status, status === 'unplayed' ? null : Date.now()] // played_at keeps the first play
+  );
+}
+
+function persistSongState(room, trackId) {
+  persist(
+    `INSERT INTO game_song_states (game_code, track_id, state) VALUES (?, ?, ?)
+     ON CONFLICT(game_code, track_id) DO UPDATE SET state = excluded.state`,
+    [room.gameCode, trackId, JSON.stringify(room.songStates[trackId])]
+  );
+}
+
+function recordGuess(room, guessType, entry, isCorrect) {
+  persist(
+    `INSERT INTO game_guesses (game_code, track_id, guess_type, guess, player_name, is_correct, elapsed_ms, song_artist, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      room.gameCode,
+      room.currentSong.id,
+      guessType,
+      entry.guess,
+      entry.player,
+      isCorrect ? 1 : 0,
+      room.songStartedAt ? entry.timestamp.getTime() - room.songStartedAt : null,
+      room.currentSong.artists[0] || null,
+      entry.timestamp.getTime()
+    ]
+  );
+}
+
+// Remove everything persisted for a room (used when the game code expires)
+function deletePersistedRoom(gameCode) {
+  db.serialize(() => {
+    ['game_sessions', 'game_players', 'game_track_status', 'game_song_states', 'game_guesses'].forEach(table => {
+      persist(`DELETE FROM ${table} WHERE game_code = ?`, [gameCode]);
+    });
+  });
+}
+
+// Game history - a game's results are archived from its persisted state when it ends, then
+// that state is deleted. The archive id is unguessable and doubles as the share link for the
+// game's read-only results page.
+function createArchiveId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+// Whether anyone played - empty games are not archived
+function hasGameResults(room) {
+  return Object.keys(room.scores).length > 0 ||
+    Object.values(room.trackStatus).some(status => status !== 'unplayed');
+}
+
+function queryDb(method, sql, params) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// Archive a game under archiveId (no archive without one), then delete its persisted state.
+// The game is read back only once the writes made before it ended have landed.
+function archiveGame(gameCode, archiveId) {
+  if (!archiveId) {
+    deletePersistedRoom(gameCode);
+    return;
+  }
+  
+  Promise.all([...pendingWrites])
+    .then(() => Promise.all([
+      queryDb('get', 'SELECT * FROM game_sessions WHERE game_code = ?', [gameCode]),
+      queryDb('all', 'SELECT player_name, score, team_name FROM game_players WHERE game_code = ?', [gameCode]),
+      queryDb('all', 'SELECT track_id, status, played_at FROM game_track_status WHERE game_code = ?', [gameCode]),
+      queryDb('all', 'SELECT track_id, state FROM game_song_states WHERE game_code = ?', [gameCode]),
+      queryDb('all', 'SELECT * FROM game_guesses WHERE game_code = ?', [gameCode])
+    ]))
+    .then(async ([session, players, trackStatuses, songStates, guesses]) => {
+      const results = buildGameResults({ session, players, trackStatuses, songStates, guesses }, Date.now());
+      if (!results) return;
+      await queryDb(
+        'run',
+        'INSERT INTO game_archives (id, game_code, ended_at, summary, results) VALUES (?, ?, ?, ?, ?)',
+        [archiveId, gameCode, results.endedAt, JSON.stringify(summarizeResults(results)), JSON.stringify(results)]
+      );
+      await archivePlayerHistory(archiveId, results, guesses);
+      if (session.league_id) {
+        await queryDb(
+          'run',
+          'INSERT OR IGNORE INTO league_games (archive_id, league_id, ended_at) VALUES (?, ?, ?)',
+          [archiveId, session.league_id, results.endedAt]
+        );
+      }
+      console.log(`📚 Game ${gameCode} results archived as ${archiveId}`);
+    })
+    .catch(error => console.error(`Failed to archive game ${gameCode}:`, error.message))
+    .finally(() => deletePersistedRoom(gameCode));
+}
+
+// Keep each player's result and guesses for their lifetime statistics
+function archivePlayerHistory(archiveId, results, guesses) {
+  return Promise.all([
+    ...results.players.map(player => queryDb(
+      'run',
+      'INSERT OR IGNORE INTO player_game_results (archive_id, name_key, player_name, score, rank, won, ended_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [archiveId, profileKey(player.name), player.name, player.score, player.rank, player.rank === 1 && player.score > 0 ? 1 : 0, results.endedAt]
+    )),
+    ...guesses.map(guess => queryDb(
+      'run',
+      `INSERT INTO guess_history (archive_id, name_key, track_id, guess_type, is_correct, elapsed_ms, song_artist, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [archiveId, profileKey(guess.player_name), guess.track_id, guess.guess_type, guess.is_correct, guess.elapsed_ms, guess.song_artist, guess.created_at]
+    ))
+  ]);
+}
+
+// Reload unexpired, unrevoked admin sessions so hosts stay logged in across a restart
+function restoreAdminSessions() {
+  db.all('SELECT * FROM admin_sessions WHERE revoked = 0 AND expires_at > ?', [Date.now()], (err, rows) => {
+    if (err) {
+      console.error('Failed to load admin sessions:', err.message);
+      return;
+    }
+    rows.forEach(row => {
+      adminSessions.set(row.session_id, { gameCode: row.game_code, expiresAt: row.expires_at, revoked: false });
+    });
+  });
+}
+
+// Rebuild rooms from the database on boot so players can reconnect with the same game code
+function restorePersistedRooms() {
+  const now = Date.now();
+  db.all('SELECT * FROM game_sessions', [], (err, sessions) => {
+    if (err) {
+      console.error('Failed to load persisted games:', err.message);
+      return;
+    }
+    
+    sessions.forEach(session => {
+      if (session.game_code_expiry <= now) {
+        // Expired while the server was down
+        archiveGame(session.game_code, createArchiveId());
+        return;
+      }
+      
+      const room = createRoom(session.game_code);
+      room.gameCodeExpiry = session.game_code_expiry;
+      room.adminConnected = false;
+      room.accessToken = session.access_token;
+      if (room.accessToken) {
+        room.spotifyApi.setAccessToken(room.accessToken);
+      }
+      room.refreshToken = session.refresh_token || null;
+      room.accessTokenExpiresAt = session.access_token_expires_at || null;
+      if (room.refreshToken) {
+        room.spotifyApi.setRefreshToken(room.refreshToken);
+        // Refreshes immediately if the token expired while the server was down
+        scheduleSpotifyRefresh(room);
+      }
+      room.currentPlaylist = parseJson(session.current_playlist, null);
+      room.currentSong = parseJson(session.current_song, null);
+      // Categories added since the game was saved start out open, as in playTrack
+      room.guessedParts = { ...room.guessedParts, ...parseJson(session.guessed_parts, {}) };
+      room.bonusAwarded = !!session.bonus_awarded;
+      room.playersWhoGuessed = new Set(parseJson(session.players_who_guessed, []));
+      room.currentGuesses = { ...room.currentGuesses, ...parseJson(session.current_guesses, {}) };
+      room.roundType = ROUND_TYPES.includes(session.round_type) ? session.round_type : 'classic';
+      const scoringValidation = validateScoringRules(parseJson(session.scoring_rules, null), room.scoringRules);
+      if (scoringValidation.valid) {
+        room.scoringRules = scoringValidation.sanitized;
+      }
+      if (MATCH_STRICTNESS_LEVELS.includes(session.match_strictness)) {
+        room.matchStrictness = session.match_strictness;
+      }
+      // Round timers are not restored - auto-host picks up again when the next round ends
+      const autoHostValidation = validateAutoHostSettings(parseJson(session.auto_host, null), room.autoHost);
+      if (autoHostValidation.valid) {
+        room.autoHost = autoHostValidation.sanitized;
+      }
+      if (validateAutoHintSeconds(session.auto_hint_seconds).valid) {
+        room.autoHintSeconds = session.auto_hint_seconds;
+      }
+      room.teams = parseJson(session.teams, []);
+      // Like round timers, a running snippet round is not restored - the next song starts one
+      const snippetValidation = validateSnippetSettings(parseJson(session.snippet_settings, null), room.snippetSettings);
+      if (snippetValidation.valid) {
+        room.snippetSettings = snippetValidation.sanitized;
+      }
+      room.leagueId = session.league_id || null;
+      // A game that had started stays started; a lobby countdown is not restored - the admin
+      // starts it again
+      if (room.currentSong) {
+        room.lobby = finishLobby();
+        getSyncedLyrics(room.currentSong.artists[0], room.currentSong.name)
+          .then(lines => { room.syncedLyrics = lines; })
+          .catch(error => console.error('Failed to load synced lyrics:', error.message));
+        loadSongAliases(room)
+          .catch(error => console.error('Failed to load answer aliases:', error.message));
+      }
+      
+      db.all('SELECT player_name, score, team_name, session_token_hash, avatar, color FROM game_players WHERE game_code = ?', [room.gameCode], (err, rows) => {
+        if (err) return console.error('Failed to load persisted scores:', err.message);
+        rows.forEach(row => {
+          room.scores[row.player_name] = row.score;
+          const lookValidation = validateLook({ avatar: row.avatar || undefined, color: row.color || undefined }, defaultLook(row.player_name));
+          if (lookValidation.valid) {
+            room.playerLooks[row.player_name] = lookValidation.sanitized;
+          }
+          if (row.session_token_hash) {
+            room.playerSessions[row.player_name] = row.session_token_hash;
+          }
+          if (room.teams.includes(row.team_name)) {
+            room.playerTeams[row.player_name] = row.team_name;
+          }
+        });
+      });
+      db.all('SELECT track_id, status FROM game_track_status WHERE game_code = ?', [room.gameCode], (err, rows) => {
+        if (err) return console.error('Failed to load persisted track status:', err.message);
+        rows.forEach(row => {
+          room.trackStatus[row.track_id] = row.status;
+        });
+      });
+      db.all('SELECT track_id, state FROM game_song_states WHERE game_code = ?', [room.gameCode], (err, rows) => {
+        if (err) return console.error('Failed to load persisted song states:', err.message);
+        rows.forEach(row => {
+          room.songStates[row.track_id] = parseJson(row.state, {});
+        });
+        const currentSongState = room.currentSong && room.songStates[room.currentSong.id];
+        room.revealedParts = (currentSongState && currentSongState.revealedParts) || [];
+        room.hints = (currentSongState && currentSongState.hints) || [];
+        room.choices = (currentSongState && currentSongState.choices) || null;
+        updateCategoriesInPlay(room);
+      });
+      
+      console.log(`♻️ Restored game ${room.gameCode} from database`);
+    });
+  });
+}
+
 // Function to fetch lyrics from local DB or API
 async function fetchLyrics(artistName, songTitle) {
   const normalizedArtist = normalizeArtist(artistName);
@@ -412,106 +1314,498 @@ async function fetchLyrics(artistName, songTitle) {
   let lyrics = await getLyricsFromDb();
   if (lyrics) return lyrics;
 
-  // If not in DB, fetch from API
-  try {
-    console.log('🎵 Starting lyrics fetch process...');
-    console.log(`📝 Searching for: "${songTitle}" by "${artistName}"`);
-    const cleanArtist = encodeURIComponent(artistName.trim());
-    const cleanSong = encodeURIComponent(songTitle.trim());
-    console.log(`🔍 Fetching from lyrics.ovh: ${cleanArtist}/${cleanSong}`);
-    const response = await axios.get(`${LYRICS_OVH_BASE_URL}/${cleanArtist}/${cleanSong}`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-    if (response.data && response.data.lyrics) {
-      lyrics = response.data.lyrics.trim();
-      if (lyrics.length > 0) {
-        console.log(`✅ Successfully fetched lyrics (${lyrics.length} characters)`);
-        // Store in DB for future use
-        db.run(
-          'INSERT OR IGNORE INTO lyrics_cache (artist, title, lyrics) VALUES (?, ?, ?)',
-          [normalizedArtist, normalizedTitle, lyrics],
-          (err) => {
-            if (err) {
-              console.error('Failed to cache lyrics in DB:', err);
-            } else {
-              console.log('🗄️ Cached lyrics in local DB');
-            }
-          }
-        );
-        return lyrics;
-      }
-    }
-    console.log('❌ No lyrics found in response');
-    return null;
-  } catch (error) {
-    console.error('❌ Error fetching lyrics from lyrics.ovh:', error);
+  // If not in DB, ask the provider chain
+  console.log('🎵 Starting lyrics fetch process...');
+  console.log(`📝 Searching for: "${songTitle}" by "${artistName}"`);
+  const result = await lyricsProviders.fetch(artistName, songTitle);
+  if (!result) {
+    console.log('❌ No lyrics found from any provider');
     return null;
   }
-}
-
-// Function to normalize text for lyrics comparison
-function normalizeText(text) {
-  if (!text) return '';
   
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, '') // Remove punctuation and special characters
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .trim();
+  lyrics = result.lyrics.trim();
+  console.log(`✅ Successfully fetched lyrics from ${result.provider} (${lyrics.length} characters)`);
+  // Store in DB for future use, remembering which provider supplied them
+  db.run(
+    'INSERT OR IGNORE INTO lyrics_cache (artist, title, lyrics, provider, synced_lyrics) VALUES (?, ?, ?, ?, ?)',
+    [normalizedArtist, normalizedTitle, lyrics, result.provider, result.syncedLyrics || null],
+    (err) => {
+      if (err) {
+        console.error('Failed to cache lyrics in DB:', err);
+      } else {
+        console.log('🗄️ Cached lyrics in local DB');
+      }
+    }
+  );
+  return lyrics;
 }
 
-// Function to count letters in text (excluding spaces and special characters)
-function countLetters(text) {
-  if (!text) return 0;
-  
-  return text
-    .toLowerCase()
-    .replace(/[^\w]/g, '') // Remove all non-word characters
-    .length;
+// Synced (LRC) lyrics for a song from the lyrics cache, parsed into timed lines.
+// Resolves to an empty array when only plain lyrics are known.
+function getSyncedLyrics(artistName, songTitle) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT synced_lyrics FROM lyrics_cache WHERE artist = ? AND title = ?',
+      [normalizeArtist(artistName), normalizeTitle(songTitle)],
+      (err, row) => {
+        if (err) return reject(err);
+        resolve(row && row.synced_lyrics ? parseLrc(row.synced_lyrics) : []);
+      }
+    );
+  });
 }
 
-// Function to normalize song titles for comparison
-function normalizeTitle(title) {
-  if (!title) return '';
-  
-  return title
-    .toLowerCase()
-    .replace(/\([^)]*\)/g, '') // Remove anything in parentheses
-    .replace(/\s+-\s+.*$/g, '') // Remove anything after and including " - " (space-dash-space)
-    .replace(/[^\w\s]/g, '') // Remove special characters
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .trim();
+// Save lyrics entered by the admin. LRC input is stored as synced lyrics plus its plain
+// text; plain input keeps any synced lyrics already cached for the song.
+function saveLyricsToCache(normalizedArtist, normalizedTitle, lyricsText, callback) {
+  const synced = isLrc(lyricsText) ? lyricsText : null;
+  const plain = synced ? lrcToPlainText(synced) : lyricsText;
+  db.run(
+    `INSERT INTO lyrics_cache (artist, title, lyrics, provider, synced_lyrics) VALUES (?, ?, ?, 'manual', ?)
+     ON CONFLICT(artist, title) DO UPDATE SET
+       lyrics = excluded.lyrics,
+       provider = excluded.provider,
+       synced_lyrics = COALESCE(excluded.synced_lyrics, lyrics_cache.synced_lyrics)`,
+    [normalizedArtist, normalizedTitle, plain, synced],
+    callback
+  );
 }
 
-// Function to normalize artist names for comparison
-function normalizeArtist(artist) {
-  if (!artist) return '';
+// Answer aliases - kind is 'artist' (keyed by Spotify artist id) or 'title' (keyed by track id)
+const ALIAS_KINDS = ['artist', 'title'];
+
+// Aliases for the current song, rows included so the admin panel can list and remove them
+function getSongAliasRows(song) {
+  const ids = [song.id, ...(song.artistIds || [])].filter(Boolean);
+  if (ids.length === 0) return Promise.resolve([]);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, kind, spotify_id, name, alias, source FROM answer_aliases
+       WHERE spotify_id IN (${ids.map(() => '?').join(', ')}) ORDER BY created_at`,
+      ids,
+      (err, rows) => {
+        if (err) return reject(err);
+        // A track id only carries title aliases and an artist id only artist aliases
+        resolve(rows.filter(row => (row.kind === 'title') === (row.spotify_id === song.id)));
+      }
+    );
+  });
+}
+
+// Load the current song's aliases into the shape the answer matcher expects
+async function loadSongAliases(room) {
+  const song = room.currentSong;
+  const rows = song ? await getSongAliasRows(song) : [];
+  if (room.currentSong !== song) return; // The song changed while loading
+  
+  const songAliases = { artists: {}, title: [] };
+  for (const row of rows) {
+    if (row.kind === 'title') {
+      songAliases.title.push(row.alias);
+    } else {
+      const artistIndex = song.artistIds.indexOf(row.spotify_id);
+      const artistName = song.artists[artistIndex];
+      songAliases.artists[artistName] = [...(songAliases.artists[artistName] || []), row.alias];
+    }
+  }
+  room.songAliases = songAliases;
+}
+
+// Aliases are shared, so every game currently playing the song picks up a change
+function reloadAliasesForSpotifyId(spotifyId) {
+  for (const room of rooms.values()) {
+    const song = room.currentSong;
+    if (song && (song.id === spotifyId || (song.artistIds || []).includes(spotifyId))) {
+      loadSongAliases(room).catch(error => console.error('Failed to reload answer aliases:', error.message));
+    }
+  }
+}
+
+function saveAlias(kind, spotifyId, name, alias, source, callback) {
+  db.run(
+    'INSERT OR IGNORE INTO answer_aliases (kind, spotify_id, name, alias, source, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [kind, spotifyId, name, alias, source, Date.now()],
+    function (err) {
+      if (!err && this.changes > 0) {
+        reloadAliasesForSpotifyId(spotifyId);
+      }
+      callback(err, this ? this.changes > 0 : false);
+    }
+  );
+}
+
+// Remember a manually awarded artist or title guess as an alias of the answer
+function learnAlias(song, guessType, guess) {
+  let spotifyId = song.id;
+  let name = song.name;
+  if (guessType === 'artist') {
+    name = closestArtist(guess, song.artists);
+    spotifyId = (song.artistIds || [])[song.artists.indexOf(name)];
+  }
+  if (!spotifyId) return; // Songs saved before aliases existed carry no artist ids
   
-  return artist
-    .toLowerCase()
-    .replace(/\([^)]*\)/g, '') // Remove anything in parentheses
-    .replace(/\s+-\s+.*$/g, '') // Remove anything after and including " - " (space-dash-space)
-    .replace(/[^\w\s]/g, '') // Remove special characters
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .trim();
+  saveAlias(guessType, spotifyId, name, guess, 'learned', (err, added) => {
+    if (err) {
+      console.error('Failed to learn answer alias:', err.message);
+    } else if (added) {
+      console.log(`📚 Learned alias "${guess}" for ${guessType} "${name}"`);
+    }
+  });
+}
+
+// Finish-the-line rounds - with synced lyrics the server knows which line is being sung
+// and challenges players to type the next line before it arrives
+const ROUND_TYPES = ['classic', 'finishTheLine', 'multipleChoice'];
+
+function isFinishTheLineRound(room) {
+  return room.roundType === 'finishTheLine' && room.syncedLyrics.length > 0;
+}
+
+// Spotify is only polled about once a second, so extrapolate from the last known position
+function estimatePlaybackPosition(room) {
+  const { positionMs, updatedAt, isPlaying } = room.playback;
+  return isPlaying ? positionMs + (Date.now() - updatedAt) : positionMs;
+}
+
+function setPlaybackPosition(room, positionMs, isPlaying, announce = false) {
+  room.playback = { positionMs, updatedAt: Date.now(), isPlaying };
+  updateLyricChallenge(room, announce);
+  scheduleAutoHint(room);
+}
+
+// Challenge as sent to clients - never includes the line to be guessed. Players never get the
+// lyrics either: the song reaches them through playerSongPayload, which leaves them out.
+function lyricChallengePayload(room) {
+  const challenge = room.lyricChallenge;
+  if (!challenge) return null;
+  
+  return {
+    promptLine: challenge.promptLine,
+    wordCount: challenge.targetLine.split(' ').length,
+    closesInMs: Math.max(0, challenge.closesAtMs - estimatePlaybackPosition(room)),
+    isPlaying: room.playback.isPlaying
+  };
+}
+
+// Work out the open challenge from the playback position and schedule the next update
+// for the moment the next line starts
+function updateLyricChallenge(room, announce = false) {
+  clearTimeout(room.lyricChallengeTimer);
+  room.lyricChallengeTimer = null;
+  
+  let challenge = null;
+  if (isFinishTheLineRound(room) && room.currentSong && room.guessedParts.lyrics === false &&
+      !room.revealedParts.includes('lyrics')) {
+    const lines = room.syncedLyrics;
+    const positionMs = estimatePlaybackPosition(room);
+    const currentIndex = findLineIndexAt(lines, positionMs);
+    
+    // Prompt with the last line sung and ask for the next one, skipping instrumental gaps
+    let promptIndex = currentIndex;
+    while (promptIndex >= 0 && !lines[promptIndex].text) promptIndex--;
+    let targetIndex = currentIndex + 1;
+    while (targetIndex < lines.length && !lines[targetIndex].text) targetIndex++;
+    
+    if (promptIndex >= 0 && targetIndex < lines.length) {
+      challenge = {
+        promptLine: lines[promptIndex].text,
+        targetLine: lines[targetIndex].text,
+        targetIndex,
+        closesAtMs: lines[targetIndex].timeMs
+      };
+    }
+    
+    if (room.playback.isPlaying && currentIndex + 1 < lines.length) {
+      const delay = Math.max(0, lines[currentIndex + 1].timeMs - positionMs);
+      room.lyricChallengeTimer = setTimeout(() => updateLyricChallenge(room), delay);
+    }
+  }
+  
+  const previousTarget = room.lyricChallenge ? room.lyricChallenge.targetIndex : null;
+  room.lyricChallenge = challenge;
+  if (announce || previousTarget !== (challenge ? challenge.targetIndex : null)) {
+    io.to(room.gameCode).emit('lyricChallenge', lyricChallengePayload(room));
+  }
+}
+
+// Multiple-choice rounds - players pick the title and the artist from a few options instead
+// of typing them (see lib/multipleChoice.js). Other categories are left out: there is nothing
+// to pick. Songs the playlist has no decoys for (e.g. a single-artist playlist) fall back to
+// typed guesses.
+function isMultipleChoiceRound(room) {
+  return room.roundType === 'multipleChoice' && !!room.choices;
+}
+
+// Whether a song has what a category needs: an album name, lyrics to guess from, a known
+// release year
+function isCategoryAvailable(song, category) {
+  switch (category) {
+    case 'album':
+      return !!song.album;
+    case 'lyrics':
+      return !!song.lyricsAvailable;
+    case 'year':
+      return !!song.releaseYear;
+    default:
+      return true;
+  }
+}
+
+// Fit the current song to the round type: build its options for a multiple-choice round
+// (a replayed song keeps the ones it had) and take categories out of play (null) or put them
+// back. A finished song is not reopened.
+function updateCategoriesInPlay(room) {
+  if (room.roundType !== 'multipleChoice' || !room.currentSong) {
+    room.choices = null;
+  } else if (!room.choices) {
+    const items = room.currentPlaylist ? room.currentPlaylist.tracks.items : [];
+    room.choices = buildChoices(room.currentSong, items);
+  }
+  if (!room.currentSong) return;
+  
+  const wasComplete = isSongComplete(room);
+  CATEGORY_IDS.forEach(category => {
+    const inPlay = isCategoryAvailable(room.currentSong, category) &&
+      (!isMultipleChoiceRound(room) || !!room.choices[category]);
+    if (!inPlay && room.guessedParts[category] === false) {
+      room.guessedParts[category] = null;
+    } else if (inPlay && room.guessedParts[category] === null && !wasComplete) {
+      room.guessedParts[category] = false;
+    }
+  });
+}
+
+// The current song as players and displays see it. Each answer field stays null until its part
+// has been guessed or revealed, and so does the cover, which shows the album; ids, the URI and
+// the lyrics never go out, since they would give the answer away. Admin panels get
+// room.currentSong itself.
+function playerSongPayload(room) {
+  const song = room.currentSong;
+  if (!song) return null;
+  
+  const isKnown = part => room.guessedParts[part] === true || room.revealedParts.includes(part) || !!room.revealedAnswer;
+  return {
+    name: isKnown('title') ? song.name : null,
+    artists: isKnown('artist') ? song.artists : null,
+    album: isKnown('album') ? song.album : null,
+    albumArt: isKnown('album') ? song.albumArt : null,
+    releaseYear: isKnown('year') ? song.releaseYear : null,
+    durationMs: song.durationMs,
+    lyricsAvailable: song.lyricsAvailable,
+    syncedLyricsAvailable: song.syncedLyricsAvailable
+  };
+}
+
+// Options as sent to clients - never includes which one is right. The title and artists the
+// options could be checked against reach players only once guessed (see playerSongPayload).
+function choicesPayload(room) {
+  if (!isMultipleChoiceRound(room)) return null;
+  return {
+    title: room.choices.title.options,
+    artist: room.choices.artist.options
+  };
+}
+
+// A player's picks ({ artistChoice, titleChoice } option indexes) as the picked option texts,
+// or { error }. Each player answers a song once, sending the title and artist picks together.
+function readChoicePicks(room, playerName, guess) {
+  const choiceParts = Object.keys(room.choices);
+  if (choiceParts.some(part => room.currentGuesses[part].some(entry => entry.player === playerName))) {
+    return { error: 'You already answered this song' };
+  }
+  
+  const picks = {};
+  for (const part of choiceParts) {
+    const index = guess[`${part}Choice`];
+    if (index === undefined || index === null) continue;
+    
+    const { options } = room.choices[part];
+    if (!Number.isInteger(index) || index < 0 || index >= options.length) {
+      return { error: 'Invalid choice' };
+    }
+    picks[part] = options[index];
+  }
+  
+  if (Object.keys(picks).length === 0) {
+    return { error: 'Pick a title or an artist' };
+  }
+  return picks;
+}
+
+// Verdict for a picked option, shaped like the answer matcher's
+function matchChoice(room, part, pick) {
+  const { options, answerIndex } = room.choices[part];
+  const match = pick === options[answerIndex];
+  return {
+    match,
+    reason: match ? 'choice' : 'no-match',
+    matchedArtist: match && part === 'artist' ? pick : undefined,
+    normalizedGuess: pick
+  };
+}
+
+// Judging guesses - every category has a matcher in lib/answerMatcher.js. guessFormatError
+// turns away guesses that can't be judged (the player is told why and nothing is recorded);
+// matchCategory returns the matcher's verdict { match, reason, partial }.
+const MIN_LYRICS_LETTERS = 12;
+
+function guessFormatError(room, category, guess) {
+  if (room.guessedParts[category] === null) {
+    return `The ${categoryById(category).noun} cannot be guessed for this song.`;
+  }
+  if (room.guessedParts[category] !== false) return null;
+  
+  if (category === 'lyrics' && isFinishTheLineRound(room)) {
+    const challenge = room.lyricChallenge;
+    if (!challenge || estimatePlaybackPosition(room) > challenge.closesAtMs) {
+      return 'There is no line to finish right now. Wait for the next lyric prompt!';
+    }
+  } else if (category === 'lyrics') {
+    const letterCount = countLetters(guess);
+    if (letterCount < MIN_LYRICS_LETTERS) {
+      return `Lyrics guess must be at least ${MIN_LYRICS_LETTERS} letters long (you have ${letterCount})`;
+    }
+  } else if (category === 'year' && !parseYearGuess(guess)) {
+    return 'Guess a year like 1985 or a decade like 80s';
+  }
+  return null;
+}
+
+function matchCategory(room, category, guess) {
+  const song = room.currentSong;
+  switch (category) {
+    case 'artist':
+      return matchArtist(guess, song.artists, {
+        strictness: room.matchStrictness,
+        aliases: room.songAliases.artists
+      });
+    case 'title':
+      return matchTitle(guess, song.name, {
+        strictness: room.matchStrictness,
+        aliases: room.songAliases.title
+      });
+    case 'album':
+      // Album names are written like titles: "(Deluxe Edition)", " - Remastered" are ignored
+      return matchTitle(guess, song.album, { strictness: room.matchStrictness });
+    case 'lyrics':
+      // Finish the line: the guess must be the next line, sent before it is sung
+      return isFinishTheLineRound(room) && room.lyricChallenge
+        ? matchLyricLine(guess, room.lyricChallenge.targetLine)
+        : matchLyrics(guess, song.lyrics);
+    case 'year':
+      return matchYear(guess, song.releaseYear, { range: room.scoringRules.yearRange });
+    default:
+      return { match: false, reason: 'no-match' };
+  }
+}
+
+// Teams - players pick a team when they join or are put in the smallest one. Points always go
+// to the player; a team's score is the sum of its players' scores, so awards, penalties and
+// the admin's score edits count for the team without any extra bookkeeping.
+const MAX_TEAMS = 8;
+
+// Team names follow the same rules as player names
+function validateTeamName(teamName) {
+  const validation = validatePlayerName(teamName);
+  if (!validation.valid) {
+    return { valid: false, error: validation.error.replace('Player name', 'Team name') };
+  }
+  return validation;
+}
+
+function isTeamMode(room) {
+  return room.teams.length > 0;
+}
+
+function teamOf(room, playerName) {
+  return room.playerTeams[playerName] || null;
+}
+
+// Put a player in the requested team, keep their current one, or balance them into the
+// team with the fewest players. Returns the player's team (null outside team mode).
+function assignTeam(room, playerName, requestedTeam) {
+  if (!isTeamMode(room)) return null;
+  
+  if (requestedTeam && room.teams.includes(requestedTeam)) {
+    room.playerTeams[playerName] = requestedTeam;
+  } else if (!room.teams.includes(room.playerTeams[playerName])) {
+    const memberCounts = room.teams.map(team =>
+      Object.values(room.playerTeams).filter(playerTeam => playerTeam === team).length
+    );
+    room.playerTeams[playerName] = room.teams[memberCounts.indexOf(Math.min(...memberCounts))];
+  }
+  return room.playerTeams[playerName];
+}
+
+function emitTeams(room) {
+  io.to(room.gameCode).emit('teamsUpdated', { teams: room.teams, playerTeams: room.playerTeams });
+}
+
+// The solo-completion bonus is for one player guessing every part alone, or in team mode
+// for one team doing it without help from the others
+function isSoloCompletion(room) {
+  const guessers = Array.from(room.playersWhoGuessed);
+  if (!isTeamMode(room)) return guessers.length === 1;
+  return new Set(guessers.map(playerName => room.playerTeams[playerName] || playerName)).size === 1;
+}
+
+// Award a correctly guessed part under the room's scoring rules and return the points given.
+// positionMs is how far into the song the guess was made (drives the speed bonus); partial
+// guesses (a close year) earn less. In a snippet round, the shorter the clip the bigger the bonus.
+function awardPart(room, playerName, part, positionMs, partial = false) {
+  const isFirstCorrectGuess = !anyCategoryGuessed(room.guessedParts);
+  const hintsGiven = room.hints.filter(hint => hint.part === part).length;
+  const snippetStep = room.snippetClip ? room.snippetClip.step : null;
+  const multipleChoice = isMultipleChoiceRound(room);
+  const { points, breakdown } = scorePart(room.scoringRules, { part, positionMs, isFirstCorrectGuess, hintsGiven, partial, snippetStep, multipleChoice });
+  
+  room.guessedParts[part] = true;
+  room.scores[playerName] = (room.scores[playerName] || 0) + points;
+  console.log(`🧮 ${playerName} scored ${points} for ${part} (base ${breakdown.base}, hints ${breakdown.hints}, speed ${breakdown.speed}, choice speed ${breakdown.choiceSpeed}, first guess ${breakdown.firstGuess}, snippet ${breakdown.snippet})`);
+  return points;
+}
+
+// Award the solo-completion bonus; returns the points given
+function awardSoloCompletionBonus(room, playerName) {
+  const points = room.scoringRules.soloCompletionBonus;
+  room.scores[playerName] = (room.scores[playerName] || 0) + points;
+  return points;
 }
 
 // Function to update track status
-function updateTrackStatus(trackId, status) {
-  gameState.trackStatus[trackId] = status;
+function updateTrackStatus(room, trackId, status) {
+  room.trackStatus[trackId] = status;
+  persistTrackStatus(room, trackId);
   console.log(`Track ${trackId} status updated to: ${status}`);
 }
 
 // Function to get track status
-function getTrackStatus(trackId) {
-  return gameState.trackStatus[trackId] || 'unplayed';
+function getTrackStatus(room, trackId) {
+  return room.trackStatus[trackId] || 'unplayed';
+}
+
+// Remember the current song's progress so it is restored when the song is played again
+function saveSongState(room, isComplete) {
+  room.songStates[room.currentSong.id] = {
+    isComplete,
+    guessedParts: { ...room.guessedParts },
+    revealedParts: [...room.revealedParts],
+    hints: [...room.hints],
+    choices: room.choices,
+    bonusAwarded: room.bonusAwarded,
+    playersWhoGuessed: Array.from(room.playersWhoGuessed),
+    currentGuesses: { ...room.currentGuesses },
+    song: { // For the game's results once it is archived
+      name: room.currentSong.name,
+      artists: room.currentSong.artists,
+      album: room.currentSong.album,
+      albumArt: room.currentSong.albumArt || null
+    }
+  };
 }
 
 // Function to fetch all tracks from a playlist (handles pagination)
-async function fetchAllPlaylistTracks(playlistId) {
+async function fetchAllPlaylistTracks(room, playlistId) {
   try {
     let allTracks = [];
     let offset = 0;
@@ -520,10 +1814,10 @@ async function fetchAllPlaylistTracks(playlistId) {
     while (true) {
       console.log(`Fetching playlist tracks: offset ${offset}, limit ${limit}`);
       
-      const response = await spotifyApi.getPlaylistTracks(playlistId, {
+      const response = await callSpotify(room, api => api.getPlaylistTracks(playlistId, {
         offset: offset,
         limit: limit
-      });
+      }));
       
       const tracks = response.body.items;
       allTracks = allTracks.concat(tracks);
@@ -813,9 +2107,25 @@ function validateAdminPassword(password) {
   return { valid: true, sanitized };
 }
 
+// Admin authentication middleware - requires a valid admin token (Authorization: Bearer <token>)
+// and scopes the request to that admin's game room
+function requireAdmin(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const verification = verifyAdminToken(token);
+  
+  if (!verification.valid) {
+    return res.status(401).json({ error: verification.error, code: 'ADMIN_AUTH_REQUIRED' });
+  }
+  
+  req.room = verification.room;
+  req.adminSessionId = verification.sessionId;
+  next();
+}
+
 // Admin password verification
-app.post('/api/verify-admin', (req, res) => {
-  const { password } = req.body;
+app.post('/api/verify-admin', async (req, res) => {
+  const { password, leagueId } = req.body;
   const adminPassword = process.env.ADMIN_PASSWORD;
   
   // Validate input
@@ -838,12 +2148,27 @@ app.post('/api/verify-admin', (req, res) => {
     // Reset failed attempts on successful login
     resetFailedAttempts('adminPassword');
     
-    // Generate new game code when admin logs in
-    gameState.gameCode = generateGameCode();
-    gameState.gameCodeExpiry = Date.now() + (30 * 60 * 1000); // 30 minutes
-    gameState.adminConnected = true;
-    console.log(`Admin logged in - Game code generated: ${gameState.gameCode}`);
-    res.json({ success: true, gameCode: gameState.gameCode });
+    // The admin can attach the new game to a league right away
+    let league = null;
+    if (leagueId !== undefined && leagueId !== null && leagueId !== '') {
+      try {
+        league = await findLeague(leagueId);
+      } catch (err) {
+        console.error('Failed to load league:', err.message);
+        return res.status(500).json({ error: 'Failed to load league' });
+      }
+      if (!league) {
+        return res.status(400).json({ error: 'League not found' });
+      }
+    }
+    
+    // Open a new game room when admin logs in
+    const room = createRoom();
+    room.leagueId = league ? league.id : null;
+    persistRoom(room);
+    const token = issueAdminToken(room);
+    console.log(`Admin logged in - Game code generated: ${room.gameCode}${league ? ` for league "${league.name}"` : ''} (${rooms.size} active game(s))`);
+    res.json({ success: true, gameCode: room.gameCode, token, expiresIn: ADMIN_TOKEN_TTL_MS, leagueId: room.leagueId });
   } else {
     // Record failed attempt
     recordFailedAttempt('adminPassword');
@@ -851,6 +2176,289 @@ app.post('/api/verify-admin', (req, res) => {
   }
 });
 
+// Admin logout - revokes the presented admin token
+app.post('/api/logout-admin', requireAdmin, async (req, res) => {
+  revokeAdminSession(req.adminSessionId);
+  
+  // Drop any admin panel sockets still using this session
+  const adminSockets = await io.in(adminChannel(req.room)).fetchSockets();
+  adminSockets
+    .filter(adminSocket => adminSocket.data.adminSessionId === req.adminSessionId)
+    .forEach(adminSocket => adminSocket.disconnect(true));
+  
+  console.log(`Admin session revoked for game ${req.room.gameCode}`);
+  res.json({ success: true });
+});
+
+// End the game now instead of waiting for the game code to expire - its results are archived
+// and the admin's sessions are revoked
+app.post('/api/end-game', requireAdmin, (req, res) => {
+  const resultsId = resetGameCode(req.room, 'The admin ended the game. Thanks for playing!');
+  res.json({ success: true, resultsId });
+});
+
+// Finished games for the admin's history page, newest first
+const HISTORY_PAGE_SIZE = 50;
+
+app.get('/api/history', requireAdmin, (req, res) => {
+  const before = Number(req.query.before) || Date.now() + 1;
+  db.all(
+    'SELECT id, summary FROM game_archives WHERE ended_at < ? ORDER BY ended_at DESC LIMIT ?',
+    [before, HISTORY_PAGE_SIZE],
+    (err, rows) => {
+      if (err) {
+        console.error('Failed to load game history:', err.message);
+        return res.status(500).json({ error: 'Failed to load game history' });
+      }
+      res.json({
+        success: true,
+        games: rows.map(row => ({ id: row.id, ...parseJson(row.summary, {}) })),
+        hasMore: rows.length === HISTORY_PAGE_SIZE
+      });
+    }
+  );
+});
+
+// A finished game's results - public and read-only, the archive id is the share link
+app.get('/api/results/:archiveId', (req, res) => {
+  const { archiveId } = req.params;
+  if (!/^[A-Za-z0-9_-]{12}$/.test(archiveId)) {
+    return res.status(404).json({ error: 'Results not found' });
+  }
+  
+  db.get('SELECT results FROM game_archives WHERE id = ?', [archiveId], (err, row) => {
+    if (err) {
+      console.error('Failed to load game results:', err.message);
+      return res.status(500).json({ error: 'Failed to load game results' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Results not found' });
+    }
+    res.json({ success: true, id: archiveId, results: parseJson(row.results, null), categories: CATEGORIES });
+  });
+});
+
+// Leagues
+function leaguePayload(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    placementPoints: parseJson(row.placement_points, DEFAULT_PLACEMENT_POINTS),
+    createdAt: row.created_at
+  };
+}
+
+// A league by id, or null when there is none
+function findLeague(leagueId) {
+  const id = Number(leagueId);
+  if (!Number.isInteger(id) || id < 1) return Promise.resolve(null);
+  return queryDb('get', 'SELECT * FROM leagues WHERE id = ?', [id]).then(row => (row ? leaguePayload(row) : null));
+}
+
+// All leagues, newest first - public, so the admin can pick one when logging in
+app.get('/api/leagues', (req, res) => {
+  db.all(
+    `SELECT leagues.*, COUNT(league_games.archive_id) AS game_count FROM leagues
+     LEFT JOIN league_games ON league_games.league_id = leagues.id
+     GROUP BY leagues.id ORDER BY leagues.created_at DESC`,
+    [],
+    (err, rows) => {
+      if (err) {
+        console.error('Failed to load leagues:', err.message);
+        return res.status(500).json({ error: 'Failed to load leagues' });
+      }
+      res.json({ success: true, leagues: rows.map(row => ({ ...leaguePayload(row), gameCount: row.game_count })) });
+    }
+  );
+});
+
+app.post('/api/leagues', requireAdmin, (req, res) => {
+  const validation = validateLeague(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  const { name, placementPoints } = validation.sanitized;
+  db.run(
+    'INSERT INTO leagues (name, placement_points, created_at) VALUES (?, ?, ?)',
+    [name, JSON.stringify(placementPoints), Date.now()],
+    function (err) {
+      if (err) {
+        console.error('Failed to create league:', err.message);
+        return res.status(500).json({ error: 'Failed to create league' });
+      }
+      console.log(`🏅 League "${name}" created`);
+      res.json({ success: true, league: { id: this.lastID, name, placementPoints } });
+    }
+  );
+});
+
+// Rename a league or change its placement points - its standings are rescored
+app.post('/api/leagues/:leagueId', requireAdmin, async (req, res) => {
+  try {
+    const league = await findLeague(req.params.leagueId);
+    if (!league) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+    const validation = validateLeague(req.body, league);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    const { name, placementPoints } = validation.sanitized;
+    await queryDb('run', 'UPDATE leagues SET name = ?, placement_points = ? WHERE id = ?', [name, JSON.stringify(placementPoints), league.id]);
+    console.log(`🏅 League ${league.id} updated:`, validation.sanitized);
+    res.json({ success: true, league: { ...league, name, placementPoints } });
+  } catch (err) {
+    console.error('Failed to update league:', err.message);
+    res.status(500).json({ error: 'Failed to update league' });
+  }
+});
+
+// A league's standings and the games played in it - public, like game results
+app.get('/api/leagues/:leagueId', async (req, res) => {
+  try {
+    const league = await findLeague(req.params.leagueId);
+    if (!league) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+    
+    const [gameRows, results] = await Promise.all([
+      queryDb(
+        'all',
+        `SELECT league_games.archive_id, league_games.ended_at, game_archives.summary FROM league_games
+         JOIN game_archives ON game_archives.id = league_games.archive_id
+         WHERE league_games.league_id = ? ORDER BY league_games.ended_at`,
+        [league.id]
+      ),
+      queryDb(
+        'all',
+        `SELECT player_game_results.archive_id, name_key, player_name, score, rank FROM player_game_results
+         JOIN league_games ON league_games.archive_id = player_game_results.archive_id
+         WHERE league_games.league_id = ?`,
+        [league.id]
+      )
+    ]);
+    const games = gameRows.map(row => {
+      const summary = parseJson(row.summary, {});
+      return { archiveId: row.archive_id, endedAt: row.ended_at, playlistName: summary.playlistName || null, winner: summary.winner || null };
+    });
+    
+    res.json({
+      success: true,
+      league,
+      games,
+      standings: buildLeagueStandings(league.placementPoints, games, results)
+    });
+  } catch (err) {
+    console.error('Failed to load league standings:', err.message);
+    res.status(500).json({ error: 'Failed to load league standings' });
+  }
+});
+
+// Attach the current game to a league (or detach it with leagueId null) - it counts towards
+// the league when it ends
+app.post('/api/league', requireAdmin, async (req, res) => {
+  const room = req.room;
+  const { leagueId } = req.body;
+  
+  let league = null;
+  if (leagueId !== null && leagueId !== undefined && leagueId !== '') {
+    try {
+      league = await findLeague(leagueId);
+    } catch (err) {
+      console.error('Failed to load league:', err.message);
+      return res.status(500).json({ error: 'Failed to load league' });
+    }
+    if (!league) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+  }
+  
+  room.leagueId = league ? league.id : null;
+  persistRoom(room);
+  io.to(adminChannel(room)).emit('leagueChanged', { leagueId: room.leagueId });
+  console.log(`🏅 Game ${room.gameCode} ${league ? `attached to league "${league.name}"` : 'detached from its league'}`);
+  res.json({ success: true, leagueId: room.leagueId });
+});
+
+// Claim a player name with a PIN, so only its owner can join games under it. Each IP can claim
+// a few names an hour, so nobody can squat on every name in sight.
+const PROFILE_CLAIMS_PER_WINDOW = 3;
+const PROFILE_CLAIM_WINDOW_MS = 60 * 60 * 1000;
+
+app.post('/api/profiles', (req, res) => {
+  const { playerName, pin } = req.body;
+  const now = Date.now();
+  const recentClaims = (gameState.profileClaims.get(req.ip) || []).filter(claimedAt => now - claimedAt < PROFILE_CLAIM_WINDOW_MS);
+  if (recentClaims.length >= PROFILE_CLAIMS_PER_WINDOW) {
+    return res.status(429).json({ error: 'Too many names claimed from here. Please try again later.' });
+  }
+
+  const nameValidation = validatePlayerName(playerName);
+  if (!nameValidation.valid) {
+    return res.status(400).json({ error: nameValidation.error });
+  }
+  const pinValidation = validatePin(pin);
+  if (!pinValidation.valid) {
+    return res.status(400).json({ error: pinValidation.error });
+  }
+  
+  const { salt, hash } = hashPin(pinValidation.sanitized);
+  db.run(
+    'INSERT OR IGNORE INTO player_profiles (name_key, player_name, pin_hash, pin_salt, created_at) VALUES (?, ?, ?, ?, ?)',
+    [profileKey(nameValidation.sanitized), nameValidation.sanitized, hash, salt, now],
+    function (err) {
+      if (err) {
+        console.error('Failed to claim player name:', err.message);
+        return res.status(500).json({ error: 'Failed to claim player name' });
+      }
+      if (this.changes === 0) {
+        return res.status(409).json({ error: 'That name is already claimed' });
+      }
+      gameState.profileClaims.set(req.ip, [...recentClaims, now]);
+      console.log(`🪪 Player name "${nameValidation.sanitized}" claimed`);
+      res.json({ success: true, name: nameValidation.sanitized });
+    }
+  );
+});
+
+// A claimed name's lifetime statistics - public, like the results of the games they come from.
+// Only games that ended after the name was claimed count: before that, anyone could play as it.
+app.get('/api/profiles/:playerName', async (req, res) => {
+  const nameValidation = validatePlayerName(req.params.playerName);
+  if (!nameValidation.valid) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  const key = profileKey(nameValidation.sanitized);
+  
+  try {
+    const profile = await queryDb('get', 'SELECT player_name, created_at FROM player_profiles WHERE name_key = ?', [key]);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    const [games, guesses] = await Promise.all([
+      queryDb('all', 'SELECT score, won FROM player_game_results WHERE name_key = ? AND ended_at >= ?', [key, profile.created_at]),
+      queryDb(
+        'all',
+        `SELECT track_id, guess_type, is_correct, elapsed_ms, song_artist FROM guess_history
+         WHERE name_key = ? AND archive_id IN (SELECT archive_id FROM player_game_results WHERE name_key = ? AND ended_at >= ?)`,
+        [key, key, profile.created_at]
+      )
+    ]);
+    res.json({
+      success: true,
+      name: profile.player_name,
+      claimedAt: profile.created_at,
+      stats: buildPlayerStats(games, guesses),
+      categories: CATEGORIES
+    });
+  } catch (err) {
+    console.error('Failed to load player profile:', err.message);
+    res.status(500).json({ error: 'Failed to load player profile' });
+  }
+});
+
 // Game code verification for players
 app.post('/api/verify-game-code', (req, res) => {
   const { gameCode } = req.body;
@@ -876,36 +2484,32 @@ app.post('/api/verify-game-code', (req, res) => {
     return res.status(429).json({ error: protection.message });
   }
   
-  if (!gameState.gameCode) {
+  if (rooms.size === 0) {
     recordFailedAttempt('gameCode');
     return res.status(400).json({ error: 'No active game session' });
   }
   
-  if (gameState.gameCode !== validation.sanitized) {
+  if (!rooms.has(validation.sanitized)) {
     recordFailedAttempt('gameCode');
     return res.status(401).json({ error: 'Invalid game code' });
   }
   
   // Check if game code has expired
-  if (gameState.gameCodeExpiry && Date.now() > gameState.gameCodeExpiry) {
-    resetGameCode();
+  if (!getActiveRoom(validation.sanitized)) {
     recordFailedAttempt('gameCode');
     return res.status(400).json({ error: 'Game session has expired' });
   }
   
   // Reset failed attempts on successful verification
   resetFailedAttempts('gameCode');
-  res.json({ success: true });
+  // Teams to choose from when joining (empty outside team mode)
+  res.json({ success: true, teams: rooms.get(validation.sanitized).teams });
 });
 
 // Kick player endpoint
-app.post('/api/kick-player', (req, res) => {
+app.post('/api/kick-player', requireAdmin, (req, res) => {
   const { socketId, reason } = req.body;
   
-  if (!gameState.adminConnected) {
-    return res.status(401).json({ error: 'Admin not authenticated' });
-  }
-  
   if (!socketId) {
     return res.status(400).json({ error: 'Socket ID is required' });
   }
@@ -915,7 +2519,7 @@ app.post('/api/kick-player', (req, res) => {
     return res.status(400).json({ error: 'Invalid socket ID format' });
   }
   
-  const result = kickPlayer(socketId, reason || 'Admin kick');
+  const result = kickPlayer(req.room, socketId, reason || 'Admin kick');
   
   if (result.success) {
     res.json({ 
@@ -930,11 +2534,7 @@ app.post('/api/kick-player', (req, res) => {
 });
 
 // Get blocked IPs endpoint (for admin monitoring)
-app.get('/api/blocked-ips', (req, res) => {
-  if (!gameState.adminConnected) {
-    return res.status(401).json({ error: 'Admin not authenticated' });
-  }
-  
+app.get('/api/blocked-ips', requireAdmin, (req, res) => {
   const blockedIps = [];
   for (const [ip, blockInfo] of gameState.blockedIps.entries()) {
     if (Date.now() <= blockInfo.blockedUntil) {
@@ -951,40 +2551,43 @@ app.get('/api/blocked-ips', (req, res) => {
 });
 
 // Get current game code status (for admin page)
-app.get('/api/game-code-status', (req, res) => {
-  if (!gameState.gameCode) {
-    return res.json({ 
-      hasGameCode: false, 
-      gameCode: null, 
-      timeRemaining: 0,
-      adminConnected: false 
-    });
-  }
-  
-  const timeRemaining = Math.max(0, gameState.gameCodeExpiry - Date.now());
+app.get('/api/game-code-status', requireAdmin, (req, res) => {
+  const room = req.room;
+  const timeRemaining = Math.max(0, room.gameCodeExpiry - Date.now());
   
   res.json({ 
     hasGameCode: true, 
-    gameCode: gameState.gameCode, 
+    gameCode: room.gameCode, 
     timeRemaining: timeRemaining,
-    adminConnected: gameState.adminConnected 
+    adminConnected: room.adminConnected 
   });
 });
 
 // Spotify authentication
-app.get('/auth/spotify', (req, res) => {
+app.get('/auth/spotify', requireAdmin, (req, res) => {
   const scopes = ['user-read-playback-state', 'user-modify-playback-state', 'user-read-currently-playing'];
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes);
+  // A one-time OAuth state lets the callback find the room that started the login
+  req.room.spotifyAuthState = crypto.randomBytes(16).toString('hex');
+  const authorizeURL = req.room.spotifyApi.createAuthorizeURL(scopes, req.room.spotifyAuthState);
   res.json({ url: authorizeURL });
 });
 
 app.get('/auth/spotify/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
+  const room = typeof state === 'string'
+    ? Array.from(rooms.values()).find(candidate => candidate.spotifyAuthState === state)
+    : null;
+  
+  if (!room) {
+    return res.redirect(`${process.env.FRONTEND_URL || 'http://127.0.0.1:3001'}/?error=auth_failed`);
+  }
+  
+  room.spotifyAuthState = null;
   
   try {
-    const data = await spotifyApi.authorizationCodeGrant(code);
-    gameState.accessToken = data.body.access_token;
-    spotifyApi.setAccessToken(data.body.access_token);
+    const data = await room.spotifyApi.authorizationCodeGrant(code);
+    setSpotifyTokens(room, data.body);
+    persistRoom(room);
     
     res.redirect(`${process.env.FRONTEND_URL || 'http://127.0.0.1:3001'}/admin`);
   } catch (error) {
@@ -994,10 +2597,11 @@ app.get('/auth/spotify/callback', async (req, res) => {
 });
 
 // API endpoints
-app.post('/api/playlist', async (req, res) => {
+app.post('/api/playlist', requireAdmin, async (req, res) => {
   const { playlistUrl } = req.body;
+  const room = req.room;
   
-  if (!gameState.accessToken) {
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
@@ -1009,10 +2613,10 @@ app.post('/api/playlist', async (req, res) => {
     }
     
     // Get playlist metadata
-    const playlist = await spotifyApi.getPlaylist(playlistId);
+    const playlist = await callSpotify(room, api => api.getPlaylist(playlistId));
     
     // Fetch all tracks from the playlist (handles pagination)
-    const allTracks = await fetchAllPlaylistTracks(playlistId);
+    const allTracks = await fetchAllPlaylistTracks(room, playlistId);
     
     // Create the complete playlist object with all tracks
     const completePlaylist = {
@@ -1023,138 +2627,673 @@ app.post('/api/playlist', async (req, res) => {
       }
     };
     
-    gameState.currentPlaylist = completePlaylist;
+    room.currentPlaylist = completePlaylist;
     
     // Initialize track status for all tracks
     allTracks.forEach(item => {
       if (item.track && item.track.id) {
-        gameState.trackStatus[item.track.id] = 'unplayed';
+        room.trackStatus[item.track.id] = 'unplayed';
+        persistTrackStatus(room, item.track.id);
       }
     });
+    persistRoom(room);
     
     console.log(`Initialized track status for ${allTracks.length} tracks`);
     
     res.json({ success: true, playlist: completePlaylist });
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error fetching playlist:', error);
     res.status(500).json({ error: 'Failed to fetch playlist' });
   }
 });
 
-app.post('/api/play', async (req, res) => {
-  const { trackUri } = req.body;
+// Answer reveal - shows everyone the current song's answer. Parts nobody guessed are
+// recorded as revealed so they can't be scored when the song is played again.
+const LYRIC_EXCERPT_LINES = 4;
+
+// The current song's lyric lines, synced when available
+function lyricLines(room) {
+  return room.syncedLyrics.length > 0
+    ? room.syncedLyrics.map(line => line.text).filter(Boolean)
+    : (room.currentSong.lyrics || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// A few lyric lines around the one worth highlighting: the open finish-the-line target,
+// otherwise the most repeated line (usually the hook), otherwise the first line
+function lyricExcerpt(room) {
+  const lines = lyricLines(room);
+  if (lines.length === 0) return null;
+  
+  let highlight = room.lyricChallenge ? lines.indexOf(room.lyricChallenge.targetLine) : -1;
+  if (highlight === -1) {
+    const counts = {};
+    lines.forEach(line => {
+      counts[line] = (counts[line] || 0) + 1;
+    });
+    highlight = lines.reduce((best, line, index) => (counts[line] > counts[lines[best]] ? index : best), 0);
+  }
   
-  if (!gameState.accessToken) {
-    return res.status(401).json({ error: 'Not authenticated with Spotify' });
+  const start = Math.max(0, Math.min(highlight - 1, lines.length - LYRIC_EXCERPT_LINES));
+  return {
+    lines: lines.slice(start, start + LYRIC_EXCERPT_LINES),
+    highlightIndex: highlight - start
+  };
+}
+
+// reason: 'admin', 'timeUp', 'allGuessed' or 'alreadyRevealed' (a replayed song)
+function revealAnswer(room, reason) {
+  const song = room.currentSong;
+  if (!song || room.revealedAnswer) return room.revealedAnswer;
+  
+  const newlyRevealed = CATEGORY_IDS.filter(part =>
+    room.guessedParts[part] === false && !room.revealedParts.includes(part)
+  );
+  if (newlyRevealed.length > 0) {
+    room.revealedParts = [...room.revealedParts, ...newlyRevealed];
+    updateTrackStatus(room, song.id, 'revealed');
+    saveSongState(room, false);
+    persistSongState(room, song.id);
+    updateLyricChallenge(room);
   }
   
-  try {
-    // First, check if user has an active device
-    const devices = await spotifyApi.getMyDevices();
-    const activeDevices = devices.body.devices.filter(device => device.is_active);
-    
-    if (activeDevices.length === 0) {
-      return res.status(400).json({ 
-        error: 'No active Spotify device found. Please open Spotify on your desktop, mobile, or web player and make sure it\'s playing or ready to play.' 
-      });
-    }
-    
+  endSnippetRound(room, true); // The answer is out - let the song play on
+  room.revealedAnswer = {
+    reason,
+    name: song.name,
+    artists: song.artists,
+    album: song.album,
+    albumArt: song.albumArt || null,
+    releaseYear: song.releaseYear || null,
+    lyricExcerpt: lyricExcerpt(room),
+    revealedParts: room.revealedParts
+  };
+  io.to(room.gameCode).emit('answerRevealed', room.revealedAnswer);
+  console.log(`👀 Game ${room.gameCode} answer revealed (${reason}): ${song.name}${newlyRevealed.length > 0 ? ` - unguessed: ${newlyRevealed.join(', ')}` : ''}`);
+  return room.revealedAnswer;
+}
+
+// Hints - released by the admin, or every autoHintSeconds of playback, about parts of the
+// answer that are still open (see lib/hints.js)
+const AUTO_HINT_LIMITS = [10, 300];
+
+function validateAutoHintSeconds(value) {
+  const seconds = Number(value);
+  const [min, max] = AUTO_HINT_LIMITS;
+  if (seconds === 0 || (Number.isInteger(seconds) && seconds >= min && seconds <= max)) {
+    return { valid: true, sanitized: seconds };
+  }
+  return { valid: false, error: `Auto hints must be 0 (off) or a whole number of seconds between ${min} and ${max}` };
+}
+
+// Parts still worth guessing - not yet guessed, unavailable or revealed
+function openParts(room) {
+  return CATEGORY_IDS.filter(part => room.guessedParts[part] === false && !room.revealedParts.includes(part));
+}
+
+// Parts the current song can be guessed in at all, guessed or not
+function partsInPlay(room) {
+  return CATEGORY_IDS.filter(part => room.guessedParts[part] !== null);
+}
+
+// Release the next hint for the current song; returns it, or null when none are left
+function releaseNextHint(room) {
+  if (!room.currentSong || isIntermission(room)) return null;
+  
+  const hint = nextHint(room.currentSong, lyricLines(room), {
+    openParts: openParts(room),
+    partsInPlay: partsInPlay(room),
+    givenTypes: room.hints.map(given => given.type)
+  });
+  if (!hint) return null;
+  
+  room.hints = [...room.hints, hint];
+  saveSongState(room, isSongComplete(room));
+  persistSongState(room, room.currentSong.id);
+  io.to(room.gameCode).emit('hintReleased', { hint, hints: room.hints });
+  console.log(`💡 Game ${room.gameCode} hint (${hint.type}): ${hint.text}`);
+  return hint;
+}
+
+// Auto hints follow the playback position so they pause with the song: hint n is due
+// n * autoHintSeconds into the track
+function scheduleAutoHint(room) {
+  clearTimeout(room.autoHintTimer);
+  room.autoHintTimer = null;
+  if (!room.autoHintSeconds || !room.currentSong || !room.playback.isPlaying) return;
+  
+  const intervalMs = room.autoHintSeconds * 1000;
+  const positionMs = estimatePlaybackPosition(room);
+  if (positionMs >= (room.hints.length + 1) * intervalMs && !releaseNextHint(room)) {
+    return; // Nothing left to hint
+  }
+  
+  // At least a second apart, so seeking far into a song does not release every hint at once
+  const delay = Math.max(1000, (room.hints.length + 1) * intervalMs - positionMs);
+  room.autoHintTimer = setTimeout(() => scheduleAutoHint(room), delay);
+}
+
+// Auto-host - the server runs each song as a timed round, shows the answer when the round
+// ends (time up or every part guessed), waits out an intermission and then plays the next
+// unplayed track itself
+const AUTO_HOST_LIMITS = {
+  roundSeconds: [10, 600],
+  intermissionSeconds: [3, 120]
+};
+
+function validateAutoHostSettings(input, currentSettings = DEFAULT_AUTO_HOST_SETTINGS) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Auto-host settings are required' };
+  }
+  
+  const sanitized = { ...currentSettings };
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { valid: false, error: 'enabled must be true or false' };
+    }
+    sanitized.enabled = input.enabled;
+  }
+  for (const [field, [min, max]] of Object.entries(AUTO_HOST_LIMITS)) {
+    if (input[field] === undefined) continue;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    sanitized[field] = value;
+  }
+  
+  return { valid: true, sanitized };
+}
+
+function isSongComplete(room) {
+  return allCategoriesDone(room.guessedParts);
+}
+
+function isIntermission(room) {
+  return !!room.roundTimer && room.roundTimer.phase === 'intermission';
+}
+
+// Round timer as sent to clients (remaining time rather than a timestamp, so clock skew
+// between server and browsers does not matter)
+function roundTimerPayload(room) {
+  const timer = room.roundTimer;
+  if (!timer) return null;
+  
+  const isRunning = timer.pausedRemainingMs === null;
+  return {
+    phase: timer.phase,
+    durationMs: timer.durationMs,
+    remainingMs: isRunning ? Math.max(0, timer.endsAt - Date.now()) : timer.pausedRemainingMs,
+    isRunning
+  };
+}
+
+function emitRoundTimer(room) {
+  io.to(room.gameCode).emit('roundTimer', roundTimerPayload(room));
+}
+
+function clearRoundTimer(room) {
+  clearTimeout(room.roundTimerHandle);
+  room.roundTimerHandle = null;
+  if (room.roundTimer) {
+    room.roundTimer = null;
+    emitRoundTimer(room);
+  }
+}
+
+// Run one phase ('round' or 'intermission') of durationMs
+function startRoundPhase(room, phase, durationMs) {
+  clearTimeout(room.roundTimerHandle);
+  room.roundTimer = { phase, durationMs, endsAt: Date.now() + durationMs, pausedRemainingMs: null };
+  room.roundTimerHandle = setTimeout(() => onRoundPhaseExpired(room), durationMs);
+  emitRoundTimer(room);
+}
+
+function onRoundPhaseExpired(room) {
+  room.roundTimerHandle = null;
+  if (!room.roundTimer) return;
+  
+  if (room.roundTimer.phase === 'round') {
+    endRound(room, 'timeUp');
+  } else {
+    advanceToNextTrack(room);
+  }
+}
+
+// The timer stops while the admin has playback paused
+function pauseRoundTimer(room) {
+  const timer = room.roundTimer;
+  if (!timer || timer.pausedRemainingMs !== null) return;
+  
+  clearTimeout(room.roundTimerHandle);
+  room.roundTimerHandle = null;
+  timer.pausedRemainingMs = Math.max(0, timer.endsAt - Date.now());
+  emitRoundTimer(room);
+}
+
+function resumeRoundTimer(room) {
+  const timer = room.roundTimer;
+  if (!timer || timer.pausedRemainingMs === null) return;
+  
+  timer.endsAt = Date.now() + timer.pausedRemainingMs;
+  room.roundTimerHandle = setTimeout(() => onRoundPhaseExpired(room), timer.pausedRemainingMs);
+  timer.pausedRemainingMs = null;
+  emitRoundTimer(room);
+}
+
+// Start the round timer for the song that just started playing
+function startRound(room) {
+  if (!room.autoHost.enabled) {
+    clearRoundTimer(room);
+    return;
+  }
+  // A replayed song that was already completed or revealed goes straight to its answer
+  if (isSongComplete(room) || room.revealedParts.length > 0) {
+    endRound(room, isSongComplete(room) ? 'allGuessed' : 'alreadyRevealed');
+    return;
+  }
+  startRoundPhase(room, 'round', room.autoHost.roundSeconds * 1000);
+  console.log(`⏱️ Game ${room.gameCode} round started (${room.autoHost.roundSeconds}s)`);
+}
+
+// End the running round - reveal the answer, then wait for the intermission
+function endRound(room, reason) {
+  if (!room.autoHost.enabled || !room.currentSong || isIntermission(room)) return;
+  
+  io.to(room.gameCode).emit('roundEnded', { reason }); // Same reasons as revealAnswer
+  revealAnswer(room, reason);
+  console.log(`⏱️ Game ${room.gameCode} round ended (${reason}) - next song in ${room.autoHost.intermissionSeconds}s`);
+  startRoundPhase(room, 'intermission', room.autoHost.intermissionSeconds * 1000);
+}
+
+// A random unplayed track from the playlist (the same pick as the admin's "Play Random"), or
+// null when every track has been played
+function randomUnplayedTrack(room) {
+  const items = room.currentPlaylist ? room.currentPlaylist.tracks.items : [];
+  const unplayedTracks = items.filter(item =>
+    item.track && item.track.id && getTrackStatus(room, item.track.id) === 'unplayed'
+  );
+  if (unplayedTracks.length === 0) return null;
+  return unplayedTracks[Math.floor(Math.random() * unplayedTracks.length)].track;
+}
+
+async function advanceToNextTrack(room) {
+  const nextTrack = randomUnplayedTrack(room);
+  if (!nextTrack) {
+    stopAutoHost(room, 'All songs have been played! Auto-host stopped.');
+    return;
+  }
+  
+  try {
+    await playTrack(room, nextTrack.uri);
+  } catch (error) {
+    console.error(`❌ Auto-host could not play ${nextTrack.name}:`, error.message);
+    let message = 'Could not play the next song. Auto-host stopped.';
+    if (error.noActiveDevice) {
+      message = error.message + ' Auto-host stopped.';
+    } else if (error.spotifyReauthRequired) {
+      message = 'Spotify needs to be reconnected. Auto-host stopped.';
+    }
+    stopAutoHost(room, message);
+  }
+}
+
+function stopAutoHost(room, message) {
+  room.autoHost.enabled = false;
+  clearRoundTimer(room);
+  persistRoom(room);
+  io.to(adminChannel(room)).emit('autoHostChanged', { autoHost: room.autoHost, message });
+  console.log(`⏱️ Game ${room.gameCode} auto-host stopped: ${message}`);
+}
+
+// Lobby - until the first song plays players wait in the lobby, picking their look and marking
+// themselves ready. The admin starts the game with a countdown; when it runs out the server
+// plays a random unplayed track. Playing any song (e.g. the admin picking one) ends the lobby.
+function lobbyPayload(room) {
+  return {
+    phase: room.lobby.phase,
+    countdownMs: countdownRemainingMs(room.lobby, Date.now()),
+    ready: Array.from(room.readyPlayers),
+    looks: room.playerLooks
+  };
+}
+
+function emitLobby(room) {
+  io.to(room.gameCode).emit('lobbyUpdated', lobbyPayload(room));
+}
+
+// lobby is the countdown state from startCountdown
+function startLobbyCountdown(room, lobby) {
+  clearTimeout(room.lobbyTimer);
+  room.lobby = lobby;
+  const countdownMs = countdownRemainingMs(lobby, Date.now());
+  room.lobbyTimer = setTimeout(() => finishLobbyCountdown(room), countdownMs);
+  emitLobby(room);
+  console.log(`🚦 Game ${room.gameCode} starting in ${Math.round(countdownMs / 1000)}s (${room.readyPlayers.size} ready)`);
+}
+
+// Returns cancelCountdown's { valid, error }
+function cancelLobbyCountdown(room) {
+  const transition = cancelCountdown(room.lobby);
+  if (!transition.valid) return transition;
+  clearTimeout(room.lobbyTimer);
+  room.lobbyTimer = null;
+  room.lobby = transition.lobby;
+  emitLobby(room);
+  return transition;
+}
+
+function endLobby(room) {
+  if (room.lobby.phase === 'playing') return;
+  clearTimeout(room.lobbyTimer);
+  room.lobbyTimer = null;
+  room.lobby = finishLobby();
+  emitLobby(room);
+  console.log(`🚦 Game ${room.gameCode} started`);
+}
+
+async function finishLobbyCountdown(room) {
+  room.lobbyTimer = null;
+  const firstTrack = randomUnplayedTrack(room);
+  let message = null;
+  if (!firstTrack) {
+    message = 'All songs in this playlist have been played. Reset the playlist or load another one.';
+  } else {
+    try {
+      await playTrack(room, firstTrack.uri);
+      return;
+    } catch (error) {
+      console.error(`❌ Could not play the first song (${firstTrack.name}):`, error.message);
+      message = 'Could not play the first song. Make sure Spotify is open and playing, and you have a Premium account.';
+      if (error.noActiveDevice) {
+        message = error.message;
+      } else if (error.spotifyReauthRequired) {
+        message = 'Spotify needs to be reconnected.';
+      }
+    }
+  }
+  cancelLobbyCountdown(room);
+  io.to(adminChannel(room)).emit('lobbyStartFailed', { error: message });
+  console.log(`🚦 Game ${room.gameCode} could not start: ${message}`);
+}
+
+// Snippet rounds - with snippet mode on, each song is played as a series of short clips (see
+// lib/snippets.js). The server starts every clip at the clip offset and pauses Spotify when it
+// is over; while the song is still unsolved the next, longer clip plays guessSeconds later.
+// The admin's pause holds the series and resume replays the current clip.
+function snippetPayload(room) {
+  const clip = room.snippetClip;
+  if (!clip) return null;
+  
+  return {
+    step: clip.step,
+    stepCount: SNIPPET_STEPS_MS.length,
+    clipMs: SNIPPET_STEPS_MS[clip.step],
+    phase: clip.phase,
+    nextClipInMs: clip.nextClipAt ? Math.max(0, clip.nextClipAt - Date.now()) : null
+  };
+}
+
+function emitSnippetClip(room) {
+  io.to(room.gameCode).emit('snippetClip', snippetPayload(room));
+}
+
+// A song that was already solved or revealed plays in full
+function shouldPlaySnippets(room) {
+  return room.snippetSettings.enabled && !isSongComplete(room) && room.revealedParts.length === 0;
+}
+
+async function startSnippetRound(room) {
+  room.snippetClip = {
+    step: 0,
+    offsetMs: snippetOffset(room.snippetSettings.start, room.currentSong.durationMs),
+    phase: 'held',
+    nextClipAt: null
+  };
+  await playSnippetClip(room, 0);
+}
+
+// Play clip `step` (an index into SNIPPET_STEPS_MS) from the clip offset
+async function playSnippetClip(room, step) {
+  const song = room.currentSong;
+  clearTimeout(room.snippetTimer);
+  room.snippetTimer = null;
+  
+  const { offsetMs } = room.snippetClip;
+  await callSpotify(room, api => api.play({ uris: [song.uri], position_ms: offsetMs }));
+  // The song may have changed or been solved while Spotify was starting the clip
+  if (room.currentSong !== song || !room.snippetClip) return;
+  
+  const clipMs = SNIPPET_STEPS_MS[step];
+  room.snippetClip = { ...room.snippetClip, step, phase: 'playing', nextClipAt: null };
+  room.isPlaying = true;
+  setPlaybackPosition(room, offsetMs, true, true);
+  room.snippetTimer = setTimeout(() => endSnippetClip(room), clipMs);
+  emitSnippetClip(room);
+  console.log(`🎧 Game ${room.gameCode} snippet clip ${step + 1}/${SNIPPET_STEPS_MS.length}: ${clipMs / 1000}s from ${Math.round(offsetMs / 1000)}s`);
+}
+
+// The clip is over - pause and give players time to guess before the next one
+async function endSnippetClip(room) {
+  room.snippetTimer = null;
+  if (!room.snippetClip || room.snippetClip.phase !== 'playing') return;
+  
+  try {
+    await callSpotify(room, api => api.pause());
+  } catch (error) {
+    console.error(`❌ Could not pause the snippet clip for game ${room.gameCode}:`, error.message);
+  }
+  
+  const clip = room.snippetClip;
+  if (!clip || clip.phase !== 'playing') return;
+  
+  room.isPlaying = false;
+  setPlaybackPosition(room, clip.offsetMs + SNIPPET_STEPS_MS[clip.step], false, true);
+  if (clip.step === SNIPPET_STEPS_MS.length - 1) {
+    room.snippetClip = { ...clip, phase: 'finished', nextClipAt: null };
+  } else {
+    const waitMs = room.snippetSettings.guessSeconds * 1000;
+    room.snippetClip = { ...clip, phase: 'waiting', nextClipAt: Date.now() + waitMs };
+    room.snippetTimer = setTimeout(() => {
+      room.snippetTimer = null;
+      playSnippetClip(room, clip.step + 1).catch(error => {
+        console.error(`❌ Could not play the next snippet clip for game ${room.gameCode}:`, error.message);
+        holdSnippetRound(room);
+      });
+    }, waitMs);
+  }
+  emitSnippetClip(room);
+}
+
+// Stop the series where it is until the admin resumes it
+function holdSnippetRound(room) {
+  if (!room.snippetClip) return;
+  
+  clearTimeout(room.snippetTimer);
+  room.snippetTimer = null;
+  room.snippetClip = { ...room.snippetClip, phase: 'held', nextClipAt: null };
+  emitSnippetClip(room);
+}
+
+// Stop the clips for good. With playRest a song paused between clips plays on from where
+// the last clip stopped (a clip still playing simply keeps going); a song the admin paused
+// stays paused.
+function endSnippetRound(room, playRest = false) {
+  clearTimeout(room.snippetTimer);
+  room.snippetTimer = null;
+  const clip = room.snippetClip;
+  if (!clip) return;
+  
+  room.snippetClip = null;
+  emitSnippetClip(room);
+  if (!playRest || !['waiting', 'finished'].includes(clip.phase)) return;
+  
+  const song = room.currentSong;
+  callSpotify(room, api => api.play())
+    .then(() => {
+      if (room.currentSong !== song) return;
+      room.isPlaying = true;
+      setPlaybackPosition(room, room.playback.positionMs, true, true);
+      io.to(room.gameCode).emit('playbackResumed');
+    })
+    .catch(error => console.error(`❌ Could not play on after the snippet round for game ${room.gameCode}:`, error.message));
+}
+
+// Start a track on the admin's Spotify device and begin a new round for it.
+// Used by /api/play and by auto-host when it advances to the next song. In snippet mode
+// nothing plays until the song is set up, then its first clip starts.
+async function playTrack(room, trackUri) {
+  // First, check if user has an active device
+  const devices = await callSpotify(room, api => api.getMyDevices());
+  const activeDevices = devices.body.devices.filter(device => device.is_active);
+  
+  if (activeDevices.length === 0) {
+    const error = new Error('No active Spotify device found. Please open Spotify on your desktop, mobile, or web player and make sure it\'s playing or ready to play.');
+    error.noActiveDevice = true;
+    throw error;
+  }
+  
+  endSnippetRound(room);
+  const deferPlayback = room.snippetSettings.enabled;
+  if (!deferPlayback) {
     // Try to play the track
-    await spotifyApi.play({ uris: [trackUri] });
-    gameState.isPlaying = true;
-    
-    // Extend game code timer when a new song is played
-    extendGameCode();
-    
-    // Get track details
-    const trackId = trackUri.split(':')[2];
-    const track = await spotifyApi.getTrack(trackId);
-    
-    // Fetch lyrics from lyrics.ovh
-    const artistName = track.body.artists[0].name;
-    const songTitle = track.body.name;
-    const lyrics = await fetchLyrics(artistName, songTitle);
-    
-    const songData = {
-      id: track.body.id,
-      name: track.body.name,
-      artists: track.body.artists.map(artist => artist.name),
-      album: track.body.album.name,
-      uri: track.body.uri,
-      lyrics: lyrics,
-      lyricsAvailable: !!lyrics && lyrics.trim().length > 0
-    };
-    
-    // Check if this song has been played before and get its previous state
-    const previousSongState = gameState.songStates && gameState.songStates[songData.id];
+    await callSpotify(room, api => api.play({ uris: [trackUri] }));
+    room.isPlaying = true;
+  }
+  
+  // Extend game code timer when a new song is played
+  extendGameCode(room);
+  
+  // Get track details
+  const trackId = trackUri.split(':')[2];
+  const track = await callSpotify(room, api => api.getTrack(trackId));
+  
+  // Fetch lyrics from lyrics.ovh
+  const artistName = track.body.artists[0].name;
+  const songTitle = track.body.name;
+  const lyrics = await fetchLyrics(artistName, songTitle);
+  const syncedLyrics = await getSyncedLyrics(artistName, songTitle);
+  
+  const songData = {
+    id: track.body.id,
+    name: track.body.name,
+    artists: track.body.artists.map(artist => artist.name),
+    artistIds: track.body.artists.map(artist => artist.id),
+    album: track.body.album.name,
+    albumArt: track.body.album.images && track.body.album.images.length > 0 ? track.body.album.images[0].url : null,
+    releaseYear: parseInt(track.body.album.release_date, 10) || null, // release_date is "1975", "1975-10" or "1975-10-31"
+    durationMs: track.body.duration_ms || null,
+    uri: track.body.uri,
+    lyrics: lyrics,
+    lyricsAvailable: !!lyrics && lyrics.trim().length > 0,
+    syncedLyricsAvailable: syncedLyrics.some(line => line.text)
+  };
+  room.syncedLyrics = syncedLyrics;
+  room.lyricChallenge = null;
+  room.songAliases = { artists: {}, title: [] };
+  room.revealedAnswer = null;
+  
+  // Check if this song has been played before and get its previous state
+  const previousSongState = room.songStates && room.songStates[songData.id];
+  
+  if (previousSongState) {
+    // Song was played before, restore its previous state (complete or partial)
+    room.currentSong = songData;
+    // Categories added since the song was last played start out open
+    room.guessedParts = { ...emptyGuessedParts(), ...previousSongState.guessedParts };
+    room.revealedParts = previousSongState.revealedParts || [];
+    room.hints = previousSongState.hints || [];
+    room.choices = previousSongState.choices || null;
+    room.bonusAwarded = previousSongState.bonusAwarded || false;
+    room.playersWhoGuessed = new Set(previousSongState.playersWhoGuessed || []);
+    room.currentGuesses = { ...emptyGuesses(), ...previousSongState.currentGuesses };
     
-    if (previousSongState) {
-      // Song was played before, restore its previous state (complete or partial)
-      gameState.currentSong = songData;
-      gameState.guessedParts = {
-        artist: previousSongState.guessedParts?.artist || false,
-        title: previousSongState.guessedParts?.title || false,
-        lyrics: previousSongState.guessedParts?.lyrics || false
-      };
-      // Set lyrics as unavailable if no lyrics were fetched
-      if (!songData.lyricsAvailable) {
-        gameState.guessedParts.lyrics = null; // null means unavailable
-      }
-      gameState.bonusAwarded = previousSongState.bonusAwarded || false;
-      gameState.playersWhoGuessed = new Set(previousSongState.playersWhoGuessed || []);
-      gameState.currentGuesses = previousSongState.currentGuesses || { artist: [], title: [], lyrics: [] };
-      
-      if (previousSongState.isComplete) {
-        console.log(`🔄 Restoring completed state for song: ${songData.name}`);
-      } else {
-        console.log(`🔄 Restoring partial state for song: ${songData.name} - Artist: ${gameState.guessedParts.artist}, Title: ${gameState.guessedParts.title}, Lyrics: ${gameState.guessedParts.lyrics}`);
-      }
+    if (previousSongState.isComplete) {
+      console.log(`🔄 Restoring completed state for song: ${songData.name}`);
+    } else if (room.revealedParts.length > 0) {
+      console.log(`🔄 Restoring revealed state for song: ${songData.name} - revealed: ${room.revealedParts.join(', ')}`);
     } else {
-      // New song, start fresh
-      gameState.currentSong = songData;
-      // Reset guessed parts for new song
-      gameState.guessedParts = {
-        artist: false,
-        title: false,
-        lyrics: false
-      };
-      // Set lyrics as unavailable if no lyrics were fetched
-      if (!songData.lyricsAvailable) {
-        gameState.guessedParts.lyrics = null; // null means unavailable
-      }
-      // Reset bonus flag and player tracking for new song
-      gameState.bonusAwarded = false;
-      gameState.playersWhoGuessed.clear();
-      // Clear all guesses for new song
-      gameState.currentGuesses = {
-        artist: [],
-        title: [],
-        lyrics: []
-      };
+      console.log(`🔄 Restoring partial state for song: ${songData.name} - ${describeGuessedParts(room.guessedParts)}`);
     }
-    
-    // Mark track as played (but don't override 'complete' or 'partial' status)
-    const currentStatus = getTrackStatus(track.body.id);
-    if (currentStatus !== 'complete' && currentStatus !== 'partial') {
-      updateTrackStatus(track.body.id, 'played');
+  } else {
+    // New song, start fresh
+    room.currentSong = songData;
+    // Reset guessed parts for new song
+    room.guessedParts = emptyGuessedParts();
+    room.revealedParts = [];
+    room.hints = [];
+    room.choices = null;
+    // Reset bonus flag and player tracking for new song
+    room.bonusAwarded = false;
+    room.playersWhoGuessed.clear();
+    // Clear all guesses for new song
+    room.currentGuesses = emptyGuesses();
+  }
+  
+  // Categories this song can't be played in (no lyrics found, no release date) become null
+  updateCategoriesInPlay(room);
+  
+  // Mark track as played (but don't override 'complete', 'partial' or 'revealed' status)
+  const currentStatus = getTrackStatus(room, track.body.id);
+  if (!['complete', 'partial', 'revealed'].includes(currentStatus)) {
+    updateTrackStatus(room, track.body.id, 'played');
+  }
+  persistRoom(room);
+  // Accepted alternate answers for the matcher
+  await loadSongAliases(room)
+    .catch(error => console.error('Failed to load answer aliases:', error.message));
+  
+  // Notify all clients about new song - players only get what they may know of it
+  const songState = {
+    guessedParts: room.guessedParts,
+    revealedParts: room.revealedParts,
+    hints: room.hints,
+    roundType: room.roundType,
+    finishTheLine: isFinishTheLineRound(room),
+    choices: choicesPayload(room)
+  };
+  endLobby(room);
+  console.log('Emitting newSong event to all clients:', songData.name);
+  io.to(adminChannel(room)).emit('newSong', { ...songData, ...songState, currentGuesses: room.currentGuesses });
+  io.to(room.gameCode).except(adminChannel(room)).emit('newSong', { ...playerSongPayload(room), ...songState });
+  
+  // Emit guesses for new song
+  io.to(adminChannel(room)).emit('guessesUpdated', {
+    currentGuesses: room.currentGuesses
+  });
+  
+  if (deferPlayback && shouldPlaySnippets(room)) {
+    await startSnippetRound(room);
+  } else {
+    if (deferPlayback) {
+      await callSpotify(room, api => api.play({ uris: [trackUri] }));
+      room.isPlaying = true;
     }
-    
-    // Notify all clients about new song
-    const songDataWithState = {
-      ...songData,
-      guessedParts: gameState.guessedParts,
-      currentGuesses: gameState.currentGuesses
-    };
-    console.log('Emitting newSong event to all clients:', songDataWithState);
-    io.emit('newSong', songDataWithState);
-    
-    // Emit guesses for new song
-    io.emit('guessesUpdated', {
-      currentGuesses: gameState.currentGuesses
-    });
-    
+    // The track starts from the top - start tracking it for finish-the-line prompts
+    setPlaybackPosition(room, 0, true, true);
+  }
+  room.songStartedAt = Date.now();
+  startRound(room);
+  
+  return songData;
+}
+
+app.post('/api/play', requireAdmin, async (req, res) => {
+  const { trackUri } = req.body;
+  const room = req.room;
+  
+  if (!room.accessToken) {
+    return res.status(401).json({ error: 'Not authenticated with Spotify' });
+  }
+  
+  try {
+    const songData = await playTrack(room, trackUri);
     res.json({ success: true, song: songData });
   } catch (error) {
+    if (error.noActiveDevice) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error playing track:', error);
     
     // Provide more specific error messages
@@ -1174,46 +3313,106 @@ app.post('/api/play', async (req, res) => {
   }
 });
 
-app.post('/api/pause', async (req, res) => {
-  if (!gameState.accessToken) {
+// Start the game from the lobby - everyone sees the countdown, then the first song plays
+app.post('/api/lobby/start', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateCountdownSeconds(req.body.countdownSeconds);
+  
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const transition = startCountdown(room.lobby, validation.sanitized, Date.now());
+  if (!transition.valid) {
+    return res.status(400).json({ error: transition.error });
+  }
+  if (!room.accessToken) {
+    return res.status(401).json({ error: 'Not authenticated with Spotify' });
+  }
+  if (!room.currentPlaylist) {
+    return res.status(400).json({ error: 'Load a playlist before starting the game' });
+  }
+  if (!randomUnplayedTrack(room)) {
+    return res.status(400).json({ error: 'All songs in this playlist have been played' });
+  }
+  
+  startLobbyCountdown(room, transition.lobby);
+  res.json({ success: true, lobby: lobbyPayload(room) });
+});
+
+app.post('/api/lobby/cancel', requireAdmin, (req, res) => {
+  const room = req.room;
+  
+  const transition = cancelLobbyCountdown(room);
+  if (!transition.valid) {
+    return res.status(400).json({ error: transition.error });
+  }
+  console.log(`🚦 Game ${room.gameCode} countdown cancelled`);
+  res.json({ success: true, lobby: lobbyPayload(room) });
+});
+
+app.post('/api/pause', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
   try {
-    await spotifyApi.pause();
-    gameState.isPlaying = false;
-    io.emit('playbackPaused');
+    await callSpotify(room, api => api.pause());
+    holdSnippetRound(room);
+    setPlaybackPosition(room, estimatePlaybackPosition(room), false, true);
+    pauseRoundTimer(room);
+    room.isPlaying = false;
+    io.to(room.gameCode).emit('playbackPaused');
     res.json({ success: true });
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error pausing playback:', error);
     res.status(500).json({ error: 'Failed to pause playback' });
   }
 });
 
-app.post('/api/resume', async (req, res) => {
-  if (!gameState.accessToken) {
+app.post('/api/resume', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
   try {
-    await spotifyApi.play();
-    gameState.isPlaying = true;
-    io.emit('playbackResumed');
+    if (room.snippetClip) {
+      // Snippet rounds pick up again with the current clip
+      await playSnippetClip(room, room.snippetClip.step);
+    } else {
+      await callSpotify(room, api => api.play());
+      setPlaybackPosition(room, room.playback.positionMs, true, true);
+    }
+    resumeRoundTimer(room);
+    room.isPlaying = true;
+    io.to(room.gameCode).emit('playbackResumed');
     res.json({ success: true });
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error resuming playback:', error);
     res.status(500).json({ error: 'Failed to resume playback' });
   }
 });
 
-app.post('/api/reset-scores', (req, res) => {
-  gameState.scores = {};
-  io.emit('scoresReset');
+app.post('/api/reset-scores', requireAdmin, (req, res) => {
+  const room = req.room;
+  
+  // Players keep their place in the game (team, look, session) - only the points go
+  Object.keys(room.scores).forEach(playerName => {
+    room.scores[playerName] = 0;
+  });
+  persist('UPDATE game_players SET score = 0 WHERE game_code = ?', [room.gameCode]);
+  io.to(room.gameCode).emit('scoresReset');
   res.json({ success: true });
 });
 
-app.post('/api/update-score', (req, res) => {
+app.post('/api/update-score', requireAdmin, (req, res) => {
   const { playerName, newScore } = req.body;
+  const room = req.room;
   
   // Validate inputs
   if (!playerName || newScore === undefined || newScore === null) {
@@ -1230,63 +3429,166 @@ app.post('/api/update-score', (req, res) => {
   }
   
   // Update the player's score
-  gameState.scores[playerNameValidation.sanitized] = newScore;
+  room.scores[playerNameValidation.sanitized] = newScore;
+  persistScore(room, playerNameValidation.sanitized);
   console.log(`Score updated for ${playerNameValidation.sanitized}: ${newScore}`);
   // Notify all clients of the score update
       // Score update is handled via the scoresReset event
   res.json({ success: true });
 });
 
-app.get('/api/track-status', (req, res) => {
-  res.json({ success: true, trackStatus: gameState.trackStatus });
+// Creating a team puts every player without one into a team; removing one moves its
+// players to the smallest remaining team
+app.post('/api/teams', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateTeamName(req.body.name);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  const name = validation.sanitized;
+  if (room.teams.some(team => team.toLowerCase() === name.toLowerCase())) {
+    return res.status(400).json({ error: 'A team with that name already exists' });
+  }
+  if (room.teams.length >= MAX_TEAMS) {
+    return res.status(400).json({ error: `A game can have at most ${MAX_TEAMS} teams` });
+  }
+  
+  room.teams = [...room.teams, name];
+  Object.keys(room.scores).forEach(playerName => {
+    if (!teamOf(room, playerName)) {
+      assignTeam(room, playerName);
+      persistScore(room, playerName);
+    }
+  });
+  persistRoom(room);
+  emitTeams(room);
+  console.log(`👥 Game ${room.gameCode} team "${name}" created`);
+  res.json({ success: true, teams: room.teams, playerTeams: room.playerTeams });
+});
+
+app.post('/api/teams/remove', requireAdmin, (req, res) => {
+  const room = req.room;
+  const { name } = req.body;
+  if (!room.teams.includes(name)) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  
+  room.teams = room.teams.filter(team => team !== name);
+  Object.keys(room.playerTeams).forEach(playerName => {
+    if (room.playerTeams[playerName] === name) {
+      delete room.playerTeams[playerName];
+      assignTeam(room, playerName);
+      persistScore(room, playerName);
+    }
+  });
+  persistRoom(room);
+  emitTeams(room);
+  console.log(`👥 Game ${room.gameCode} team "${name}" removed`);
+  res.json({ success: true, teams: room.teams, playerTeams: room.playerTeams });
+});
+
+// Shuffle every player into evenly sized teams
+app.post('/api/teams/balance', requireAdmin, (req, res) => {
+  const room = req.room;
+  if (!isTeamMode(room)) {
+    return res.status(400).json({ error: 'Create a team first' });
+  }
+  
+  const playerNames = Object.keys(room.scores);
+  for (let i = playerNames.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [playerNames[i], playerNames[j]] = [playerNames[j], playerNames[i]];
+  }
+  room.playerTeams = {};
+  playerNames.forEach(playerName => {
+    assignTeam(room, playerName);
+    persistScore(room, playerName);
+  });
+  emitTeams(room);
+  console.log(`👥 Game ${room.gameCode} teams balanced`);
+  res.json({ success: true, teams: room.teams, playerTeams: room.playerTeams });
+});
+
+app.post('/api/teams/assign', requireAdmin, (req, res) => {
+  const room = req.room;
+  const { playerName, team } = req.body;
+  if (room.scores[playerName] === undefined) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  if (!room.teams.includes(team)) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  
+  room.playerTeams[playerName] = team;
+  persistScore(room, playerName);
+  emitTeams(room);
+  console.log(`👥 ${playerName} moved to team "${team}"`);
+  res.json({ success: true, teams: room.teams, playerTeams: room.playerTeams });
 });
 
-app.post('/api/reset-playlist', (req, res) => {
+app.get('/api/track-status', requireAdmin, (req, res) => {
+  const room = req.room;
+  
+  res.json({ success: true, trackStatus: room.trackStatus });
+});
+
+app.post('/api/reset-playlist', requireAdmin, (req, res) => {
+  const room = req.room;
+  
   // Reset all track status to unplayed
-  Object.keys(gameState.trackStatus).forEach(trackId => {
-    gameState.trackStatus[trackId] = 'unplayed';
+  Object.keys(room.trackStatus).forEach(trackId => {
+    room.trackStatus[trackId] = 'unplayed';
   });
   
   // Clear all persistent song states
-  gameState.songStates = {};
+  room.songStates = {};
   
   // Reset current song and guessed parts
-  gameState.currentSong = null;
-  gameState.guessedParts = {
-    artist: false,
-    title: false,
-    lyrics: false
-  };
-  gameState.isPlaying = false;
-  gameState.bonusAwarded = false;
-  gameState.playersWhoGuessed.clear();
-  gameState.activeUsernames.clear();
-  gameState.currentGuesses = {
-    artist: [],
-    title: [],
-    lyrics: []
-  };
+  room.currentSong = null;
+  room.guessedParts = emptyGuessedParts();
+  room.revealedParts = [];
+  room.revealedAnswer = null;
+  room.hints = [];
+  room.choices = null;
+  clearTimeout(room.autoHintTimer);
+  clearTimeout(room.lyricChallengeTimer);
+  room.lyricChallenge = null;
+  room.syncedLyrics = [];
+  room.isPlaying = false;
+  clearRoundTimer(room);
+  endSnippetRound(room);
+  room.bonusAwarded = false;
+  room.playersWhoGuessed.clear();
+  room.activeUsernames.clear();
+  room.currentGuesses = emptyGuesses();
+  
+  persist("UPDATE game_track_status SET status = 'unplayed', played_at = NULL WHERE game_code = ?", [room.gameCode]);
+  persist('DELETE FROM game_song_states WHERE game_code = ?', [room.gameCode]);
+  persistRoom(room);
   
   console.log('🔄 Playlist reset - cleared all song states');
   
   // Notify all clients
-  io.emit('playlistReset');
+  io.to(room.gameCode).emit('playlistReset');
   
   res.json({ success: true });
 });
 
 // API endpoint to scrape lyrics for all songs in a playlist
-app.post('/api/scrape-lyrics', async (req, res) => {
-  if (!gameState.currentPlaylist) {
+app.post('/api/scrape-lyrics', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.currentPlaylist) {
     return res.status(400).json({ error: 'No playlist loaded' });
   }
 
-  if (gameState.scrapingState.isScraping) {
+  if (room.scrapingState.isScraping) {
     return res.status(400).json({ error: 'Lyrics scraping already in progress' });
   }
 
-  const tracks = gameState.currentPlaylist.tracks.items;
-  gameState.scrapingState = {
+  const tracks = room.currentPlaylist.tracks.items;
+  room.scrapingState = {
     isScraping: true,
     currentIndex: 0,
     successfulCount: 0,
@@ -1298,7 +3600,7 @@ app.post('/api/scrape-lyrics', async (req, res) => {
   console.log(`🎵 Starting lyrics scraping for ${tracks.length} songs`);
 
   // Start the scraping process
-  scrapeLyricsForPlaylist();
+  scrapeLyricsForPlaylist(room);
 
   res.json({ 
     success: true, 
@@ -1308,20 +3610,24 @@ app.post('/api/scrape-lyrics', async (req, res) => {
 });
 
 // API endpoint to stop lyrics scraping
-app.post('/api/stop-scraping', (req, res) => {
-  if (!gameState.scrapingState.isScraping) {
+app.post('/api/stop-scraping', requireAdmin, (req, res) => {
+  const room = req.room;
+  
+  if (!room.scrapingState.isScraping) {
     return res.status(400).json({ error: 'No scraping in progress' });
   }
 
-  gameState.scrapingState.isScraping = false;
+  room.scrapingState.isScraping = false;
   console.log('Lyrics scraping stopped by user');
   
   res.json({ success: true, message: 'Lyrics scraping stopped' });
 });
 
 // API endpoint to get scraping progress
-app.get('/api/scraping-progress', (req, res) => {
-  const state = gameState.scrapingState;
+app.get('/api/scraping-progress', requireAdmin, (req, res) => {
+  const room = req.room;
+  
+  const state = room.scrapingState;
   res.json({
     isScraping: state.isScraping,
     currentIndex: state.currentIndex,
@@ -1332,8 +3638,8 @@ app.get('/api/scraping-progress', (req, res) => {
 });
 
 // Function to scrape lyrics for all songs in the playlist
-async function scrapeLyricsForPlaylist() {
-  const state = gameState.scrapingState;
+async function scrapeLyricsForPlaylist(room) {
+  const state = room.scrapingState;
   // Build a list of tracks missing lyrics in the DB
   const allTracks = state.playlistTracks;
   const missingTracks = await new Promise((resolve) => {
@@ -1403,7 +3709,7 @@ async function scrapeLyricsForPlaylist() {
         break;
       }
     }
-    io.emit('scrapingProgress', {
+    io.to(room.gameCode).emit('scrapingProgress', {
       isScraping: state.isScraping,
       currentIndex: state.currentIndex,
       successfulCount: state.successfulCount,
@@ -1414,7 +3720,7 @@ async function scrapeLyricsForPlaylist() {
   }
   state.isScraping = false;
   console.log(`🎵 Lyrics scraping completed. ${state.successfulCount}/${state.totalCount} songs scraped successfully`);
-  io.emit('scrapingProgress', {
+  io.to(room.gameCode).emit('scrapingProgress', {
     isScraping: false,
     currentIndex: state.currentIndex,
     successfulCount: state.successfulCount,
@@ -1424,28 +3730,33 @@ async function scrapeLyricsForPlaylist() {
 }
 
 // Get available Spotify devices
-app.get('/api/devices', async (req, res) => {
-  if (!gameState.accessToken) {
+app.get('/api/devices', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
   try {
-    const devices = await spotifyApi.getMyDevices();
+    const devices = await callSpotify(room, api => api.getMyDevices());
     res.json({ success: true, devices: devices.body.devices });
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error getting devices:', error);
     res.status(500).json({ error: 'Failed to get devices' });
   }
 });
 
 // Debug endpoint for lyrics configuration
-app.get('/api/debug/lyrics', (req, res) => {
+app.get('/api/debug/lyrics', requireAdmin, (req, res) => {
   console.log('🔍 Lyrics debug endpoint called');
   
   res.json({
     success: true,
     lyricsService: 'lyrics.ovh',
     baseUrl: LYRICS_OVH_BASE_URL,
+    providers: lyricsProviders.describe(),
+    localLyricsDirectory: LYRICS_DIRECTORY,
     message: 'Lyrics.ovh API is configured (no authentication required)',
     environment: process.env.NODE_ENV || 'development',
     serverTime: new Date().toISOString()
@@ -1453,7 +3764,7 @@ app.get('/api/debug/lyrics', (req, res) => {
 });
 
 // Simple lyrics.ovh API test endpoint
-app.get('/api/debug/lyrics-test', async (req, res) => {
+app.get('/api/debug/lyrics-test', requireAdmin, async (req, res) => {
   try {
     console.log('Simple lyrics.ovh API test...');
     
@@ -1495,13 +3806,14 @@ app.get('/api/debug/lyrics-test', async (req, res) => {
 });
 
 // Detailed lyrics.ovh API diagnostics endpoint
-app.get('/api/debug/lyrics-diagnostics', async (req, res) => {
+app.get('/api/debug/lyrics-diagnostics', requireAdmin, async (req, res) => {
   try {
     console.log('Running lyrics.ovh API diagnostics...');
     
     const diagnostics = {
       lyricsService: 'lyrics.ovh',
       baseUrl: LYRICS_OVH_BASE_URL,
+      providers: lyricsProviders.describe(),
       environment: process.env.NODE_ENV || 'development',
       serverTime: new Date().toISOString(),
       userAgent: req.get('User-Agent'),
@@ -1553,7 +3865,7 @@ app.get('/api/debug/lyrics-diagnostics', async (req, res) => {
 });
 
 // Test lyrics fetching endpoint
-app.get('/api/debug/test-lyrics', async (req, res) => {
+app.get('/api/debug/test-lyrics', requireAdmin, async (req, res) => {
   try {
     console.log('Testing lyrics fetching...');
     
@@ -1595,14 +3907,17 @@ app.get('/api/debug/test-lyrics', async (req, res) => {
 });
 
 // Get current playback position
-app.get('/api/playback-position', async (req, res) => {
-  if (!gameState.accessToken) {
+app.get('/api/playback-position', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
   try {
-    const playback = await spotifyApi.getMyCurrentPlaybackState();
+    const playback = await callSpotify(room, api => api.getMyCurrentPlaybackState());
     if (playback.body && playback.body.is_playing) {
+      setPlaybackPosition(room, playback.body.progress_ms, true);
       res.json({ 
         success: true, 
         position: playback.body.progress_ms,
@@ -1610,6 +3925,9 @@ app.get('/api/playback-position', async (req, res) => {
         isPlaying: playback.body.is_playing
       });
     } else {
+      if (playback.body && room.playback.isPlaying) {
+        setPlaybackPosition(room, playback.body.progress_ms || 0, false, true);
+      }
       res.json({ 
         success: true, 
         position: 0,
@@ -1618,30 +3936,38 @@ app.get('/api/playback-position', async (req, res) => {
       });
     }
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error getting playback position:', error);
     res.status(500).json({ error: 'Failed to get playback position' });
   }
 });
 
 // Seek to position in song
-app.post('/api/seek', async (req, res) => {
+app.post('/api/seek', requireAdmin, async (req, res) => {
   const { positionMs } = req.body;
+  const room = req.room;
   
-  if (!gameState.accessToken) {
+  if (!room.accessToken) {
     return res.status(401).json({ error: 'Not authenticated with Spotify' });
   }
   
   try {
-    await spotifyApi.seek(positionMs);
+    await callSpotify(room, api => api.seek(positionMs));
+    if (room.snippetClip) {
+      // The following clips start from here
+      room.snippetClip = { ...room.snippetClip, offsetMs: positionMs };
+    }
+    setPlaybackPosition(room, positionMs, room.playback.isPlaying, true);
     res.json({ success: true });
   } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
     console.error('Error seeking to position:', error);
     res.status(500).json({ error: 'Failed to seek to position' });
   }
 });
 
 // API endpoint to check lyrics availability for a list of songs
-app.post('/api/lyrics-availability', async (req, res) => {
+app.post('/api/lyrics-availability', requireAdmin, async (req, res) => {
   const { songs } = req.body; // [{ id, artist, title }]
   if (!Array.isArray(songs)) {
     return res.status(400).json({ error: 'Missing or invalid songs array' });
@@ -1673,7 +3999,7 @@ app.post('/api/lyrics-availability', async (req, res) => {
   });
 });
 
-app.post('/api/manual-lyrics', async (req, res) => {
+app.post('/api/manual-lyrics', requireAdmin, async (req, res) => {
   const { id, artist, title, lyrics } = req.body;
   
   console.log('Manual lyrics request:', { id, artist, title, lyricsLength: lyrics ? lyrics.length : 0 });
@@ -1718,9 +4044,10 @@ app.post('/api/manual-lyrics', async (req, res) => {
     lyricsLength: lyricsValidation.sanitized.length
   });
   
-  db.run(
-    'INSERT OR REPLACE INTO lyrics_cache (artist, title, lyrics) VALUES (?, ?, ?)',
-    [normalizedArtist, normalizedTitle, lyricsValidation.sanitized],
+  saveLyricsToCache(
+    normalizedArtist,
+    normalizedTitle,
+    lyricsValidation.sanitized,
     function (err) {
       if (err) {
         console.error('Failed to save manual lyrics:', err);
@@ -1732,8 +4059,9 @@ app.post('/api/manual-lyrics', async (req, res) => {
   );
 });
 
-app.post('/api/save-edited-lyrics', async (req, res) => {
+app.post('/api/save-edited-lyrics', requireAdmin, async (req, res) => {
   const { trackId, lyrics } = req.body;
+  const room = req.room;
   
   console.log('Save edited lyrics request:', { trackId, lyricsLength: lyrics ? lyrics.length : 0 });
   
@@ -1757,12 +4085,12 @@ app.post('/api/save-edited-lyrics', async (req, res) => {
   }
   
   // Get the current song info to extract artist and title
-  if (!gameState.currentSong || gameState.currentSong.id !== trackId) {
+  if (!room.currentSong || room.currentSong.id !== trackId) {
     return res.status(400).json({ error: 'Current song not found' });
   }
   
-  const artist = gameState.currentSong.artists.join(', ');
-  const title = gameState.currentSong.name;
+  const artist = room.currentSong.artists.join(', ');
+  const title = room.currentSong.name;
   
   const normalizedArtist = normalizeArtist(artist);
   const normalizedTitle = normalizeTitle(title);
@@ -1774,9 +4102,10 @@ app.post('/api/save-edited-lyrics', async (req, res) => {
     lyricsLength: lyricsValidation.sanitized.length
   });
   
-  db.run(
-    'INSERT OR REPLACE INTO lyrics_cache (artist, title, lyrics) VALUES (?, ?, ?)',
-    [normalizedArtist, normalizedTitle, lyricsValidation.sanitized],
+  saveLyricsToCache(
+    normalizedArtist,
+    normalizedTitle,
+    lyricsValidation.sanitized,
     function (err) {
       if (err) {
         console.error('Failed to save edited lyrics:', err);
@@ -1788,8 +4117,283 @@ app.post('/api/save-edited-lyrics', async (req, res) => {
   );
 });
 
-app.post('/api/manual-award', (req, res) => {
+// Scoring rules for this game (points per part, speed / first-guess / solo bonuses, penalties)
+app.get('/api/scoring-rules', requireAdmin, (req, res) => {
+  res.json({ success: true, scoringRules: req.room.scoringRules, defaults: DEFAULT_SCORING_RULES });
+});
+
+app.post('/api/scoring-rules', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateScoringRules(req.body.scoringRules, room.scoringRules);
+  
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  room.scoringRules = validation.sanitized;
+  persistRoom(room);
+  io.to(room.gameCode).emit('scoringRulesChanged', { scoringRules: room.scoringRules });
+  console.log(`🧮 Game ${room.gameCode} scoring rules updated:`, room.scoringRules);
+  res.json({ success: true, scoringRules: room.scoringRules });
+});
+
+// Choose how songs are played: 'classic' (any lyric from the song), 'finishTheLine' (type
+// the next line before it is sung - needs synced lyrics) or 'multipleChoice' (pick the title
+// and artist from options, no lyrics)
+app.post('/api/round-type', requireAdmin, (req, res) => {
+  const { roundType } = req.body;
+  const room = req.room;
+  
+  if (!ROUND_TYPES.includes(roundType)) {
+    return res.status(400).json({ error: 'Invalid round type' });
+  }
+  
+  room.roundType = roundType;
+  updateCategoriesInPlay(room);
+  persistRoom(room);
+  updateLyricChallenge(room, true);
+  
+  io.to(room.gameCode).emit('roundTypeChanged', {
+    roundType,
+    finishTheLine: isFinishTheLineRound(room),
+    choices: choicesPayload(room),
+    guessedParts: room.guessedParts
+  });
+  console.log(`🎯 Game ${room.gameCode} round type set to ${roundType}`);
+  res.json({ success: true, roundType, finishTheLine: isFinishTheLineRound(room), choices: choicesPayload(room) });
+});
+
+// How forgiving artist/title matching is: 'strict' (exact words only), 'normal' (small typos
+// and sound-alike spellings) or 'lenient' (more typos, especially on long answers)
+app.post('/api/match-strictness', requireAdmin, (req, res) => {
+  const { strictness } = req.body;
+  const room = req.room;
+  
+  if (!MATCH_STRICTNESS_LEVELS.includes(strictness)) {
+    return res.status(400).json({ error: 'Invalid strictness level' });
+  }
+  
+  room.matchStrictness = strictness;
+  persistRoom(room);
+  io.to(adminChannel(room)).emit('matchStrictnessChanged', { strictness });
+  console.log(`🔍 Game ${room.gameCode} answer matching set to ${strictness}`);
+  res.json({ success: true, strictness });
+});
+
+// Auto-host settings - turning it on starts a timed round for the current song (or plays
+// the next unplayed track when nothing is playing)
+app.post('/api/auto-host', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateAutoHostSettings(req.body, room.autoHost);
+  
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  const wasEnabled = room.autoHost.enabled;
+  if (validation.sanitized.enabled && !wasEnabled) {
+    if (!room.accessToken) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+    if (!room.currentPlaylist) {
+      return res.status(400).json({ error: 'Load a playlist before turning on auto-host' });
+    }
+  }
+  
+  room.autoHost = validation.sanitized;
+  persistRoom(room);
+  
+  // In the lobby the first round starts with the first song
+  if (room.autoHost.enabled && !wasEnabled && room.lobby.phase === 'playing') {
+    if (room.currentSong && !isSongComplete(room) && room.revealedParts.length === 0) {
+      startRound(room);
+    } else {
+      advanceToNextTrack(room);
+    }
+  } else if (!room.autoHost.enabled && wasEnabled) {
+    clearRoundTimer(room);
+  }
+  
+  io.to(adminChannel(room)).emit('autoHostChanged', { autoHost: room.autoHost });
+  console.log(`⏱️ Game ${room.gameCode} auto-host settings:`, room.autoHost);
+  res.json({ success: true, autoHost: room.autoHost });
+});
+
+// Snippet mode settings - they apply from the next song played. Turning snippet mode off lets
+// the current song play on.
+app.post('/api/snippet', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateSnippetSettings(req.body, room.snippetSettings);
+  
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  room.snippetSettings = validation.sanitized;
+  persistRoom(room);
+  if (!room.snippetSettings.enabled) {
+    endSnippetRound(room, true);
+  }
+  
+  io.to(adminChannel(room)).emit('snippetSettingsChanged', { snippetSettings: room.snippetSettings });
+  console.log(`🎧 Game ${room.gameCode} snippet settings:`, room.snippetSettings);
+  res.json({ success: true, snippetSettings: room.snippetSettings });
+});
+
+// Play the next, longer clip right away instead of waiting for it
+app.post('/api/snippet/next', requireAdmin, async (req, res) => {
+  const room = req.room;
+  
+  if (!room.accessToken) {
+    return res.status(401).json({ error: 'Not authenticated with Spotify' });
+  }
+  if (!room.snippetClip) {
+    return res.status(400).json({ error: 'No snippet round is running' });
+  }
+  if (room.snippetClip.step >= SNIPPET_STEPS_MS.length - 1) {
+    return res.status(400).json({ error: 'The longest clip has already been played' });
+  }
+  
+  try {
+    await playSnippetClip(room, room.snippetClip.step + 1);
+    resumeRoundTimer(room);
+    res.json({ success: true, snippet: snippetPayload(room) });
+  } catch (error) {
+    if (sendSpotifyReauthError(res, error)) return;
+    console.error('Error playing the next snippet clip:', error);
+    res.status(500).json({ error: 'Failed to play the next clip' });
+  }
+});
+
+// Show everyone the current song's answer. During an auto-host round this ends the round.
+app.post('/api/reveal-answer', requireAdmin, (req, res) => {
+  const room = req.room;
+  if (!room.currentSong) {
+    return res.status(400).json({ error: 'No current song' });
+  }
+  
+  if (room.autoHost.enabled && room.roundTimer && room.roundTimer.phase === 'round') {
+    endRound(room, 'admin');
+  } else {
+    revealAnswer(room, 'admin');
+  }
+  res.json({ success: true, answer: room.revealedAnswer });
+});
+
+app.post('/api/hints/next', requireAdmin, (req, res) => {
+  const room = req.room;
+  if (!room.currentSong) {
+    return res.status(400).json({ error: 'No current song' });
+  }
+  
+  const hint = releaseNextHint(room);
+  if (!hint) {
+    return res.status(400).json({ error: 'No more hints for this song' });
+  }
+  res.json({ success: true, hint, hints: room.hints });
+});
+
+app.post('/api/auto-hints', requireAdmin, (req, res) => {
+  const room = req.room;
+  const validation = validateAutoHintSeconds(req.body.seconds);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  
+  room.autoHintSeconds = validation.sanitized;
+  persistRoom(room);
+  scheduleAutoHint(room);
+  io.to(adminChannel(room)).emit('autoHintsChanged', { seconds: room.autoHintSeconds });
+  console.log(`💡 Game ${room.gameCode} auto hints ${room.autoHintSeconds ? `every ${room.autoHintSeconds}s` : 'off'}`);
+  res.json({ success: true, seconds: room.autoHintSeconds });
+});
+
+// Alternate answers accepted for the current song's artists and title
+app.get('/api/aliases', requireAdmin, async (req, res) => {
+  const room = req.room;
+  if (!room.currentSong) {
+    return res.json({ success: true, aliases: [] });
+  }
+  
+  try {
+    const rows = await getSongAliasRows(room.currentSong);
+    res.json({
+      success: true,
+      aliases: rows.map(row => ({ id: row.id, kind: row.kind, name: row.name, alias: row.alias, source: row.source }))
+    });
+  } catch (error) {
+    console.error('Failed to load answer aliases:', error);
+    res.status(500).json({ error: 'Failed to load aliases' });
+  }
+});
+
+app.post('/api/aliases', requireAdmin, (req, res) => {
+  const { kind, artistName, alias } = req.body;
+  const room = req.room;
+  
+  if (!ALIAS_KINDS.includes(kind)) {
+    return res.status(400).json({ error: 'Invalid alias kind' });
+  }
+  if (!room.currentSong) {
+    return res.status(400).json({ error: 'No current song' });
+  }
+  
+  const aliasValidation = validateGuess(alias, kind);
+  if (!aliasValidation.valid) {
+    return res.status(400).json({ error: aliasValidation.error });
+  }
+  
+  let spotifyId = room.currentSong.id;
+  let name = room.currentSong.name;
+  if (kind === 'artist') {
+    const artistIndex = room.currentSong.artists.indexOf(artistName);
+    spotifyId = (room.currentSong.artistIds || [])[artistIndex];
+    name = artistName;
+    if (artistIndex === -1 || !spotifyId) {
+      return res.status(400).json({ error: 'Artist is not credited on the current song' });
+    }
+  }
+  
+  saveAlias(kind, spotifyId, name, aliasValidation.sanitized, 'admin', (err, added) => {
+    if (err) {
+      console.error('Failed to save answer alias:', err);
+      return res.status(500).json({ error: 'Failed to save alias' });
+    }
+    console.log(`📚 Alias "${aliasValidation.sanitized}" ${added ? 'added' : 'already exists'} for ${kind} "${name}"`);
+    res.json({ success: true, added });
+  });
+});
+
+app.post('/api/aliases/remove', requireAdmin, (req, res) => {
+  const id = parseInt(req.body.id, 10);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid alias id' });
+  }
+  
+  db.get('SELECT spotify_id, alias FROM answer_aliases WHERE id = ?', [id], (err, row) => {
+    if (err) {
+      console.error('Failed to look up answer alias:', err);
+      return res.status(500).json({ error: 'Failed to remove alias' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    
+    db.run('DELETE FROM answer_aliases WHERE id = ?', [id], (err) => {
+      if (err) {
+        console.error('Failed to remove answer alias:', err);
+        return res.status(500).json({ error: 'Failed to remove alias' });
+      }
+      reloadAliasesForSpotifyId(row.spotify_id);
+      console.log(`📚 Alias "${row.alias}" removed`);
+      res.json({ success: true });
+    });
+  });
+});
+
+app.post('/api/manual-award', requireAdmin, (req, res) => {
   const { playerName, guessType, guessText } = req.body;
+  const room = req.room;
   
   // Validate inputs
   if (!playerName || !guessType || !guessText) {
@@ -1808,60 +4412,136 @@ app.post('/api/manual-award', (req, res) => {
   }
   
   // Validate guess type
-  if (!['artist', 'title', 'lyrics'].includes(guessType)) {
+  if (!CATEGORY_IDS.includes(guessType)) {
     return res.status(400).json({ error: 'Invalid guess type' });
   }
-  if (!gameState.currentSong) {
+  if (!room.currentSong) {
     return res.status(400).json({ error: 'No current song' });
   }
-  if (gameState.guessedParts[guessType] === true) {
+  if (room.guessedParts[guessType] === true) {
     return res.status(400).json({ error: 'This category has already been guessed' });
   }
-  // Award point to player
-  gameState.scores[playerNameValidation.sanitized] = (gameState.scores[playerNameValidation.sanitized] || 0) + 1;
-  // Mark category as guessed
-  gameState.guessedParts[guessType] = true;
+  if (room.guessedParts[guessType] === null) {
+    return res.status(400).json({ error: 'This category is not played for this song' });
+  }
+  if (room.revealedParts.includes(guessType)) {
+    return res.status(400).json({ error: 'The answer for this category has been revealed' });
+  }
+  // What the automatic matcher made of this guess, so overrides show up in the logs
+  const matcherVerdict = matchCategory(room, guessType, guessTextValidation.sanitized);
+  // Score the award like an automatic guess, using the song position when the guess was made
+  const originalGuess = room.currentGuesses[guessType].find(entry =>
+    entry.player === playerNameValidation.sanitized && entry.guess === guessTextValidation.sanitized
+  );
+  const guessPositionMs = originalGuess && originalGuess.positionMs !== undefined
+    ? originalGuess.positionMs
+    : estimatePlaybackPosition(room);
+  // Award points to player and mark category as guessed
+  let pointsAwarded = awardPart(room, playerNameValidation.sanitized, guessType, guessPositionMs);
   // Track that this player made a correct guess
-  gameState.playersWhoGuessed.add(playerNameValidation.sanitized);
+  room.playersWhoGuessed.add(playerNameValidation.sanitized);
   // Check if all parts are now guessed
-  const allPartsGuessed = gameState.guessedParts.artist && gameState.guessedParts.title && (gameState.guessedParts.lyrics === true || gameState.guessedParts.lyrics === null);
+  const allPartsGuessed = isSongComplete(room);
   // Award bonus if this player just completed all parts alone
   let bonusAwarded = false;
-  if (allPartsGuessed && !gameState.bonusAwarded && gameState.playersWhoGuessed.size === 1) {
-    gameState.scores[playerNameValidation.sanitized]++;
-    gameState.bonusAwarded = true;
+  if (allPartsGuessed && !room.bonusAwarded && isSoloCompletion(room)) {
+    pointsAwarded += awardSoloCompletionBonus(room, playerNameValidation.sanitized);
+    room.bonusAwarded = true;
     bonusAwarded = true;
   }
   // Update track status
-  if (gameState.currentSong && gameState.currentSong.id) {
+  if (room.currentSong && room.currentSong.id) {
     if (allPartsGuessed) {
-      updateTrackStatus(gameState.currentSong.id, 'complete');
+      updateTrackStatus(room, room.currentSong.id, 'complete');
     } else {
-      updateTrackStatus(gameState.currentSong.id, 'partial');
+      updateTrackStatus(room, room.currentSong.id, 'partial');
     }
   }
   // Save song state
-  if (gameState.currentSong) {
-    gameState.songStates[gameState.currentSong.id] = {
-      isComplete: allPartsGuessed,
-      guessedParts: { ...gameState.guessedParts },
-      bonusAwarded: gameState.bonusAwarded,
-      playersWhoGuessed: Array.from(gameState.playersWhoGuessed),
-      currentGuesses: { ...gameState.currentGuesses }
-    };
-  }
+  saveSongState(room, allPartsGuessed);
+  persistScore(room, playerNameValidation.sanitized);
+  persistSongState(room, room.currentSong.id);
+  persistRoom(room);
+  persist(
+    'UPDATE game_guesses SET is_correct = 1 WHERE game_code = ? AND track_id = ? AND guess_type = ? AND player_name = ? AND guess = ?',
+    [room.gameCode, room.currentSong.id, guessType, playerNameValidation.sanitized, guessTextValidation.sanitized]
+  );
   // Notify all clients
-  io.emit('correctGuess', { 
+  io.to(room.gameCode).emit('correctGuess', { 
     playerName: playerNameValidation.sanitized, 
-    players: gameState.players, 
-    scores: gameState.scores,
-    guessedParts: gameState.guessedParts,
+    players: room.players, 
+    scores: room.scores,
+    guessedParts: room.guessedParts,
     correctParts: [guessType],
     allPartsGuessed,
-    bonusAwarded
+    bonusAwarded,
+    bonusTeam: bonusAwarded ? teamOf(room, playerNameValidation.sanitized) : null,
+    pointsAwarded,
+    song: playerSongPayload(room)
   });
-  console.log(`Manual award: ${playerNameValidation.sanitized} earned 1 point for ${guessType} guess: "${guessTextValidation.sanitized}"${bonusAwarded ? ' + 1 bonus point' : ''}`);
-  res.json({ success: true });
+  if (guessType === 'lyrics') {
+    updateLyricChallenge(room);
+  }
+  if (allPartsGuessed) {
+    endSnippetRound(room, true);
+    endRound(room, 'allGuessed');
+  }
+  // Learn the accepted answer so the same guess matches automatically next time
+  if (!matcherVerdict.match && ALIAS_KINDS.includes(guessType)) {
+    learnAlias(room.currentSong, guessType, guessTextValidation.sanitized);
+  }
+  console.log(`Manual award: ${playerNameValidation.sanitized} earned ${pointsAwarded} point(s) for ${guessType} guess: "${guessTextValidation.sanitized}"${bonusAwarded ? ' including the solo completion bonus' : ''} (matcher: ${matcherVerdict.reason})`);
+  res.json({ success: true, matcher: { match: matcherVerdict.match, reason: matcherVerdict.reason } });
+});
+
+// Send a room's current game state to a socket that just joined it
+function sendGameState(socket, room) {
+  socket.emit('gameState', {
+    currentSong: socket.data.isAdmin ? room.currentSong : playerSongPayload(room),
+    players: room.players,
+    scores: room.scores,
+    isPlaying: room.isPlaying,
+    guessedParts: room.guessedParts,
+    roundType: room.roundType,
+    categories: CATEGORIES,
+    finishTheLine: isFinishTheLineRound(room),
+    lyricChallenge: lyricChallengePayload(room),
+    choices: choicesPayload(room),
+    scoringRules: room.scoringRules,
+    matchStrictness: room.matchStrictness,
+    autoHost: room.autoHost,
+    roundTimer: roundTimerPayload(room),
+    snippetSettings: room.snippetSettings,
+    snippet: snippetPayload(room),
+    leagueId: room.leagueId,
+    lobby: lobbyPayload(room),
+    lookOptions: { avatars: AVATARS, colors: COLORS },
+    revealedParts: room.revealedParts,
+    revealedAnswer: room.revealedAnswer,
+    hints: room.hints,
+    autoHintSeconds: room.autoHintSeconds,
+    teams: room.teams,
+    playerTeams: room.playerTeams
+  });
+}
+
+// Admin socket middleware - a socket presenting an admin token in its handshake is bound
+// to that admin's room; an invalid or revoked token is refused outright
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.adminToken;
+  if (!token) return next();
+  
+  const verification = verifyAdminToken(token);
+  if (!verification.valid) {
+    // The connection-limit middleware already counted this socket
+    currentConnections = Math.max(0, currentConnections - 1);
+    return next(new Error(verification.error));
+  }
+  
+  socket.data.isAdmin = true;
+  socket.data.adminSessionId = verification.sessionId;
+  socket.data.gameCode = verification.room.gameCode;
+  next();
 });
 
 // Socket.IO connection handling
@@ -1885,28 +4565,56 @@ io.on('connection', (socket) => {
     return;
   }
   
-  // Send current game state to new player
-  socket.emit('gameState', {
-    currentSong: gameState.currentSong,
-    players: gameState.players,
-    scores: gameState.scores,
-    isPlaying: gameState.isPlaying,
-    guessedParts: gameState.guessedParts
-  });
-  
   // Game code verification is now handled via HTTP endpoint /api/verify-game-code
   
+  // Authenticated admin panels subscribe to their room's events
+  if (socket.data.isAdmin) {
+    const room = rooms.get(socket.data.gameCode);
+    if (room) {
+      room.adminConnected = true;
+      socket.join(room.gameCode);
+      socket.join(adminChannel(room));
+      sendGameState(socket, room);
+      console.log(`Admin socket ${socket.id} joined game ${room.gameCode}`);
+    }
+  }
+  
   // Player joins
-  socket.on('playerJoin', (data) => {
-    const { playerName, gameCode } = data;
-    console.log(`Player attempting to join: ${playerName} (socket: ${socket.id})`);
+  // Big-screen display - a read-only view of a game. The display gets every event players
+  // get, but it is not a player: it is not in room.players and cannot join or guess.
+  socket.on('spectatorJoin', (data) => {
+    const codeValidation = validateGameCode(data && data.gameCode);
+    if (!codeValidation.valid) {
+      socket.emit('gameCodeInvalid', { error: codeValidation.error });
+      return;
+    }
+    const room = getActiveRoom(codeValidation.sanitized);
+    if (!room) {
+      socket.emit('gameCodeInvalid', { error: 'Invalid or expired game code' });
+      return;
+    }
+    
+    socket.join(room.gameCode);
+    socket.data.spectating = room.gameCode;
+    sendGameState(socket, room);
+    console.log(`📺 Display connected to game ${room.gameCode} (socket: ${socket.id})`);
+  });
+  
+  socket.on('playerJoin', async (data) => {
+    if (socket.data.spectating) {
+      socket.emit('validationError', { error: 'The display cannot join the game as a player' });
+      return;
+    }
+    const { gameCode } = data;
+    console.log(`Player attempting to join: ${data.playerName} (socket: ${socket.id})`);
     
     // Validate player name
-    const nameValidation = validatePlayerName(playerName);
+    const nameValidation = validatePlayerName(data.playerName);
     if (!nameValidation.valid) {
       socket.emit('validationError', { error: nameValidation.error });
       return;
     }
+    const playerName = nameValidation.sanitized;
     
     // Validate game code
     const codeValidation = validateGameCode(gameCode);
@@ -1916,514 +4624,374 @@ io.on('connection', (socket) => {
     }
     
     // Verify game code first
-    if (!gameState.gameCode) {
+    if (rooms.size === 0) {
       socket.emit('gameCodeInvalid', { error: 'No active game session' });
       return;
     }
     
-    if (gameState.gameCode !== codeValidation.sanitized) {
+    if (!rooms.has(codeValidation.sanitized)) {
       socket.emit('gameCodeInvalid', { error: 'Invalid game code' });
       return;
     }
     
     // Check if game code has expired
-    if (gameState.gameCodeExpiry && Date.now() > gameState.gameCodeExpiry) {
-      resetGameCode();
+    const joinedRoom = getActiveRoom(codeValidation.sanitized);
+    if (!joinedRoom) {
       socket.emit('gameCodeInvalid', { error: 'Game session has expired' });
       return;
     }
     
-    // Check if username is already taken by another active player
-    const existingSocketId = Object.keys(gameState.players).find(socketId => 
-      gameState.players[socketId] === playerName
+    // A player resuming their session already proved who they are when they first joined
+    const resuming = hasPlayerSession(joinedRoom, playerName, data.sessionToken);
+    
+    // Claimed names need their PIN
+    let pinVerified = false;
+    if (!resuming) {
+      let pinCheck;
+      try {
+        pinCheck = await checkProfilePin(playerName, data.pin);
+      } catch (err) {
+        console.error('Failed to check player profile:', err.message);
+        socket.emit('validationError', { error: 'Could not check this player name. Please try again.' });
+        return;
+      }
+      if (pinCheck.error) {
+        socket.emit('profilePinRequired', { error: pinCheck.error });
+        console.log(`Player "${playerName}" rejected - ${pinCheck.error}`);
+        return;
+      }
+      pinVerified = pinCheck.claimed;
+    }
+    
+    // The game may have ended while the PIN was checked
+    const room = getActiveRoom(codeValidation.sanitized);
+    if (room !== joinedRoom) {
+      socket.emit('gameCodeInvalid', { error: 'Game session has expired' });
+      return;
+    }
+    
+    // A name already in this game can only be joined with its session token. Players from
+    // before session tokens existed (restored games) have none, so theirs can only be taken
+    // back with the PIN of the claimed name - anyone else could take over their score.
+    const existingSocketId = Object.keys(room.players).find(socketId => 
+      room.players[socketId] === playerName
     );
+    const legacyPlayer = playerName in room.scores && room.playerSessions[playerName] === undefined;
+    const nameInUse = room.playerSessions[playerName] !== undefined ||
+      (legacyPlayer && !pinVerified) ||
+      (existingSocketId !== undefined && existingSocketId !== socket.id);
     
-    if (existingSocketId) {
-      if (existingSocketId !== socket.id) {
-        // Username is taken by another active player (different socket)
-        // Check if this might be a reconnection by looking at the score
-        // If the player has a score, they might be reconnecting
-        if (gameState.scores[playerName] !== undefined) {
-          // This could be a reconnection - allow it but remove the old connection
-          console.log(`Player "${playerName}" reconnecting - removing old connection (socket: ${existingSocketId})`);
-          delete gameState.players[existingSocketId];
-          // Clean up last guess timestamp for the old connection
-          delete gameState.lastGuessTimestamps[playerName];
-        } else {
-          // This is a new player trying to use a taken name
-          socket.emit('usernameTaken', { error: 'Sorry, that player name is taken. Please select another name.' });
-          console.log(`Username "${playerName}" rejected - already taken by another player (socket: ${existingSocketId})`);
-          return;
-        }
-      } else {
-        // This is a reconnection (same socket ID)
-        console.log(`Player "${playerName}" reconnecting (same socket: ${socket.id})`);
+    if (!resuming && nameInUse) {
+      socket.emit('usernameTaken', { error: 'Sorry, that player name is taken. Please select another name.' });
+      console.log(`Username "${playerName}" rejected - already taken by another player`);
+      return;
+    }
+    
+    if (existingSocketId && existingSocketId !== socket.id) {
+      // Resumed from another connection - drop the old one
+      console.log(`Player "${playerName}" resumed their session - removing old connection (socket: ${existingSocketId})`);
+      delete room.players[existingSocketId];
+      delete room.lastGuessTimestamps[playerName];
+      const oldSocket = io.sockets.sockets.get(existingSocketId);
+      if (oldSocket) {
+        oldSocket.emit('sessionReplaced', { error: 'You joined this game from another window, so this one was disconnected.' });
+        oldSocket.disconnect(true);
       }
+    } else if (resuming) {
+      console.log(`Player "${playerName}" resumed their session`);
+    } else if (legacyPlayer) {
+      console.log(`Player "${playerName}" verified with their PIN - issuing them a session token`);
     } else {
-      // New player joining
       console.log(`New player "${playerName}" joining`);
     }
     
-    // Username is available or this is a reconnection
-    gameState.players[socket.id] = nameValidation.sanitized;
-    gameState.activeUsernames.add(nameValidation.sanitized);
+    // New players get a session token - so do players from before session tokens existed once
+    // their PIN is verified
+    const sessionToken = room.playerSessions[playerName] ? null : issuePlayerSession(room, playerName);
+    const newLook = !room.playerLooks[playerName];
+    if (newLook) {
+      room.playerLooks[playerName] = defaultLook(playerName);
+    }
+    
+    socket.join(room.gameCode);
+    socket.data.gameCode = room.gameCode;
+    room.players[socket.id] = playerName;
+    room.activeUsernames.add(playerName);
     
     // Initialize score if this is a new player, otherwise keep existing score
-    if (!gameState.scores[playerName]) {
-      gameState.scores[playerName] = 0;
-      console.log(`New player "${playerName}" joined with 0 points`);
+    const previousTeam = teamOf(room, playerName);
+    const team = assignTeam(room, playerName, typeof data.team === 'string' ? data.team : null);
+    if (!(playerName in room.scores)) {
+      room.scores[playerName] = 0;
+      persistScore(room, playerName);
+      console.log(`New player "${playerName}" joined with 0 points${team ? ` on team ${team}` : ''}`);
     } else {
-      console.log(`Player "${playerName}" reconnected with ${gameState.scores[playerName]} points`);
+      if (team !== previousTeam || sessionToken || newLook) {
+        persistScore(room, playerName);
+      }
+      console.log(`Player "${playerName}" reconnected with ${room.scores[playerName]} points`);
+    }
+    if (team !== previousTeam) {
+      emitTeams(room);
     }
     
-    io.emit('playerJoined', { playerName, players: gameState.players, scores: gameState.scores });
-    console.log(`Updated players:`, gameState.players);
-    console.log(`Updated scores:`, gameState.scores);
+    if (sessionToken) {
+      socket.emit('playerSession', { playerName, gameCode: room.gameCode, sessionToken });
+    }
+    sendGameState(socket, room);
+    io.to(room.gameCode).emit('playerJoined', { playerName, players: room.players, scores: room.scores });
+    if (newLook) {
+      emitLobby(room);
+    }
+    console.log(`Updated players:`, room.players);
+    console.log(`Updated scores:`, room.scores);
   });
   
   // Player makes a guess
   socket.on('makeGuess', (guess) => {
-    const playerName = gameState.players[socket.id];
-    if (!playerName || !gameState.currentSong) return;
+    if (socket.data.spectating) {
+      socket.emit('validationError', { error: 'The display cannot make guesses' });
+      return;
+    }
+    const room = rooms.get(socket.data.gameCode);
+    if (!room) return;
+    const playerName = room.players[socket.id];
+    if (!playerName || !room.currentSong) return;
 
     // --- RATE LIMITING: 1 guess per second per player ---
     const now = Date.now();
-    const lastGuess = gameState.lastGuessTimestamps[playerName] || 0;
+    const lastGuess = room.lastGuessTimestamps[playerName] || 0;
     if (now - lastGuess < 1000) {
       socket.emit('validationError', { error: 'You can only guess once per second. Please wait a moment.' });
       return;
     }
-    gameState.lastGuessTimestamps[playerName] = now;
+    room.lastGuessTimestamps[playerName] = now;
     // --- END RATE LIMITING ---
+    
+    // Between auto-host rounds the answer is already showing
+    if (isIntermission(room)) {
+      socket.emit('validationError', { error: 'This round is over. The next song starts soon!' });
+      return;
+    }
+    // A reveal gives away every part nobody had guessed, so nothing is left to score
+    if (room.revealedParts.length > 0) {
+      socket.emit('validationError', { error: 'The answer to this song has been revealed. Wait for the next song!' });
+      return;
+    }
 
     // Memory optimization: Clean up old timestamps (older than 1 hour)
     const oneHourAgo = now - 3600000;
-    Object.keys(gameState.lastGuessTimestamps).forEach(player => {
-      if (gameState.lastGuessTimestamps[player] < oneHourAgo) {
-        delete gameState.lastGuessTimestamps[player];
+    Object.keys(room.lastGuessTimestamps).forEach(player => {
+      if (room.lastGuessTimestamps[player] < oneHourAgo) {
+        delete room.lastGuessTimestamps[player];
       }
     });
 
-    const { artist, title, lyrics } = guess;
-    let correctParts = [];
-    let allPartsGuessed = true;
-    let validationError = null;
-    
-    // Validate all guesses
-    const artistValidation = artist ? validateGuess(artist, 'artist') : { valid: true, sanitized: '' };
-    const titleValidation = title ? validateGuess(title, 'title') : { valid: true, sanitized: '' };
-    const lyricsValidation = lyrics ? validateGuess(lyrics, 'lyrics') : { valid: true, sanitized: '' };
-    
-    if (!artistValidation.valid) {
-      socket.emit('validationError', { error: artistValidation.error });
+    // Multiple-choice rounds send option indexes instead of text
+    const picks = isMultipleChoiceRound(room) ? readChoicePicks(room, playerName, guess || {}) : null;
+    if (picks && picks.error) {
+      socket.emit('validationError', { error: picks.error });
       return;
     }
     
-    if (!titleValidation.valid) {
-      socket.emit('validationError', { error: titleValidation.error });
-      return;
-    }
+    const guessTexts = picks || guess || {};
+    const guessPositionMs = estimatePlaybackPosition(room);
+    const partsOpenBefore = { ...room.guessedParts };
+    let pointsAwarded = 0;
+    const correctParts = [];
+    const partialParts = []; // Won with a close guess for partial credit
     
-    if (!lyricsValidation.valid) {
-      socket.emit('validationError', { error: lyricsValidation.error });
-      return;
+    // Validate all guesses (picked options come from the server and need no checking)
+    const validGuesses = [];
+    for (const type of CATEGORY_IDS) {
+      if (!guessTexts[type]) continue;
+      const validation = picks ? { valid: true, sanitized: guessTexts[type] } : validateGuess(guessTexts[type], type);
+      const error = validation.valid ? guessFormatError(room, type, validation.sanitized) : validation.error;
+      if (error) {
+        socket.emit('validationError', { error });
+        return;
+      }
+      validGuesses.push({ type, guess: validation.sanitized });
     }
     
     // Track all guesses (both correct and incorrect)
     const timestamp = new Date();
-    if (artistValidation.sanitized) {
-      gameState.currentGuesses.artist.push({
-        guess: artistValidation.sanitized,
+    const newGuesses = validGuesses.map(({ type, guess: text }) => {
+      const entry = {
+        guess: text,
         player: playerName,
-        timestamp: timestamp
-      });
-    }
-    if (titleValidation.sanitized) {
-      gameState.currentGuesses.title.push({
-        guess: titleValidation.sanitized,
-        player: playerName,
-        timestamp: timestamp
-      });
-    }
-    if (lyricsValidation.sanitized) {
-      gameState.currentGuesses.lyrics.push({
-        guess: lyricsValidation.sanitized,
-        player: playerName,
-        timestamp: timestamp
-      });
-    }
-    
-    // Check artist guess
-    if (artistValidation.sanitized && !gameState.guessedParts.artist) {
-      // Normalize the guess for comparison
-      const normalizedGuess = normalizeArtist(artistValidation.sanitized);
-      
-      // Check against all artists in the song
-      const correctArtist = gameState.currentSong.artists.find(a => {
-        const normalizedArtist = normalizeArtist(a);
-        
-        // Split into words for better comparison
-        const actualWords = normalizedArtist.split(/\s+/).filter(word => word.length > 0);
-        const guessWords = normalizedGuess.split(/\s+/).filter(word => word.length > 0);
-        
-        // Check if the guess is a good match
-        let isCorrect = false;
-        
-        if (actualWords.length > 0 && guessWords.length > 0) {
-          // Calculate how many words from the guess match words in the actual artist
-          const matchingWords = guessWords.filter(guessWord => 
-            actualWords.some(actualWord => actualWord === guessWord)
-          );
-          
-          // Calculate match percentage
-          const matchPercentage = matchingWords.length / Math.max(actualWords.length, guessWords.length);
-          
-          // Require at least 80% match and at least 2 matching words (or all words if artist is short)
-          const minWordsRequired = Math.min(2, actualWords.length);
-          isCorrect = matchPercentage >= 0.8 && matchingWords.length >= minWordsRequired;
-          
-          // Also allow exact matches (case-insensitive, ignoring spaces and special chars)
-          if (!isCorrect) {
-            const exactMatch = normalizedArtist === normalizedGuess;
-            isCorrect = exactMatch;
-          }
-          
-          // Allow partial matches only if the guess contains ALL of the artist words
-          if (!isCorrect && guessWords.length >= actualWords.length * 0.7) {
-            const allActualWordsFound = actualWords.every(actualWord =>
-              guessWords.some(guessWord => guessWord === actualWord)
-            );
-            isCorrect = allActualWordsFound;
-          }
-          
-          // Handle cases where user types without spaces (e.g., "boxcarracer")
-          if (!isCorrect && guessWords.length === 1 && actualWords.length > 1) {
-            const concatenatedActual = actualWords.join('');
-            const concatenatedGuess = guessWords.join('');
-            isCorrect = concatenatedActual === concatenatedGuess;
-          }
-          
-          // Handle cases where user types some words concatenated (e.g., "boxcar racer" for "Box Car Racer")
-          if (!isCorrect && guessWords.length > 0 && actualWords.length > 0) {
-            // Create all possible concatenated versions of actual words
-            const concatenatedActuals = [];
-            for (let i = 0; i < actualWords.length - 1; i++) {
-              concatenatedActuals.push(actualWords[i] + actualWords[i + 1]);
-            }
-            
-            // Check if any guess word matches any concatenated actual word
-            const hasConcatenatedMatch = guessWords.some(guessWord => 
-              concatenatedActuals.includes(guessWord)
-            );
-            
-            // Check if all remaining words match
-            if (hasConcatenatedMatch) {
-              // Find which concatenated word was matched
-              const matchedConcatenated = guessWords.find(guessWord => 
-                concatenatedActuals.includes(guessWord)
-              );
-              
-              if (matchedConcatenated) {
-                // Find the indices of the words that were concatenated
-                const concatenatedIndex = concatenatedActuals.indexOf(matchedConcatenated);
-                const remainingActualWords = actualWords.filter((_, index) => 
-                  index !== concatenatedIndex && index !== concatenatedIndex + 1
-                );
-                const remainingGuessWords = guessWords.filter(word => word !== matchedConcatenated);
-                
-                // Check if remaining words match
-                const remainingWordsMatch = remainingActualWords.every(actualWord =>
-                  remainingGuessWords.includes(actualWord)
-                );
-                
-                if (remainingWordsMatch) {
-                  isCorrect = true;
-                }
-              }
-            }
-          }
-          
-          // For partial matches, require that the guess contains at least 90% of the artist words
-          // and that the missing words are not significant (e.g., "the", "a", "an")
-          if (!isCorrect && guessWords.length < actualWords.length) {
-            const significantWords = actualWords.filter(word => word.length > 2); // Filter out short words like "the", "a", etc.
-            const matchingSignificantWords = significantWords.filter(actualWord =>
-              guessWords.some(guessWord => guessWord === actualWord)
-            );
-            
-            if (significantWords.length > 0) {
-              const significantMatchPercentage = matchingSignificantWords.length / significantWords.length;
-              isCorrect = significantMatchPercentage >= 0.9;
-            }
-          }
-          
-          // Handle cases where guess has fewer words but contains all significant words
-          // This handles cases like "boxcar racer" for "Box Car Racer"
-          if (!isCorrect && guessWords.length < actualWords.length) {
-            const allSignificantWordsFound = actualWords.every(actualWord =>
-              guessWords.some(guessWord => guessWord === actualWord)
-            );
-            isCorrect = allSignificantWordsFound;
-          }
-        }
-        
-        return isCorrect;
-      });
-      
-      if (correctArtist) {
-        gameState.guessedParts.artist = true;
-        gameState.scores[playerName]++;
-        correctParts.push('artist');
-        console.log(`🎤 Artist guessed correctly by ${playerName}: ${artistValidation.sanitized} (matched: ${correctArtist}, normalized: ${normalizedGuess})`);
-      }
-    }
+        timestamp: timestamp,
+        positionMs: guessPositionMs
+      };
+      room.currentGuesses[type].push(entry);
+      return { type, entry };
+    });
     
-    // Check title guess
-    if (titleValidation.sanitized && !gameState.guessedParts.title) {
-      // Normalize both the actual title and the guess for comparison
-      const normalizedActualTitle = normalizeTitle(gameState.currentSong.name);
-      const normalizedGuess = normalizeTitle(titleValidation.sanitized);
-      
-      // Split into words for better comparison
-      const actualWords = normalizedActualTitle.split(/\s+/).filter(word => word.length > 0);
-      const guessWords = normalizedGuess.split(/\s+/).filter(word => word.length > 0);
+    // Check each guess against its category, if still open
+    validGuesses.forEach(({ type, guess: text }) => {
+      if (room.guessedParts[type] !== false) return;
       
-      // Check if the guess is a good match
-      let isCorrect = false;
-      
-      if (actualWords.length > 0 && guessWords.length > 0) {
-        // Calculate how many words from the guess match words in the actual title
-        const matchingWords = guessWords.filter(guessWord => 
-          actualWords.some(actualWord => actualWord === guessWord)
-        );
-        
-        // Calculate match percentage
-        const matchPercentage = matchingWords.length / Math.max(actualWords.length, guessWords.length);
-        
-        // Require at least 80% match and at least 2 matching words (or all words if title is short)
-        const minWordsRequired = Math.min(2, actualWords.length);
-        isCorrect = matchPercentage >= 0.8 && matchingWords.length >= minWordsRequired;
-        
-        // Also allow exact matches (case-insensitive, ignoring spaces and special chars)
-        if (!isCorrect) {
-          const exactMatch = normalizedActualTitle === normalizedGuess;
-          isCorrect = exactMatch;
-        }
-        
-        // Allow partial matches only if the guess contains ALL of the title words
-        if (!isCorrect && guessWords.length >= actualWords.length * 0.7) {
-          const allActualWordsFound = actualWords.every(actualWord =>
-            guessWords.some(guessWord => guessWord === actualWord)
-          );
-          isCorrect = allActualWordsFound;
-        }
-        
-        // Handle cases where user types without spaces (e.g., "cantstopme")
-        if (!isCorrect && guessWords.length === 1 && actualWords.length > 1) {
-          const concatenatedActual = actualWords.join('');
-          const concatenatedGuess = guessWords.join('');
-          isCorrect = concatenatedActual === concatenatedGuess;
-        }
-        
-        // Handle cases where user types some words concatenated (e.g., "cantstop me" for "Can't Stop Me")
-        if (!isCorrect && guessWords.length > 0 && actualWords.length > 0) {
-          // Create all possible concatenated versions of actual words
-          const concatenatedActuals = [];
-          for (let i = 0; i < actualWords.length - 1; i++) {
-            concatenatedActuals.push(actualWords[i] + actualWords[i + 1]);
-          }
-          
-          // Check if any guess word matches any concatenated actual word
-          const hasConcatenatedMatch = guessWords.some(guessWord => 
-            concatenatedActuals.includes(guessWord)
-          );
-          
-          // Check if all remaining words match
-          if (hasConcatenatedMatch) {
-            // Find which concatenated word was matched
-            const matchedConcatenated = guessWords.find(guessWord => 
-              concatenatedActuals.includes(guessWord)
-            );
-            
-            if (matchedConcatenated) {
-              // Find the indices of the words that were concatenated
-              const concatenatedIndex = concatenatedActuals.indexOf(matchedConcatenated);
-              const remainingActualWords = actualWords.filter((_, index) => 
-                index !== concatenatedIndex && index !== concatenatedIndex + 1
-              );
-              const remainingGuessWords = guessWords.filter(word => word !== matchedConcatenated);
-              
-              // Check if remaining words match
-              const remainingWordsMatch = remainingActualWords.every(actualWord =>
-                remainingGuessWords.includes(actualWord)
-              );
-              
-              if (remainingWordsMatch) {
-                isCorrect = true;
-              }
-            }
-          }
-        }
-        
-        // For partial matches, require that the guess contains at least 90% of the title words
-        // and that the missing words are not significant (e.g., "the", "a", "an")
-        if (!isCorrect && guessWords.length < actualWords.length) {
-          const significantWords = actualWords.filter(word => word.length > 2); // Filter out short words like "the", "a", etc.
-          const matchingSignificantWords = significantWords.filter(actualWord =>
-            guessWords.some(guessWord => guessWord === actualWord)
-          );
-          
-          if (significantWords.length > 0) {
-            const significantMatchPercentage = matchingSignificantWords.length / significantWords.length;
-            isCorrect = significantMatchPercentage >= 0.9;
-          }
-        }
-        
-        // Handle cases where guess has fewer words but contains all significant words
-        // This handles cases like "cant stop me" for "Can't Stop Me"
-        if (!isCorrect && guessWords.length < actualWords.length) {
-          const allSignificantWordsFound = actualWords.every(actualWord =>
-            guessWords.some(guessWord => guessWord === actualWord)
-          );
-          isCorrect = allSignificantWordsFound;
-        }
+      const verdict = picks ? matchChoice(room, type, text) : matchCategory(room, type, text);
+      if (verdict.match) {
+        pointsAwarded += awardPart(room, playerName, type, guessPositionMs, verdict.partial);
+        correctParts.push(type);
+        if (verdict.partial) partialParts.push(type);
+        const category = categoryById(type);
+        console.log(`${category.icon} ${category.label} guessed correctly by ${playerName}: ${text} (${verdict.matchedArtist ? `matched: ${verdict.matchedArtist}, ` : ''}${verdict.reason}${verdict.normalizedGuess ? `, normalized: ${verdict.normalizedGuess}` : ''})`);
       }
-      
-      if (isCorrect) {
-        gameState.guessedParts.title = true;
-        gameState.scores[playerName]++;
-        correctParts.push('title');
-        console.log(`🎵 Title guessed correctly by ${playerName}: ${title} (normalized: ${normalizedGuess})`);
-      }
-    }
-    
-    // Check lyrics guess
-    if (lyricsValidation.sanitized && gameState.guessedParts.lyrics !== null) {
-      // Check if lyrics are available for guessing
-      if (!gameState.guessedParts.lyrics) {
-        // Check minimum length requirement (12 letters)
-        const letterCount = countLetters(lyricsValidation.sanitized);
-        if (letterCount < 12) {
-          validationError = `Lyrics guess must be at least 12 letters long (you have ${letterCount})`;
-          socket.emit('validationError', { error: validationError });
-          return;
-        }
-        
-        // Normalize both the lyrics and the guess for comparison
-        const normalizedLyrics = normalizeText(gameState.currentSong.lyrics);
-        const normalizedGuess = normalizeText(lyricsValidation.sanitized);
-        
-        if (normalizedLyrics.includes(normalizedGuess)) {
-          gameState.guessedParts.lyrics = true;
-          gameState.scores[playerName]++;
-          correctParts.push('lyrics');
-          console.log(`📝 Lyrics guessed correctly by ${playerName}: ${lyrics}`);
-        }
-      }
-    } else if (lyricsValidation.sanitized && gameState.guessedParts.lyrics === null) {
-      // Lyrics are not available, inform the player
-      socket.emit('validationError', { error: 'Lyrics are not available for this song. You cannot guess lyrics.' });
-      return;
-    }
+    });
     
     // Check if all available parts have been guessed
-    const artistGuessed = gameState.guessedParts.artist;
-    const titleGuessed = gameState.guessedParts.title;
-    const lyricsGuessed = gameState.guessedParts.lyrics === true; // true means guessed, false means not guessed, null means unavailable
-    
-    if (!artistGuessed || !titleGuessed || (gameState.guessedParts.lyrics !== null && !lyricsGuessed)) {
-      allPartsGuessed = false;
-    }
+    const allPartsGuessed = isSongComplete(room);
     
     // Save the song state for persistence (both partial and complete)
-    if (gameState.currentSong) {
+    if (room.currentSong) {
       const isComplete = allPartsGuessed;
-      gameState.songStates[gameState.currentSong.id] = {
-        isComplete: isComplete,
-        guessedParts: { ...gameState.guessedParts },
-        bonusAwarded: gameState.bonusAwarded,
-        playersWhoGuessed: Array.from(gameState.playersWhoGuessed),
-        currentGuesses: { ...gameState.currentGuesses }
-      };
+      saveSongState(room, isComplete);
       
       if (isComplete) {
         // Mark track as complete
-        updateTrackStatus(gameState.currentSong.id, 'complete');
-        console.log(`💾 Saved completed state for song: ${gameState.currentSong.name}`);
+        updateTrackStatus(room, room.currentSong.id, 'complete');
+        console.log(`💾 Saved completed state for song: ${room.currentSong.name}`);
       } else {
         // Mark track as partial if any parts are guessed
-        const anyGuessed = gameState.guessedParts.artist || gameState.guessedParts.title || gameState.guessedParts.lyrics === true;
-        if (anyGuessed) {
-          updateTrackStatus(gameState.currentSong.id, 'partial');
-          console.log(`💾 Saved partial state for song: ${gameState.currentSong.name} - Artist: ${gameState.guessedParts.artist}, Title: ${gameState.guessedParts.title}, Lyrics: ${gameState.guessedParts.lyrics}`);
+        if (anyCategoryGuessed(room.guessedParts)) {
+          updateTrackStatus(room, room.currentSong.id, 'partial');
+          console.log(`💾 Saved partial state for song: ${room.currentSong.name} - ${describeGuessedParts(room.guessedParts)}`);
         }
       }
     }
     
+    // Wrong-guess penalty for every open part this guess got wrong (scores never drop below 0)
+    const wrongParts = newGuesses
+      .map(({ type }) => type)
+      .filter(type => partsOpenBefore[type] === false && !correctParts.includes(type));
+    const penalty = Math.min(room.scores[playerName] || 0, wrongParts.length * room.scoringRules.wrongGuessPenalty);
+    if (penalty > 0) {
+      room.scores[playerName] -= penalty;
+      io.to(room.gameCode).emit('scoresUpdated', { players: room.players, scores: room.scores });
+      console.log(`➖ ${playerName} lost ${penalty} point(s) for wrong guesses: ${wrongParts.join(', ')}`);
+    }
+    
     if (correctParts.length > 0) {
       // Track that this player made a correct guess
-      gameState.playersWhoGuessed.add(playerName);
+      room.playersWhoGuessed.add(playerName);
       
       // Award bonus point if this player just completed all parts, bonus hasn't been awarded yet,
-      // and this is the only player who has made correct guesses this round
+      // and this is the only player (or team) who has made correct guesses this round
       let bonusAwarded = false;
-      if (allPartsGuessed && !gameState.bonusAwarded && gameState.playersWhoGuessed.size === 1) {
-        gameState.scores[playerName]++;
-        gameState.bonusAwarded = true;
+      if (allPartsGuessed && !room.bonusAwarded && isSoloCompletion(room)) {
+        pointsAwarded += awardSoloCompletionBonus(room, playerName);
+        room.bonusAwarded = true;
         bonusAwarded = true;
-        console.log(`🏆 ${playerName} earned a bonus point for completing all parts alone!`);
+        console.log(`🏆 ${playerName} earned a bonus point for completing all parts ${isTeamMode(room) ? `for team ${teamOf(room, playerName)}` : 'alone'}!`);
       }
       
       // Update track status based on guessing progress
-      if (gameState.currentSong && gameState.currentSong.id) {
-        const currentStatus = getTrackStatus(gameState.currentSong.id);
+      if (room.currentSong && room.currentSong.id) {
+        const currentStatus = getTrackStatus(room, room.currentSong.id);
         if (currentStatus === 'played' && !allPartsGuessed) {
-          updateTrackStatus(gameState.currentSong.id, 'partial');
+          updateTrackStatus(room, room.currentSong.id, 'partial');
         } else if (allPartsGuessed) {
-          updateTrackStatus(gameState.currentSong.id, 'complete');
+          updateTrackStatus(room, room.currentSong.id, 'complete');
         }
       }
       
-      io.emit('correctGuess', { 
+      io.to(room.gameCode).emit('correctGuess', { 
         playerName, 
-        players: gameState.players, 
-        scores: gameState.scores,
-        guessedParts: gameState.guessedParts,
+        players: room.players, 
+        scores: room.scores,
+        guessedParts: room.guessedParts,
         correctParts,
+        partialParts,
         allPartsGuessed,
-        bonusAwarded
+        bonusAwarded,
+        bonusTeam: bonusAwarded ? teamOf(room, playerName) : null,
+        pointsAwarded,
+        song: playerSongPayload(room)
       });
-      console.log(`✅ ${playerName} earned ${correctParts.length} point(s) for: ${correctParts.join(', ')}${bonusAwarded ? ' + 1 bonus point' : ''}`);
+      
+      if (allPartsGuessed) {
+        endSnippetRound(room, true);
+        endRound(room, 'allGuessed');
+      }
+      console.log(`✅ ${playerName} earned ${pointsAwarded} point(s) for: ${correctParts.join(', ')}${bonusAwarded ? ' including the solo completion bonus' : ''}`);
     } else {
-      socket.emit('incorrectGuess');
+      socket.emit('incorrectGuess', { penalty });
+    }
+    
+    // Write the guesses and their outcome through to the database
+    newGuesses.forEach(({ type, entry }) => recordGuess(room, type, entry, correctParts.includes(type)));
+    if (correctParts.length > 0 || penalty > 0) {
+      persistScore(room, playerName);
+    }
+    persistSongState(room, room.currentSong.id);
+    persistRoom(room);
+    
+    // Close the finish-the-line prompt once the lyrics part is won
+    if (correctParts.includes('lyrics')) {
+      updateLyricChallenge(room);
     }
     
-    // Emit updated guesses to all clients (including admin)
-    io.emit('guessesUpdated', {
-      currentGuesses: gameState.currentGuesses
+    // Emit updated guesses to the admin panels - players would see each other's answers
+    io.to(adminChannel(room)).emit('guessesUpdated', {
+      currentGuesses: room.currentGuesses
     });
   });
   
+  // Lobby - players mark themselves ready and pick their avatar and colour. Looks can change
+  // at any time; ready only counts before the game starts.
+  socket.on('setReady', (data) => {
+    const room = rooms.get(socket.data.gameCode);
+    const playerName = room && room.players[socket.id];
+    if (!playerName) return;
+    const transition = setReady(room.lobby, room.readyPlayers, playerName, !!data && data.ready === true);
+    if (!transition.valid) {
+      socket.emit('validationError', { error: transition.error });
+      return;
+    }
+    
+    room.readyPlayers = transition.readyPlayers;
+    emitLobby(room);
+    console.log(`🚦 Player "${playerName}" is ${room.readyPlayers.has(playerName) ? 'ready' : 'not ready'} in game ${room.gameCode}`);
+  });
+  
+  socket.on('setLook', (data) => {
+    const room = rooms.get(socket.data.gameCode);
+    const playerName = room && room.players[socket.id];
+    if (!playerName) return;
+    
+    const validation = validateLook(data, room.playerLooks[playerName] || defaultLook(playerName));
+    if (!validation.valid) {
+      socket.emit('validationError', { error: validation.error });
+      return;
+    }
+    room.playerLooks[playerName] = validation.sanitized;
+    persistScore(room, playerName);
+    emitLobby(room);
+  });
+  
   // Player disconnects
   socket.on('disconnect', () => {
-    const playerName = gameState.players[socket.id];
+    const room = rooms.get(socket.data.gameCode);
+    const playerName = room && room.players[socket.id];
     if (playerName) {
-      delete gameState.players[socket.id];
+      delete room.players[socket.id];
       // Clean up last guess timestamp
-      delete gameState.lastGuessTimestamps[playerName];
+      delete room.lastGuessTimestamps[playerName];
       
       // Check if this username is still used by other active players
-      const usernameStillActive = Object.values(gameState.players).includes(playerName);
+      const usernameStillActive = Object.values(room.players).includes(playerName);
       if (!usernameStillActive) {
-        gameState.activeUsernames.delete(playerName);
+        room.activeUsernames.delete(playerName);
         console.log(`👋 Player "${playerName}" disconnected (username now available)`);
       } else {
         console.log(`👋 Player "${playerName}" disconnected (username still in use by another connection)`);
       }
       
-      io.emit('playerLeft', { playerName, players: gameState.players, scores: gameState.scores });
-      console.log(`📊 Updated players:`, gameState.players);
-      console.log(`📊 Scores remain persistent:`, gameState.scores);
+      io.to(room.gameCode).emit('playerLeft', { playerName, players: room.players, scores: room.scores });
+      console.log(`📊 Updated players:`, room.players);
+      console.log(`📊 Scores remain persistent:`, room.scores);
     }
     
     // Clean up IP tracking
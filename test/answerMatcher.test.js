@@ -0,0 +1,209 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeArtist,
+  normalizeTitle,
+  countLetters,
+  matchArtist,
+  matchTitle,
+  matchLyrics,
+  matchLyricLine,
+  parseYearGuess,
+  matchYear,
+  closestArtist
+} = require('../lib/answerMatcher');
+
+describe('normalization', () => {
+  test('drops parentheses, " - " suffixes and punctuation', () => {
+    assert.equal(normalizeTitle("Can't Stop Me (feat. Someone) - Remastered 2011"), 'cant stop me');
+    assert.equal(normalizeArtist('AC/DC'), 'acdc');
+  });
+
+  test('counts letters without spaces or punctuation', () => {
+    assert.equal(countLetters("Is this the real life?"), 17);
+  });
+});
+
+describe('matchTitle', () => {
+  const cases = [
+    ['Bohemian Rhapsody', 'bohemian rhapsody', 'exact'],
+    ["Can't Stop Me", 'cant stop me', 'exact'],
+    ["Can't Stop Me", 'cantstopme', 'concatenated'],
+    ["Can't Stop Me", 'cantstop me', 'partial-concatenated'],
+    ['Stairway to Heaven', 'stairway to heaven please', 'all-words'],
+    ['Stairway to Heaven', 'stairway heaven to', 'word-overlap'],
+    ['Smells Like Teen Spirit', 'spirit teen smells like', 'word-overlap'],
+    ['Sweet Child o Mine', 'sweet child mine', 'significant-words'],
+    ['Bohemian Rhapsody (Remastered 2011)', 'Bohemian Rhapsody', 'exact'],
+    ['Hey Jude - Remastered', 'hey jude', 'exact']
+  ];
+
+  for (const [title, guess, reason] of cases) {
+    test(`"${guess}" matches "${title}" (${reason})`, () => {
+      const verdict = matchTitle(guess, title);
+      assert.equal(verdict.match, true);
+      assert.equal(verdict.reason, reason);
+    });
+  }
+
+  test('rejects a single word of a longer title', () => {
+    const verdict = matchTitle('rhapsody', 'Bohemian Rhapsody');
+    assert.equal(verdict.match, false);
+    assert.equal(verdict.reason, 'no-match');
+  });
+
+  test('rejects a different title', () => {
+    assert.equal(matchTitle('we will rock you', 'We Are the Champions').match, false);
+  });
+
+  test('reports empty guesses', () => {
+    const verdict = matchTitle('!!!', 'Hello');
+    assert.equal(verdict.match, false);
+    assert.equal(verdict.reason, 'empty');
+  });
+});
+
+describe('matchArtist', () => {
+  test('"boxcarracer" matches "Box Car Racer" typed without spaces', () => {
+    const verdict = matchArtist('boxcarracer', ['Box Car Racer']);
+    assert.equal(verdict.match, true);
+    assert.equal(verdict.reason, 'concatenated');
+  });
+
+  test('"boxcar racer" matches "Box Car Racer" with two words run together', () => {
+    const verdict = matchArtist('boxcar racer', ['Box Car Racer']);
+    assert.equal(verdict.match, true);
+    assert.equal(verdict.reason, 'partial-concatenated');
+  });
+
+  test('any credited artist counts and is named in the verdict', () => {
+    const verdict = matchArtist('david bowie', ['Queen', 'David Bowie']);
+    assert.equal(verdict.match, true);
+    assert.equal(verdict.matchedArtist, 'David Bowie');
+  });
+
+  test('leaving out words of 2 letters or fewer still matches', () => {
+    const verdict = matchArtist('monsters and men', ['Of Monsters and Men']);
+    assert.equal(verdict.match, true);
+    assert.equal(verdict.reason, 'significant-words');
+  });
+
+  test('"the" counts as a significant word', () => {
+    assert.equal(matchArtist('rolling stones', ['The Rolling Stones'], { strictness: 'strict' }).match, false);
+  });
+
+  test('one word of a two-word artist is not enough', () => {
+    assert.equal(matchArtist('pink', ['Pink Floyd']).match, false);
+  });
+});
+
+describe('fuzzy matching', () => {
+  test('forgives accents, typos and number words at normal strictness', () => {
+    assert.equal(matchArtist('Beyonse', ['Beyoncé']).reason, 'fuzzy');
+    assert.equal(matchArtist('Motorhead', ['Motörhead']).reason, 'exact');
+    assert.equal(matchTitle('Bohemian Rapsody', 'Bohemian Rhapsody').reason, 'fuzzy');
+    assert.equal(matchTitle('two princes', '2 Princes').reason, 'exact');
+  });
+
+  test('strict only accepts exact words', () => {
+    assert.equal(matchTitle('Bohemian Rapsody', 'Bohemian Rhapsody', { strictness: 'strict' }).match, false);
+    assert.equal(matchTitle('two princes', '2 Princes', { strictness: 'strict' }).match, true);
+  });
+
+  test('short answers must be spelled right', () => {
+    assert.equal(matchArtist('abbo', ['ABBA']).match, false);
+    assert.equal(matchTitle('hallo', 'Hello').match, false);
+    assert.equal(matchTitle('hallo', 'Hello', { strictness: 'lenient' }).match, true);
+  });
+});
+
+describe('aliases', () => {
+  test('an artist alias counts for that artist', () => {
+    const aliases = { 'Red Hot Chili Peppers': ['RHCP'] };
+    const verdict = matchArtist('rhcp', ['Red Hot Chili Peppers'], { aliases });
+    assert.equal(verdict.match, true);
+    assert.equal(verdict.reason, 'alias');
+    assert.equal(verdict.matchedArtist, 'Red Hot Chili Peppers');
+  });
+
+  test('stylized names match their spelled-out alias', () => {
+    const aliases = { '$uicideboy$': ['Suicideboys'] };
+    assert.equal(matchArtist('suicide boys', ['$uicideboy$'], { aliases }).reason, 'alias');
+    assert.equal(matchArtist('suicide boys', ['$uicideboy$']).match, false);
+  });
+
+  test('title aliases are matched like the title', () => {
+    const aliases = ['Bohemian Rhapsody Live'];
+    assert.equal(matchTitle('bohemian rhapsody live', 'Bohemian Rhapsody - Live Aid', { aliases }).match, true);
+    assert.equal(matchTitle('queen opera song', 'Bohemian Rhapsody', { aliases: ['Queen Opera Song'] }).reason, 'alias');
+  });
+});
+
+describe('closestArtist', () => {
+  test('picks the credited artist nearest to the guess', () => {
+    assert.equal(closestArtist('bowey', ['Queen', 'David Bowie']), 'David Bowie');
+    assert.equal(closestArtist('kween', ['Queen', 'David Bowie']), 'Queen');
+  });
+});
+
+describe('matchLyrics', () => {
+  const lyrics = "Is this the real life?\nIs this just fantasy?\nCaught in a landslide, no escape from reality";
+
+  test('matches a phrase from the lyrics ignoring case and punctuation', () => {
+    assert.deepEqual(matchLyrics('caught in a landslide no escape', lyrics), { match: true, reason: 'lyrics-substring' });
+  });
+
+  test('rejects words that are not in the lyrics', () => {
+    assert.deepEqual(matchLyrics('caught in a rainstorm', lyrics), { match: false, reason: 'no-match' });
+  });
+
+  test('reports missing lyrics as empty', () => {
+    assert.equal(matchLyrics('anything at all here', null).reason, 'empty');
+  });
+});
+
+describe('matchLyricLine', () => {
+  test('short lines must match exactly', () => {
+    assert.equal(matchLyricLine('real life', 'Real life').match, true);
+    assert.equal(matchLyricLine('real lie', 'Real life').match, false);
+  });
+
+  test('long lines allow a missing word', () => {
+    assert.equal(matchLyricLine('caught in landslide no escape', 'Caught in a landslide, no escape').match, true);
+  });
+
+  test('long lines reject padded guesses', () => {
+    const guess = 'caught in a landslide no escape from the reality of it all';
+    assert.equal(matchLyricLine(guess, 'Caught in a landslide, no escape').match, false);
+  });
+});
+
+describe('matchYear', () => {
+  test('reads years and decades', () => {
+    assert.deepEqual(parseYearGuess('1985'), { year: 1985 });
+    assert.deepEqual(parseYearGuess("'80s"), { decade: 1980 });
+    assert.deepEqual(parseYearGuess('1990s'), { decade: 1990 });
+    assert.equal(parseYearGuess('85s'), null);
+    assert.equal(parseYearGuess('the eighties'), null);
+  });
+
+  test('two-digit decades are the latest one that has started', () => {
+    assert.deepEqual(parseYearGuess('20s', 2026), { decade: 2020 });
+    assert.deepEqual(parseYearGuess('30s', 2026), { decade: 1930 });
+  });
+
+  test('the exact year earns full credit', () => {
+    assert.deepEqual(matchYear('1975', 1975, { range: 2 }), { match: true, reason: 'exact-year' });
+  });
+
+  test('a close year or the right decade earns partial credit', () => {
+    assert.deepEqual(matchYear('1977', 1975, { range: 2 }), { match: true, partial: true, reason: 'close-year' });
+    assert.deepEqual(matchYear('70s', 1975), { match: true, partial: true, reason: 'decade' });
+  });
+
+  test('rejects years outside the range and the wrong decade', () => {
+    assert.equal(matchYear('1978', 1975, { range: 2 }).match, false);
+    assert.equal(matchYear('1976', 1975).match, false);
+    assert.equal(matchYear('80s', 1975).match, false);
+  });
+});
@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGameResults, summarizeResults } = require('../lib/gameArchive');
+
+const song = { id: 't1', name: 'Bohemian Rhapsody', artists: ['Queen'], album: 'A Night at the Opera', albumArt: null };
+const playlist = {
+  name: 'Road trip',
+  tracks: { items: [{ track: { id: 't2', name: 'Africa', artists: [{ name: 'Toto' }], album: { name: 'Toto IV', images: [] } } }] }
+};
+const session = {
+  game_code: '123456',
+  created_at: 1000,
+  current_playlist: JSON.stringify(playlist),
+  current_song: JSON.stringify(song),
+  teams: JSON.stringify(['Red', 'Blue'])
+};
+const emptyRows = { session, players: [], trackStatuses: [], songStates: [], guesses: [] };
+
+const player = (name, score, team = null) => ({ player_name: name, score, team_name: team });
+const guess = (trackId, type, name, isCorrect, createdAt) => ({
+  track_id: trackId, guess_type: type, guess: `${name}'s guess`, player_name: name, is_correct: isCorrect ? 1 : 0, created_at: createdAt
+});
+
+describe('buildGameResults', () => {
+  test('ranks players by score, tied players sharing a rank', () => {
+    const results = buildGameResults({
+      ...emptyRows,
+      players: [player('dan', 2), player('bob', 5), player('amy', 5), player('cat', 3)]
+    }, 9000);
+    assert.deepEqual(results.players.map(({ name, rank }) => [name, rank]), [['amy', 1], ['bob', 1], ['cat', 3], ['dan', 4]]);
+    assert.equal(summarizeResults(results).winner, 'amy');
+  });
+
+  test('adds up team scores, best team first', () => {
+    const results = buildGameResults({
+      ...emptyRows,
+      players: [player('amy', 4, 'Red'), player('bob', 3, 'Blue'), player('cat', 3, 'Blue'), player('dan', 1)]
+    }, 9000);
+    assert.deepEqual(results.teams, [{ name: 'Blue', score: 6 }, { name: 'Red', score: 4 }]);
+    assert.equal(results.players.find(entry => entry.name === 'dan').team, null);
+  });
+
+  test('lists played songs in order with who won each part', () => {
+    const results = buildGameResults({
+      ...emptyRows,
+      players: [player('amy', 1)],
+      trackStatuses: [
+        { track_id: 't2', status: 'partial', played_at: 3000 },
+        { track_id: 't3', status: 'unplayed', played_at: null },
+        { track_id: 't1', status: 'played', played_at: 2000 }
+      ],
+      songStates: [{ track_id: 't1', state: JSON.stringify({ guessedParts: { title: true }, revealedParts: ['artist'] }) }],
+      guesses: [guess('t1', 'title', 'bob', false, 2100), guess('t1', 'title', 'amy', true, 2200)]
+    }, 9000);
+
+    assert.deepEqual(results.songs.map(entry => [entry.id, entry.name]), [['t1', 'Bohemian Rhapsody'], ['t2', 'Africa']]);
+    const [first, second] = results.songs;
+    assert.deepEqual(first.correctGuesses, [{ category: 'title', player: 'amy', guess: "amy's guess", at: 2200 }]);
+    assert.equal(first.guessCount, 2);
+    assert.deepEqual(first.revealedParts, ['artist']);
+    assert.deepEqual(second.artists, ['Toto']);
+    assert.equal(second.guessedParts, null);
+    assert.equal(results.playlistName, 'Road trip');
+    assert.equal(results.startedAt, 1000);
+  });
+
+  test('a game where nothing happened has no results', () => {
+    assert.equal(buildGameResults(emptyRows, 9000), null);
+    assert.equal(buildGameResults({ ...emptyRows, session: undefined }, 9000), null);
+  });
+
+  test('summarizes a game without players', () => {
+    const results = buildGameResults({
+      ...emptyRows,
+      trackStatuses: [{ track_id: 't1', status: 'played', played_at: 2000 }]
+    }, 9000);
+    assert.deepEqual(summarizeResults(results), {
+      gameCode: '123456',
+      startedAt: 1000,
+      endedAt: 9000,
+      playlistName: 'Road trip',
+      playerCount: 0,
+      songCount: 1,
+      winner: null
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HINT_TYPES,
+  titleShape,
+  artistInitial,
+  albumInitial,
+  releaseDecade,
+  redactLine,
+  nextHint
+} = require('../lib/hints');
+
+const song = {
+  name: 'Bohemian Rhapsody - Remastered 2011',
+  artists: ['Queen'],
+  album: 'A Night at the Opera (Deluxe Edition)',
+  releaseYear: 1975
+};
+const lyricLines = [
+  'Is this the real life?',
+  'Is this just fantasy?',
+  'Caught in a landslide',
+  'Is this just fantasy?'
+];
+const allParts = ['title', 'artist', 'album', 'lyrics', 'year'];
+
+// Every hint for the song, in the order they are released
+function allHints(options) {
+  const hints = [];
+  let hint;
+  while ((hint = nextHint(song, lyricLines, { ...options, givenTypes: hints.map(given => given.type) }))) {
+    hints.push(hint);
+  }
+  return hints;
+}
+
+describe('hint texts', () => {
+  test('title shape blanks letters and counts them', () => {
+    assert.equal(titleShape(song.name), titleShape('Bohemian Rhapsody'));
+    assert.equal(titleShape("Can't Stop"), "_ _ _ ' _   _ _ _ _ (8 letters)");
+    assert.equal(titleShape('(...)'), null);
+  });
+
+  test('artist initial keeps stylized first characters', () => {
+    assert.equal(artistInitial('queen'), 'Starts with "Q"');
+    assert.equal(artistInitial('$uicideboy$'), 'Starts with "$"');
+    assert.equal(artistInitial(''), null);
+  });
+
+  test('album initial gives the first letter and word count', () => {
+    assert.equal(albumInitial(song.album), 'Starts with "A", 5 words');
+    assert.equal(albumInitial('Thriller'), 'Starts with "T", 1 word');
+    assert.equal(albumInitial(''), null);
+  });
+
+  test('release decade rounds the year down', () => {
+    assert.equal(releaseDecade(1975), '1970s');
+    assert.equal(releaseDecade(2000), '2000s');
+    assert.equal(releaseDecade(null), null);
+  });
+
+  test('lyric lines keep every other word', () => {
+    assert.equal(redactLine('Is this the real life'), 'Is ____ the ____ life');
+  });
+});
+
+describe('nextHint', () => {
+  test('offers hints in order', () => {
+    assert.deepEqual(allHints({ openParts: allParts }).map(hint => hint.type), HINT_TYPES);
+  });
+
+  test('gives the album and year when they are not guess categories', () => {
+    const hints = allHints({ openParts: ['title', 'artist', 'lyrics'], partsInPlay: ['title', 'artist', 'lyrics'] });
+    assert.deepEqual(hints.find(hint => hint.type === 'album'), { type: 'album', part: 'title', label: 'Album', text: song.album });
+    assert.deepEqual(hints.find(hint => hint.type === 'year'), { type: 'year', part: null, label: 'Released', text: '1975' });
+  });
+
+  test('never gives away the answer of a category in play', () => {
+    const texts = allHints({ openParts: allParts, partsInPlay: allParts }).map(hint => hint.text);
+    assert.ok(texts.includes('1970s'));
+    assert.ok(!texts.includes('1975'));
+    assert.ok(!texts.some(text => text.includes('Night at the Opera')));
+    assert.ok(!texts.some(text => text.includes('Rhapsody')));
+    assert.ok(!texts.includes('Queen'));
+  });
+
+  test('picks the most repeated lyric line', () => {
+    const hint = nextHint(song, lyricLines, { openParts: ['lyrics'], partsInPlay: allParts });
+    assert.equal(hint.type, 'lyricLine');
+    assert.equal(hint.text, 'Is ____ just ________');
+  });
+
+  test('skips hints about parts already won', () => {
+    const hint = nextHint(song, lyricLines, { openParts: ['year'], partsInPlay: allParts });
+    assert.deepEqual(hint, { type: 'year', part: 'year', label: 'Released', text: '1970s' });
+    assert.equal(nextHint(song, lyricLines, { openParts: ['lyrics'], partsInPlay: allParts, givenTypes: ['lyricLine'] }), null);
+  });
+
+  test('skips hints the song has nothing for', () => {
+    const hint = nextHint({ ...song, releaseYear: null }, [], { openParts: ['year', 'lyrics'], partsInPlay: allParts });
+    assert.equal(hint, null);
+  });
+
+  test('gives nothing once every part is done', () => {
+    assert.equal(nextHint(song, lyricLines, { openParts: [] }), null);
+    assert.equal(nextHint(null, lyricLines, { openParts: allParts }), null);
+  });
+});
@@ -0,0 +1,75 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PLACEMENT_POINTS, validateLeague, buildLeagueStandings } = require('../lib/leagues');
+
+const games = [{ archiveId: 'g1', endedAt: 1000 }, { archiveId: 'g2', endedAt: 2000 }];
+const finish = (archiveId, name, rank, score) => ({
+  archive_id: archiveId, name_key: name.toLowerCase(), player_name: name, rank, score
+});
+const summary = standings => standings.map(({ name, points, rank }) => [name, points, rank]);
+
+describe('buildLeagueStandings', () => {
+  test('awards points by placement across games', () => {
+    const standings = buildLeagueStandings([10, 5, 2], games, [
+      finish('g1', 'Amy', 1, 12),
+      finish('g1', 'Bob', 2, 8),
+      finish('g1', 'Cat', 3, 4),
+      finish('g1', 'Dan', 4, 1),
+      finish('g2', 'Bob', 1, 9),
+      finish('g2', 'Cat', 2, 7)
+    ]);
+    assert.deepEqual(summary(standings), [['Bob', 15, 1], ['Amy', 10, 2], ['Cat', 7, 3], ['Dan', 0, 4]]);
+    const bob = standings[0];
+    assert.equal(bob.gamesAttended, 2);
+    assert.equal(bob.bestFinish, 1);
+    assert.deepEqual(bob.attended, [true, true]);
+    assert.deepEqual(standings[1].attended, [true, false]);
+  });
+
+  test('players tied in a game share its points', () => {
+    const standings = buildLeagueStandings([10, 5], games.slice(0, 1), [
+      finish('g1', 'Amy', 1, 6),
+      finish('g1', 'Bob', 1, 6),
+      finish('g1', 'Cat', 3, 2)
+    ]);
+    assert.deepEqual(summary(standings), [['Amy', 10, 1], ['Bob', 10, 1], ['Cat', 0, 3]]);
+  });
+
+  test('breaks ties on points by wins, then total score', () => {
+    const standings = buildLeagueStandings([5, 5, 5], games, [
+      finish('g1', 'Amy', 2, 20),
+      finish('g1', 'Bob', 1, 10),
+      finish('g1', 'Cat', 3, 1),
+      finish('g2', 'Amy', 2, 20),
+      finish('g2', 'Cat', 1, 30),
+      finish('g2', 'Bob', 3, 1)
+    ]);
+    // Bob and Cat have one win each; Cat scored more
+    assert.deepEqual(summary(standings), [['Cat', 10, 1], ['Bob', 10, 2], ['Amy', 10, 3]]);
+  });
+
+  test('merges a player across spellings and ignores games outside the league', () => {
+    const standings = buildLeagueStandings(DEFAULT_PLACEMENT_POINTS, games, [
+      finish('g1', 'amy', 1, 5),
+      finish('g2', 'Amy', 2, 3),
+      finish('other', 'Amy', 1, 50)
+    ]);
+    assert.deepEqual(summary(standings), [['Amy', 18, 1]]);
+  });
+});
+
+describe('validateLeague', () => {
+  test('fills in the default placement points', () => {
+    const result = validateLeague({ name: ' Quiz <night> ' });
+    assert.equal(result.valid, true);
+    assert.equal(result.sanitized.name, 'Quiz night');
+    assert.deepEqual(result.sanitized.placementPoints, DEFAULT_PLACEMENT_POINTS);
+  });
+
+  test('rejects a missing name and bad placement points', () => {
+    assert.equal(validateLeague({}).valid, false);
+    assert.equal(validateLeague({ name: 'Quiz', placementPoints: [] }).valid, false);
+    assert.equal(validateLeague({ name: 'Quiz', placementPoints: [10, -1] }).valid, false);
+    assert.equal(validateLeague({ name: 'Quiz', placementPoints: [2.5] }).valid, false);
+  });
+});
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AVATARS,
+  COLORS,
+  DEFAULT_COUNTDOWN_SECONDS,
+  defaultLook,
+  validateLook,
+  validateCountdownSeconds,
+  createLobby,
+  startCountdown,
+  cancelCountdown,
+  finishLobby,
+  countdownRemainingMs,
+  setReady
+} = require('../lib/lobby');
+
+describe('countdown', () => {
+  test('starts from the lobby and counts down', () => {
+    const { valid, lobby } = startCountdown(createLobby(), 5, 1000);
+    assert.equal(valid, true);
+    assert.deepEqual(lobby, { phase: 'countdown', countdownEndsAt: 6000 });
+    assert.equal(countdownRemainingMs(lobby, 3000), 3000);
+    assert.equal(countdownRemainingMs(lobby, 9000), 0);
+    assert.equal(countdownRemainingMs(createLobby(), 3000), null);
+  });
+
+  test('cannot start twice or once the game is playing', () => {
+    const counting = startCountdown(createLobby(), 5, 1000).lobby;
+    assert.deepEqual(startCountdown(counting, 5, 2000), { valid: false, error: 'The countdown has already started' });
+    assert.deepEqual(startCountdown(finishLobby(), 5, 2000), { valid: false, error: 'The game has already started' });
+  });
+
+  test('cancelling goes back to the lobby', () => {
+    const counting = startCountdown(createLobby(), 5, 1000).lobby;
+    assert.deepEqual(cancelCountdown(counting), { valid: true, lobby: createLobby() });
+    assert.equal(cancelCountdown(createLobby()).valid, false);
+    assert.equal(cancelCountdown(finishLobby()).valid, false);
+  });
+
+  test('the game can start from the lobby or the countdown', () => {
+    assert.deepEqual(finishLobby(), { phase: 'playing', countdownEndsAt: null });
+    assert.equal(countdownRemainingMs(finishLobby(), 0), null);
+  });
+
+  test('countdown lengths are whole seconds within limits', () => {
+    assert.deepEqual(validateCountdownSeconds(undefined), { valid: true, sanitized: DEFAULT_COUNTDOWN_SECONDS });
+    assert.deepEqual(validateCountdownSeconds('10'), { valid: true, sanitized: 10 });
+    assert.equal(validateCountdownSeconds(2).valid, false);
+    assert.equal(validateCountdownSeconds(31).valid, false);
+    assert.equal(validateCountdownSeconds(4.5).valid, false);
+  });
+});
+
+describe('ready check', () => {
+  test('players mark themselves ready and unready in the lobby', () => {
+    const lobby = createLobby();
+    const ready = setReady(lobby, new Set(['amy']), 'bob', true).readyPlayers;
+    assert.deepEqual([...ready], ['amy', 'bob']);
+    assert.deepEqual([...setReady(lobby, ready, 'amy', false).readyPlayers], ['bob']);
+  });
+
+  test('leaves the given set untouched', () => {
+    const ready = new Set(['amy']);
+    setReady(createLobby(), ready, 'bob', true);
+    assert.deepEqual([...ready], ['amy']);
+  });
+
+  test('ready no longer changes once the countdown starts', () => {
+    const counting = startCountdown(createLobby(), 5, 0).lobby;
+    assert.deepEqual(setReady(counting, new Set(), 'amy', true), { valid: false, error: 'The game is already starting!' });
+    assert.equal(setReady(finishLobby(), new Set(), 'amy', true).valid, false);
+  });
+});
+
+describe('looks', () => {
+  test('a player\'s default look stays the same and comes from the lists', () => {
+    const look = defaultLook('Amy');
+    assert.deepEqual(defaultLook('amy'), look);
+    assert.ok(AVATARS.includes(look.avatar));
+    assert.ok(COLORS.includes(look.color));
+  });
+
+  test('only listed avatars and colours are accepted', () => {
+    const current = { avatar: AVATARS[0], color: COLORS[0] };
+    assert.deepEqual(validateLook({ color: COLORS[1] }, current), { valid: true, sanitized: { avatar: AVATARS[0], color: COLORS[1] } });
+    assert.equal(validateLook({ avatar: '<script>' }, current).valid, false);
+    assert.equal(validateLook({ color: 'red' }, current).valid, false);
+    assert.equal(validateLook(null, current).valid, false);
+  });
+});
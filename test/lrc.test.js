@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { isLrc, parseLrc, lrcToPlainText, findLineIndexAt } = require('../lib/lrc');
+
+const lrc = [
+  '[ar:Queen]',
+  '[ti:Bohemian Rhapsody]',
+  '[00:01.00]Is this the real life?',
+  '[00:05.2]Is this just fantasy?',
+  '[00:09.00]',
+  '[00:12.345]Caught in a landslide'
+].join('\n');
+
+describe('isLrc', () => {
+  test('needs at least two timestamps', () => {
+    assert.equal(isLrc(lrc), true);
+    assert.equal(isLrc('[00:01.00]Only one line'), false);
+    assert.equal(isLrc('Is this the real life?'), false);
+    assert.equal(isLrc(null), false);
+  });
+});
+
+describe('parseLrc', () => {
+  test('reads timestamps, drops metadata and keeps empty lines', () => {
+    assert.deepEqual(parseLrc(lrc), [
+      { timeMs: 1000, text: 'Is this the real life?' },
+      { timeMs: 5200, text: 'Is this just fantasy?' },
+      { timeMs: 9000, text: '' },
+      { timeMs: 12345, text: 'Caught in a landslide' }
+    ]);
+  });
+
+  test('works on lyrics pasted without newlines', () => {
+    const pasted = '[ar:Queen] [00:01.00]Is this the real life? [00:05.20]Is this just fantasy?';
+    assert.deepEqual(parseLrc(pasted).map(line => line.text), ['Is this the real life?', 'Is this just fantasy?']);
+  });
+
+  test('a line with several timestamps appears once per timestamp, in time order', () => {
+    const chorus = '[00:10.00][01:20.00]Chorus line\n[00:30.00]Verse line';
+    assert.deepEqual(parseLrc(chorus), [
+      { timeMs: 10000, text: 'Chorus line' },
+      { timeMs: 30000, text: 'Verse line' },
+      { timeMs: 80000, text: 'Chorus line' }
+    ]);
+  });
+
+  test('returns nothing for missing input', () => {
+    assert.deepEqual(parseLrc(''), []);
+    assert.deepEqual(parseLrc(undefined), []);
+  });
+});
+
+describe('lrcToPlainText', () => {
+  test('keeps the sung lines only', () => {
+    assert.equal(lrcToPlainText(lrc), 'Is this the real life?\nIs this just fantasy?\nCaught in a landslide');
+  });
+
+  test('leaves plain lyrics alone apart from metadata', () => {
+    assert.equal(lrcToPlainText('[ar:Queen]\nIs this the real life?'), 'Is this the real life?');
+  });
+});
+
+describe('findLineIndexAt', () => {
+  test('finds the line being sung', () => {
+    const lines = parseLrc(lrc);
+    assert.equal(findLineIndexAt(lines, 0), -1);
+    assert.equal(findLineIndexAt(lines, 1000), 0);
+    assert.equal(findLineIndexAt(lines, 6000), 1);
+    assert.equal(findLineIndexAt(lines, 600000), 3);
+  });
+});
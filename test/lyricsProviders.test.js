@@ -0,0 +1,111 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createLocalDirectoryProvider,
+  createLyricsProviderChain,
+  buildLyricsProviderChain
+} = require('../lib/lyricsProviders');
+
+// Stand-ins for the server's name normalization
+const normalizeArtist = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeTitle = title => normalizeArtist(title.replace(/\([^)]*\)/g, ''));
+
+// The providers log every lookup - keep the test output readable
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+after(() => mock.restoreAll());
+
+// A provider that answers from a fixed result (or throws it) and records who asked
+function fakeProvider(name, result, priority = 50) {
+  const provider = {
+    name,
+    priority,
+    rateLimitMs: 0,
+    calls: [],
+    fetch: async (artist, title) => {
+      provider.calls.push([artist, title]);
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+  return provider;
+}
+
+describe('provider chain', () => {
+  test('returns the first provider\'s lyrics with its name', async () => {
+    const first = fakeProvider('first', { lyrics: 'Is this the real life?' });
+    const second = fakeProvider('second', { lyrics: 'Something else' });
+    const result = await createLyricsProviderChain([first, second]).fetch('Queen', 'Bohemian Rhapsody');
+    assert.deepEqual(result, { lyrics: 'Is this the real life?', provider: 'first' });
+    assert.equal(second.calls.length, 0);
+  });
+
+  test('falls back when a provider has nothing or fails', async () => {
+    const empty = fakeProvider('empty', null);
+    const broken = fakeProvider('broken', new Error('timeout'));
+    const last = fakeProvider('last', { lyrics: 'Found it', syncedLyrics: '[00:01.00]Found it' });
+    const result = await createLyricsProviderChain([empty, broken, last]).fetch('Queen', 'Bohemian Rhapsody');
+    assert.deepEqual(result, { lyrics: 'Found it', syncedLyrics: '[00:01.00]Found it', provider: 'last' });
+    assert.deepEqual(broken.calls, [['Queen', 'Bohemian Rhapsody']]);
+  });
+
+  test('returns null when nobody has the song', async () => {
+    const chain = createLyricsProviderChain([fakeProvider('empty', null), fakeProvider('blank', { lyrics: '' })]);
+    assert.equal(await chain.fetch('Queen', 'Bohemian Rhapsody'), null);
+  });
+});
+
+describe('buildLyricsProviderChain', () => {
+  const local = fakeProvider('local', null, 10);
+  const remote = fakeProvider('lyricsovh', null, 50);
+
+  test('follows the configured order and skips unknown names', () => {
+    const chain = buildLyricsProviderChain('lyricsovh, nope ,LOCAL', [local, remote]);
+    assert.deepEqual(chain.providers.map(provider => provider.name), ['lyricsovh', 'local']);
+  });
+
+  test('runs by priority without a configured order', () => {
+    const chain = buildLyricsProviderChain('', [remote, local]);
+    assert.deepEqual(chain.describe(), [
+      { name: 'local', priority: 10, rateLimitMs: 0 },
+      { name: 'lyricsovh', priority: 50, rateLimitMs: 0 }
+    ]);
+  });
+});
+
+describe('local directory provider', () => {
+  let directory;
+  let provider;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lyrics-'));
+    fs.writeFileSync(path.join(directory, 'AC-DC - Back In Black (Remastered).txt'), 'Back in black\nI hit the sack\n');
+    fs.writeFileSync(path.join(directory, 'Queen - Bohemian Rhapsody.txt'), 'Plain lyrics');
+    fs.writeFileSync(path.join(directory, 'Queen - Bohemian Rhapsody.lrc'), '[00:01.00]Is this the real life?\n[00:05.00]Is this just fantasy?');
+    provider = createLocalDirectoryProvider({ directory, normalizeArtist, normalizeTitle });
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('matches file names after normalization', async () => {
+    assert.deepEqual(await provider.fetch('AC/DC', 'Back in Black'), { lyrics: 'Back in black\nI hit the sack' });
+  });
+
+  test('prefers timed lyrics and keeps their LRC source', async () => {
+    const result = await provider.fetch('Queen', 'Bohemian Rhapsody');
+    assert.equal(result.lyrics, 'Is this the real life?\nIs this just fantasy?');
+    assert.ok(result.syncedLyrics.startsWith('[00:01.00]'));
+  });
+
+  test('returns null for unknown songs and missing directories', async () => {
+    assert.equal(await provider.fetch('Toto', 'Africa'), null);
+    const missing = createLocalDirectoryProvider({ directory: path.join(directory, 'missing'), normalizeArtist, normalizeTitle });
+    assert.equal(await missing.fetch('Queen', 'Bohemian Rhapsody'), null);
+  });
+});
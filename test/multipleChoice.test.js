@@ -0,0 +1,65 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHOICES_PER_PART, buildChoices } = require('../lib/multipleChoice');
+const { normalizeTitle, normalizeArtist } = require('../lib/answerMatcher');
+
+const song = { id: 's1', name: 'Bohemian Rhapsody - Remastered 2011', artists: ['Queen', 'David Bowie'] };
+const item = (id, name, artist) => ({ track: { id, name, artists: [{ name: artist }] } });
+const playlist = [
+  item('s1', 'Bohemian Rhapsody - Remastered 2011', 'Queen'),
+  item('s2', 'Africa', 'Toto'),
+  item('s3', 'Heroes', 'David Bowie'),
+  item('s4', 'Bohemian Rhapsody (Live)', 'Queen'),
+  item('s5', 'Take On Me', 'a-ha'),
+  item('s6', 'Africa', 'Weezer'),
+  item('s7', 'Hey Jude', 'The Beatles'),
+  item('s8', 'Wonderwall', 'Oasis')
+];
+
+// Deterministic stand-in for Math.random
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+describe('buildChoices', () => {
+  test('always includes the answer at answerIndex', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const choices = buildChoices(song, playlist, seededRandom(seed));
+      assert.equal(choices.title.options[choices.title.answerIndex], 'Bohemian Rhapsody');
+      assert.equal(choices.artist.options[choices.artist.answerIndex], 'Queen');
+      assert.equal(choices.title.options.length, CHOICES_PER_PART);
+      assert.equal(choices.artist.options.length, CHOICES_PER_PART);
+    }
+  });
+
+  test('never offers the same option twice', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const choices = buildChoices(song, playlist, seededRandom(seed));
+      const titles = choices.title.options.map(normalizeTitle);
+      const artists = choices.artist.options.map(normalizeArtist);
+      assert.equal(new Set(titles).size, titles.length);
+      assert.equal(new Set(artists).size, artists.length);
+    }
+  });
+
+  test('never offers another artist credited on the song as a decoy', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      assert.ok(!buildChoices(song, playlist, seededRandom(seed)).artist.options.includes('David Bowie'));
+    }
+  });
+
+  test('offers fewer options when the playlist is short', () => {
+    const choices = buildChoices(song, playlist.slice(0, 2), seededRandom(1));
+    assert.deepEqual([...choices.title.options].sort(), ['Africa', 'Bohemian Rhapsody']);
+    assert.deepEqual([...choices.artist.options].sort(), ['Queen', 'Toto']);
+  });
+
+  test('gives up when there is nothing different to offer', () => {
+    assert.equal(buildChoices(song, [playlist[0], playlist[3]]), null);
+    assert.equal(buildChoices(song, []), null);
+  });
+});
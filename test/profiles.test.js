@@ -0,0 +1,81 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { profileKey, validatePin, hashPin, verifyPin, buildPlayerStats } = require('../lib/profiles');
+
+describe('names and PINs', () => {
+  test('names are claimed regardless of case', () => {
+    assert.equal(profileKey('  Bob '), 'bob');
+  });
+
+  test('PINs are 4 to 8 digits', () => {
+    assert.equal(validatePin('1234').valid, true);
+    assert.equal(validatePin('12345678').valid, true);
+    assert.equal(validatePin('123').valid, false);
+    assert.equal(validatePin('123456789').valid, false);
+    assert.equal(validatePin('12a4').valid, false);
+    assert.equal(validatePin(1234).valid, false);
+  });
+
+  test('hashes are salted', () => {
+    const first = hashPin('1234');
+    const second = hashPin('1234');
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+    assert.equal(hashPin('1234', first.salt).hash, first.hash);
+  });
+
+  test('verifies the right PIN only', () => {
+    const { salt, hash } = hashPin('4321');
+    const profile = { pin_hash: hash, pin_salt: salt };
+    assert.equal(verifyPin('4321', profile), true);
+    assert.equal(verifyPin('1234', profile), false);
+    assert.equal(verifyPin('43', profile), false);
+  });
+});
+
+describe('buildPlayerStats', () => {
+  const guess = (trackId, type, isCorrect, elapsedMs, artist) => ({
+    track_id: trackId, guess_type: type, is_correct: isCorrect ? 1 : 0, elapsed_ms: elapsedMs, song_artist: artist
+  });
+
+  test('sums up games played and won', () => {
+    const stats = buildPlayerStats([{ score: 5, won: 1 }, { score: 9, won: 0 }, { score: 2, won: 1 }], []);
+    assert.equal(stats.gamesPlayed, 3);
+    assert.equal(stats.wins, 2);
+    assert.equal(stats.totalPoints, 16);
+    assert.equal(stats.bestScore, 9);
+  });
+
+  test('works out accuracy per category and the average time to a correct guess', () => {
+    const stats = buildPlayerStats([], [
+      guess('t1', 'title', true, 4000, 'Queen'),
+      guess('t1', 'artist', false, 5000, 'Queen'),
+      guess('t2', 'title', false, 1000, 'Toto'),
+      guess('t2', 'artist', true, null, 'Toto'),
+      guess('t3', 'title', true, 8000, 'Queen')
+    ]);
+    assert.deepEqual(stats.categories.title, { guesses: 3, correct: 2, accuracy: 2 / 3 });
+    assert.deepEqual(stats.categories.artist, { guesses: 2, correct: 1, accuracy: 0.5 });
+    assert.equal(stats.categories.year.accuracy, null);
+    assert.equal(stats.averageTimeToCorrectMs, 6000);
+  });
+
+  test('counts each song once for favourite artists', () => {
+    const stats = buildPlayerStats([], [
+      guess('t1', 'title', true, 1000, 'Toto'),
+      guess('t1', 'artist', true, 1000, 'Toto'),
+      guess('t2', 'title', true, 1000, 'Queen'),
+      guess('t3', 'title', true, 1000, 'Queen'),
+      guess('t4', 'title', false, 1000, 'ABBA')
+    ]);
+    assert.deepEqual(stats.favouriteArtists, [{ name: 'Queen', songs: 2 }, { name: 'Toto', songs: 1 }]);
+  });
+
+  test('a new profile has empty stats', () => {
+    const stats = buildPlayerStats([], []);
+    assert.equal(stats.gamesPlayed, 0);
+    assert.equal(stats.bestScore, 0);
+    assert.equal(stats.averageTimeToCorrectMs, null);
+    assert.deepEqual(stats.favouriteArtists, []);
+  });
+});
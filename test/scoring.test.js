@@ -0,0 +1,82 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SCORING_RULES, validateScoringRules, scorePart } = require('../lib/scoring');
+
+const rules = {
+  ...DEFAULT_SCORING_RULES,
+  points: { artist: 2, title: 3, lyrics: 4 },
+  speedBonus: 0
+};
+const guess = { positionMs: 5000, isFirstCorrectGuess: false };
+
+describe('scorePart', () => {
+  test('uses each part\'s own base points', () => {
+    assert.equal(scorePart(rules, { ...guess, part: 'title' }).points, 3);
+    assert.equal(scorePart(rules, { ...guess, part: 'lyrics' }).points, 4);
+    assert.equal(scorePart(rules, { ...guess, part: 'unknown' }).points, 0);
+  });
+
+  test('a partial guess earns half the base points, rounded up', () => {
+    assert.equal(scorePart(rules, { ...guess, part: 'title', partial: true }).points, 2);
+    assert.equal(scorePart(rules, { ...guess, part: 'lyrics', partial: true }).points, 2);
+  });
+
+  test('hints cost base points but never more than the base', () => {
+    const withPenalty = { ...rules, hintPenalty: 1 };
+    assert.equal(scorePart(withPenalty, { ...guess, part: 'title', hintsGiven: 2 }).points, 1);
+    const { points, breakdown } = scorePart(withPenalty, { ...guess, part: 'title', hintsGiven: 5 });
+    assert.equal(breakdown.hints, -3);
+    assert.equal(points, 0);
+  });
+
+  test('the speed bonus decays over its window', () => {
+    const fast = { ...rules, speedBonus: 4, speedBonusWindowSeconds: 10 };
+    assert.equal(scorePart(fast, { ...guess, part: 'artist', positionMs: 0 }).breakdown.speed, 4);
+    assert.equal(scorePart(fast, { ...guess, part: 'artist', positionMs: 5000 }).breakdown.speed, 2);
+    assert.equal(scorePart(fast, { ...guess, part: 'artist', positionMs: 30000 }).breakdown.speed, 0);
+    assert.equal(scorePart(fast, { ...guess, part: 'artist', positionMs: null }).breakdown.speed, 0);
+  });
+
+  test('multiple-choice picks earn the choice speed bonus', () => {
+    const choice = { ...rules, choiceSpeedBonus: 2, choiceSpeedWindowSeconds: 20 };
+    assert.equal(scorePart(choice, { ...guess, part: 'title', positionMs: 0, multipleChoice: true }).points, 5);
+    assert.equal(scorePart(choice, { ...guess, part: 'title', positionMs: 15000, multipleChoice: true }).points, 4);
+    assert.equal(scorePart(choice, { ...guess, part: 'title', positionMs: 0 }).points, 3);
+  });
+
+  test('adds the first guess bonus', () => {
+    const bonuses = { ...rules, firstGuessBonus: 1 };
+    const { points, breakdown } = scorePart(bonuses, { ...guess, part: 'artist', isFirstCorrectGuess: true });
+    assert.equal(breakdown.firstGuess, 1);
+    assert.equal(points, 3);
+  });
+
+  test('guesses on earlier snippet clips earn more of the snippet bonus', () => {
+    const snippets = { ...rules, snippetBonus: 3 };
+    const bonusOnClip = snippetStep => scorePart(snippets, { ...guess, part: 'title', snippetStep }).breakdown.snippet;
+    assert.deepEqual([0, 1, 2, 3].map(bonusOnClip), [3, 2, 1, 0]);
+    assert.equal(bonusOnClip(null), 0);
+    assert.equal(scorePart(snippets, { ...guess, part: 'title', snippetStep: 0 }).points, 6);
+  });
+});
+
+describe('validateScoringRules', () => {
+  test('fills missing fields from the current rules', () => {
+    const result = validateScoringRules({ points: { title: 5 }, wrongGuessPenalty: 1 });
+    assert.equal(result.valid, true);
+    assert.equal(result.sanitized.points.title, 5);
+    assert.equal(result.sanitized.points.artist, DEFAULT_SCORING_RULES.points.artist);
+    assert.equal(result.sanitized.wrongGuessPenalty, 1);
+    assert.equal(result.sanitized.speedBonusWindowSeconds, DEFAULT_SCORING_RULES.speedBonusWindowSeconds);
+  });
+
+  test('rejects values that are not whole numbers in range', () => {
+    assert.equal(validateScoringRules({ points: { title: -1 } }).valid, false);
+    assert.equal(validateScoringRules({ firstGuessBonus: 1.5 }).valid, false);
+    assert.equal(validateScoringRules({ hintPenalty: -1 }).valid, false);
+    assert.equal(validateScoringRules({ speedBonusWindowSeconds: 0 }).valid, false);
+    assert.equal(validateScoringRules({ wrongGuessPenalty: 'lots' }).valid, false);
+    assert.equal(validateScoringRules({ yearRange: 51 }).valid, false);
+    assert.equal(validateScoringRules(null).valid, false);
+  });
+});
@@ -0,0 +1,54 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SNIPPET_STEPS_MS,
+  DEFAULT_SNIPPET_SETTINGS,
+  validateSnippetSettings,
+  snippetOffset
+} = require('../lib/snippets');
+
+describe('clips', () => {
+  test('grow from 1 to 3, 7 and 15 seconds', () => {
+    assert.deepEqual(SNIPPET_STEPS_MS, [1000, 3000, 7000, 15000]);
+  });
+});
+
+describe('snippetOffset', () => {
+  const durationMs = 200000;
+
+  test('starts from the top unless the start is random', () => {
+    assert.equal(snippetOffset('start', durationMs, () => 0.5), 0);
+    assert.equal(snippetOffset('random', 0, () => 0.5), 0);
+  });
+
+  test('a random start stays clear of the ends and leaves room for the longest clip', () => {
+    assert.equal(snippetOffset('random', durationMs, () => 0), 20000);
+    assert.equal(snippetOffset('random', durationMs, () => 0.5), 92500);
+    const latest = snippetOffset('random', durationMs, () => 0.999999);
+    assert.ok(latest + 15000 <= durationMs * 0.9);
+  });
+
+  test('songs too short for a random start play from the top', () => {
+    assert.equal(snippetOffset('random', 18000, () => 0.5), 0);
+  });
+});
+
+describe('validateSnippetSettings', () => {
+  test('fills missing fields from the current settings', () => {
+    assert.deepEqual(validateSnippetSettings({ enabled: true }), {
+      valid: true,
+      sanitized: { ...DEFAULT_SNIPPET_SETTINGS, enabled: true }
+    });
+    const current = { enabled: true, start: 'random', guessSeconds: 5 };
+    assert.deepEqual(validateSnippetSettings({ guessSeconds: '20' }, current).sanitized, { ...current, guessSeconds: 20 });
+  });
+
+  test('rejects unknown starts and guess times out of range', () => {
+    assert.equal(validateSnippetSettings({ enabled: 'yes' }).valid, false);
+    assert.equal(validateSnippetSettings({ start: 'middle' }).valid, false);
+    assert.equal(validateSnippetSettings({ guessSeconds: 2 }).valid, false);
+    assert.equal(validateSnippetSettings({ guessSeconds: 121 }).valid, false);
+    assert.equal(validateSnippetSettings({ guessSeconds: 4.5 }).valid, false);
+    assert.equal(validateSnippetSettings(null).valid, false);
+  });
+});